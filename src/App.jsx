@@ -1,12 +1,35 @@
 import React, { useState, useCallback, useEffect } from 'react';
-import { useJsonStore } from './stores/jsonStore_v2';
+import { useJsonStore, selectCanUndo, selectCanRedo, selectVisiblePanels } from './stores/jsonStore_v2';
+import { loadWorkspace, startWorkspaceAutosave } from './stores/workspacePersistence';
+import { openDocumentFile, openDroppedDocument, saveDocument, saveDocumentAs } from './stores/documentFiles';
 import JsonEditor from './components/JsonEditor_v2';
 import TableEditor from './components/TableEditor';
 import GraphViewer from './components/GraphViewer';
+import HistoryPanel from './components/HistoryPanel';
+import RecoverSessionDialog from './components/RecoverSessionDialog';
+import FileMenu from './components/FileMenu';
+import DocumentTabs from './components/DocumentTabs';
+import DiffMenu from './components/DiffMenu';
+import DiffBar from './components/DiffBar';
+import FindReplaceDialog from './components/FindReplaceDialog';
+import QueryPanel from './components/QueryPanel';
+import BulkTransformDialog from './components/BulkTransformDialog';
+import { parsePointer, compilePointer, getValueAtPointer } from './utils/jsonPointer';
+
+// 判斷按鍵事件是否來自文字輸入元素（保留其原生的撤銷行為）
+const isTextInputTarget = (target) => {
+  if (!target) return false;
+  const tagName = target.tagName;
+  return tagName === 'INPUT' || tagName === 'TEXTAREA' || target.isContentEditable;
+};
+
+// 判斷拖拽內容是否為文件（而非面板）
+const isFileDrag = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
 
 function App() {
-  // 面板狀態：預設顯示3個面板
-  const [visiblePanels, setVisiblePanels] = useState(['graph', 'table', 'json']);
+  // 面板狀態：預設顯示3個面板（保存在 store 中以便隨工作區恢復）
+  const visiblePanels = useJsonStore(selectVisiblePanels);
+  const setVisiblePanels = useJsonStore((state) => state.setVisiblePanels);
   
   // 拖拽狀態
   const [dragState, setDragState] = useState({
@@ -15,39 +38,129 @@ function App() {
     dragOverIndex: null
   });
   
+  // 文件拖放目標面板
+  const [fileDropPanel, setFileDropPanel] = useState(null);
+  
+  // 歷史記錄面板
+  const [showHistory, setShowHistory] = useState(false);
+  
+  // 查找替換和批量操作對話框
+  const [showFindReplace, setShowFindReplace] = useState(false);
+  const [showBulkTransform, setShowBulkTransform] = useState(false);
+  
+  // 工作區恢復狀態
+  const [workspaceReady, setWorkspaceReady] = useState(false);
+  const [pendingRecovery, setPendingRecovery] = useState(null); // { autosave, saved }
+  
   // 連接Zustand store
-  const jsonData = useJsonStore((state) => state.jsonData);
-  const updateJsonData = useJsonStore((state) => state.updateJsonData);
   const selectedPath = useJsonStore((state) => state.selectedPath);
   const selectedData = useJsonStore((state) => state.selectedData);
+  const editorScope = useJsonStore((state) => state.editorScope);
+  const setEditorScope = useJsonStore((state) => state.setEditorScope);
+  const updatePathSelection = useJsonStore((state) => state.updatePathSelection);
+  const updateTableSelection = useJsonStore((state) => state.updateTableSelection);
+  const undo = useJsonStore((state) => state.undo);
+  const redo = useJsonStore((state) => state.redo);
+  const canUndo = useJsonStore(selectCanUndo);
+  const canRedo = useJsonStore(selectCanRedo);
+  const restoreWorkspace = useJsonStore((state) => state.restoreWorkspace);
+  const bulkSelectionCount = useJsonStore((state) => state.bulkSelection.length);
+  
+  // 載入時從 IndexedDB 恢復工作區
+  useEffect(() => {
+    let cancelled = false;
+    
+    loadWorkspace().then(({ autosave, saved, hasUnsavedSession }) => {
+      if (cancelled) return;
+      
+      if (hasUnsavedSession) {
+        // 有未保存的修改，等待用戶決定
+        setPendingRecovery({ autosave, saved });
+        return;
+      }
+      
+      // 沒有未保存的修改時，恢復最新的副本（包含視圖狀態）
+      const latest = autosave && (!saved || autosave.updatedAt >= saved.updatedAt) ? autosave : saved;
+      if (latest) {
+        restoreWorkspace(latest);
+      }
+      setWorkspaceReady(true);
+    });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [restoreWorkspace]);
   
-  // 載入初始示例數據
+  // 恢復完成後才開始自動保存，避免覆蓋尚未處理的會話
   useEffect(() => {
-    if (!jsonData || Object.keys(jsonData).length === 0) {
-      const sampleData = {
-        "users": [
-          {"id": 1, "name": "張三", "email": "zhang@example.com", "age": 25},
-          {"id": 2, "name": "李四", "email": "li@example.com", "age": 30}
-        ],
-        "products": [
-          {"id": 1, "name": "筆記本電腦", "price": 15000, "category": "電子產品"},
-          {"id": 2, "name": "辦公椅", "price": 3000, "category": "傢俱"}
-        ],
-        "settings": {
-          "theme": "light",
-          "language": "zh-TW",
-          "notifications": true
+    if (!workspaceReady) return;
+    return startWorkspaceAutosave();
+  }, [workspaceReady]);
+  
+  const handleRecoverSession = useCallback(() => {
+    restoreWorkspace(pendingRecovery.autosave);
+    setPendingRecovery(null);
+    setWorkspaceReady(true);
+  }, [pendingRecovery, restoreWorkspace]);
+  
+  const handleDiscardSession = useCallback(() => {
+    if (pendingRecovery.saved) {
+      restoreWorkspace(pendingRecovery.saved);
+    }
+    setPendingRecovery(null);
+    setWorkspaceReady(true);
+  }, [pendingRecovery, restoreWorkspace]);
+  
+  // 全局快捷鍵：Ctrl+Z 撤銷 / Ctrl+Shift+Z (Ctrl+Y) 重做 / Ctrl+S 保存 / Ctrl+Shift+S 另存為 / Ctrl+O 打開 / Ctrl+H 查找替換
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || isTextInputTarget(e.target)) return;
+      
+      const key = e.key.toLowerCase();
+      if (key === 's') {
+        e.preventDefault();
+        if (e.shiftKey) {
+          saveDocumentAs();
+        } else {
+          saveDocument();
         }
-      };
-      updateJsonData(sampleData, 'app-init');
+      } else if (key === 'o') {
+        e.preventDefault();
+        openDocumentFile();
+      } else if (key === 'h') {
+        e.preventDefault();
+        setShowFindReplace(true);
+      } else if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+    
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+  
+  // 路徑列導航：選中指定路徑的節點
+  const navigateToPath = useCallback((pointer) => {
+    const data = getValueAtPointer(useJsonStore.getState().jsonData, pointer);
+    if (data === undefined) return;
+    
+    updatePathSelection(pointer, data);
+    if (Array.isArray(data)) {
+      updateTableSelection(pointer, data);
     }
-  }, [jsonData, updateJsonData]);
+  }, [updatePathSelection, updateTableSelection]);
 
   // 面板配置
   const panels = {
     graph: { title: '關係圖', icon: '📊', component: GraphViewer },
     table: { title: '表格編輯器', icon: '📋', component: TableEditor },
-    json: { title: 'JSON編輯器', icon: '📝', component: JsonEditor }
+    json: { title: 'JSON編輯器', icon: '📝', component: JsonEditor },
+    query: { title: '查詢', icon: '🔎', component: QueryPanel }
   };
 
   // 面板顯示/收起切換
@@ -59,7 +172,7 @@ function App() {
         return [...prev, panelId];
       }
     });
-  }, []);
+  }, [setVisiblePanels]);
 
   // 拖拽交換面板順序
   const swapPanels = useCallback((fromIndex, toIndex) => {
@@ -70,7 +183,7 @@ function App() {
       [newPanels[fromIndex], newPanels[toIndex]] = [newPanels[toIndex], newPanels[fromIndex]];
       return newPanels;
     });
-  }, []);
+  }, [setVisiblePanels]);
 
   // 面板拖拽處理函數
   const handlePanelDragStart = (e, panelIndex) => {
@@ -96,6 +209,9 @@ function App() {
   };
 
   const handlePanelDragOver = (e, panelIndex) => {
+    // 文件拖放交給面板本身處理
+    if (isFileDrag(e)) return;
+    
     e.preventDefault();
     e.dataTransfer.dropEffect = 'move';
     
@@ -123,21 +239,54 @@ function App() {
     }
   };
 
+  // 拖放 JSON 文件到面板上打開
+  const handleFileDragOver = (e, panelId) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    if (fileDropPanel !== panelId) {
+      setFileDropPanel(panelId);
+    }
+  };
+  
+  const handleFileDragLeave = (e) => {
+    // 忽略在面板內部子元素之間移動時觸發的事件
+    if (e.currentTarget.contains(e.relatedTarget)) return;
+    setFileDropPanel(null);
+  };
+  
+  const handleFileDrop = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    setFileDropPanel(null);
+    openDroppedDocument(e.dataTransfer);
+  };
+
   // 渲染面板
   const renderPanel = (panelId, index) => {
     const panel = panels[panelId];
     const Component = panel.component;
     const isDragged = dragState.draggedIndex === index;
     const isDragOver = dragState.dragOverIndex === index;
+    const isFileDropTarget = fileDropPanel === panelId;
     
     return (
       <div
-        className={`h-full bg-white border-2 rounded-lg overflow-hidden shadow-sm transition-all duration-200 ${
+        className={`h-full bg-white border-2 rounded-lg overflow-hidden shadow-sm transition-all duration-200 relative ${
           isDragged ? 'border-blue-400 opacity-60' : 
-          isDragOver ? 'border-blue-400 shadow-lg transform scale-102' : 
+          isDragOver || isFileDropTarget ? 'border-blue-400 shadow-lg transform scale-102' : 
           'border-gray-300 hover:border-gray-400'
         }`}
+        onDragOver={(e) => handleFileDragOver(e, panelId)}
+        onDragLeave={handleFileDragLeave}
+        onDrop={handleFileDrop}
       >
+        {/* 文件拖放提示 */}
+        {isFileDropTarget && (
+          <div className="absolute inset-0 z-10 flex items-center justify-center bg-blue-50/80 pointer-events-none">
+            <p className="text-sm font-medium text-blue-700">📂 放開以打開 JSON 文件</p>
+          </div>
+        )}
         <div 
           className={`h-10 px-4 border-b border-gray-300 flex items-center justify-between cursor-move ${
             isDragged ? 'bg-blue-100' : 'bg-gray-100'
@@ -246,10 +395,35 @@ function App() {
       );
     }
     
+    if (count === 4) {
+      // 4面板：2x2 網格
+      return (
+        <div className="h-full grid grid-cols-2 grid-rows-2 gap-4">
+          {visiblePanels.map((panelId, index) => (
+            <div key={panelId} className="min-h-0">
+              {renderPanel(panelId, index)}
+            </div>
+          ))}
+        </div>
+      );
+    }
+    
   };
 
   return (
     <div className="h-screen flex flex-col bg-gray-50">
+      {pendingRecovery && (
+        <RecoverSessionDialog
+          autosave={pendingRecovery.autosave}
+          saved={pendingRecovery.saved}
+          onRecover={handleRecoverSession}
+          onDiscard={handleDiscardSession}
+        />
+      )}
+      
+      {showFindReplace && <FindReplaceDialog onClose={() => setShowFindReplace(false)} />}
+      {showBulkTransform && <BulkTransformDialog onClose={() => setShowBulkTransform(false)} />}
+      
       {/* Brand Header Bar */}
       <div className="h-12 bg-gradient-to-r from-blue-600 to-purple-600 flex items-center px-4 shadow-sm">
         <div className="flex items-center space-x-3">
@@ -259,20 +433,85 @@ function App() {
             <p className="text-xs text-blue-100">Professional JSON Editor & Visualizer</p>
           </div>
         </div>
+        
+        {/* 文件菜單 */}
+        <div className="ml-6">
+          <FileMenu />
+        </div>
+        
+        {/* 撤銷/重做和歷史記錄 */}
+        <div className="ml-auto flex items-center space-x-2 relative">
+          <button
+            onClick={() => setShowFindReplace(true)}
+            className="px-2 py-1 text-sm text-white rounded hover:bg-white/20 transition-colors"
+            title="查找替換 (Ctrl+H)"
+          >
+            🔁 替換
+          </button>
+          <button
+            onClick={() => setShowBulkTransform(true)}
+            className="px-2 py-1 text-sm text-white rounded hover:bg-white/20 transition-colors"
+            title="對多個路徑批量操作"
+          >
+            🧰 批量{bulkSelectionCount > 0 && ` (${bulkSelectionCount})`}
+          </button>
+          <DiffMenu />
+          <button
+            onClick={undo}
+            disabled={!canUndo}
+            className="px-2 py-1 text-sm text-white rounded hover:bg-white/20 disabled:opacity-40 disabled:hover:bg-transparent transition-colors"
+            title="撤銷 (Ctrl+Z)"
+          >
+            ↶ 撤銷
+          </button>
+          <button
+            onClick={redo}
+            disabled={!canRedo}
+            className="px-2 py-1 text-sm text-white rounded hover:bg-white/20 disabled:opacity-40 disabled:hover:bg-transparent transition-colors"
+            title="重做 (Ctrl+Shift+Z)"
+          >
+            ↷ 重做
+          </button>
+          <button
+            onClick={() => setShowHistory(prev => !prev)}
+            className={`px-2 py-1 text-sm text-white rounded transition-colors ${
+              showHistory ? 'bg-white/30' : 'hover:bg-white/20'
+            }`}
+            title="歷史記錄"
+          >
+            🕘 歷史
+          </button>
+          
+          {showHistory && (
+            <div className="absolute right-0 top-full mt-2 z-50">
+              <HistoryPanel onClose={() => setShowHistory(false)} />
+            </div>
+          )}
+        </div>
       </div>
       
+      {/* 文檔標籤欄 */}
+      <DocumentTabs />
+      
+      {/* 比較模式工具欄 */}
+      <DiffBar />
+      
       {/* Windows風格路徑列 */}
       <div className="h-10 bg-white border-b border-gray-300 flex items-center px-3 text-sm">
         <div className="flex items-center space-x-1">
           {/* 根目錄圖標 */}
-          <button className="flex items-center space-x-1 px-2 py-1 hover:bg-gray-100 rounded transition-colors">
+          <button
+            className="flex items-center space-x-1 px-2 py-1 hover:bg-gray-100 rounded transition-colors"
+            onClick={() => navigateToPath('')}
+            title="/"
+          >
             <span>🗂️</span>
             <span className="text-gray-700">JSON根目錄</span>
           </button>
           
-          {/* 路徑分段 */}
-          {selectedPath && selectedPath.split('.').map((segment, index, array) => {
-            const partialPath = array.slice(0, index + 1).join('.');
+          {/* 路徑分段（JSON Pointer 的每個片段） */}
+          {selectedPath && parsePointer(selectedPath).map((segment, index, array) => {
+            const partialPath = compilePointer(array.slice(0, index + 1));
             const isLast = index === array.length - 1;
             
             return (
@@ -286,17 +525,39 @@ function App() {
                   }`}
                   onClick={() => {
                     if (!isLast) {
-                      // 點擊上級路徑進行導航（這裡可以添加導航邏輯）
-                      console.log('Navigate to:', partialPath);
+                      // 點擊上級路徑進行導航
+                      navigateToPath(partialPath);
                     }
                   }}
+                  title={partialPath}
                 >
-                  {segment}
+                  {segment === '' ? '""' : segment}
                 </button>
               </React.Fragment>
             );
           })}
           
+          {/* JSON 編輯器的編輯範圍 */}
+          {editorScope !== null && (
+            <span className="ml-4 inline-flex items-center space-x-1 px-2 py-1 text-xs bg-amber-50 text-amber-800 border border-amber-200 rounded">
+              <span>JSON 編輯範圍:</span>
+              <button
+                className="font-mono hover:underline"
+                onClick={() => navigateToPath(editorScope)}
+                title="選中編輯範圍"
+              >
+                {editorScope}
+              </button>
+              <button
+                className="px-1 text-amber-600 hover:text-amber-900"
+                onClick={() => setEditorScope(null)}
+                title="恢復編輯整個文檔"
+              >
+                ✕
+              </button>
+            </span>
+          )}
+          
           {/* 當前選中項目信息 */}
           {selectedData && (
             <span className="text-xs text-gray-500 ml-4 px-2 py-1 bg-gray-50 rounded">
@@ -0,0 +1,314 @@
+import { useState, useMemo } from 'react';
+import { useJsonStore } from '../stores/jsonStore_v2';
+import { evaluateQuery } from '../utils/jsonQuery';
+import { applyBulkOperation, sortPathsInDocumentOrder } from '../utils/bulkTransforms';
+import { runExpression } from '../utils/expressionSandbox';
+import { getPointerLastToken, getValueAtPointer } from '../utils/jsonPointer';
+
+// 批量操作類型
+const OPERATIONS = [
+  { id: 'set', label: '設置值' },
+  { id: 'delete', label: '刪除' },
+  { id: 'rename', label: '重命名鍵' },
+  { id: 'map', label: 'JS 表達式' },
+  { id: 'sort', label: '按字段排序數組' }
+];
+
+const formatPreview = (value) => {
+  if (value === undefined) return '（已刪除）';
+  const text = JSON.stringify(value);
+  return text.length > 60 ? `${text.substring(0, 57)}...` : text;
+};
+
+// 設置值的輸入按 JSON 解析，失敗時作為字符串
+const parseSetValue = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+/**
+ * 批量操作對話框 - 對圖形中 Shift+點擊選中的節點或路徑模式匹配的所有路徑應用同一個操作
+ * 應用前生成每個路徑修改前後的預覽，應用時作為一次可撤銷的更新提交
+ */
+const BulkTransformDialog = ({ onClose }) => {
+  const bulkSelection = useJsonStore((state) => state.bulkSelection);
+  const jsonData = useJsonStore((state) => state.jsonData);
+  const applyBulkTransform = useJsonStore((state) => state.applyBulkTransform);
+
+  const [targetMode, setTargetMode] = useState(bulkSelection.length > 0 ? 'selection' : 'pattern');
+  const [pattern, setPattern] = useState('');
+  const [operationType, setOperationType] = useState('set');
+  const [setText, setSetText] = useState('');
+  const [renameKey, setRenameKey] = useState('');
+  const [expression, setExpression] = useState('x => x');
+  const [sortField, setSortField] = useState('');
+  const [sortOrder, setSortOrder] = useState('asc');
+  const [preview, setPreview] = useState(null); // { data, paths, operation, changes }
+  const [isRunning, setIsRunning] = useState(false);
+  const [error, setError] = useState(null);
+
+  // 輸入變化後舊的預覽失效
+  const withReset = (setter) => (value) => {
+    setter(value);
+    setPreview(null);
+    setError(null);
+  };
+
+  const targets = useMemo(() => {
+    if (targetMode === 'selection') {
+      return { paths: sortPathsInDocumentOrder(jsonData, bulkSelection), error: null };
+    }
+    if (!pattern.trim()) return { paths: [], error: null };
+    try {
+      return { paths: evaluateQuery(jsonData, pattern).map(match => match.path), error: null };
+    } catch (err) {
+      return { paths: [], error: err.message };
+    }
+  }, [targetMode, pattern, bulkSelection, jsonData]);
+
+  // 文檔在預覽後被修改時，預覽不再有效
+  const activePreview = preview && preview.data === jsonData ? preview : null;
+
+  const buildOperation = async (paths) => {
+    switch (operationType) {
+      case 'set':
+        return { type: 'set', value: parseSetValue(setText) };
+      case 'delete':
+        return { type: 'delete' };
+      case 'rename':
+        if (!renameKey) throw new Error('請輸入新鍵名');
+        return { type: 'rename', key: renameKey };
+      case 'sort':
+        return { type: 'sort', field: sortField.trim(), order: sortOrder };
+      case 'map': {
+        const inputs = paths.map(path => ({
+          path,
+          key: getPointerLastToken(path),
+          value: getValueAtPointer(jsonData, path)
+        }));
+        const results = await runExpression(expression, inputs);
+        const values = {};
+        const errors = {};
+        results.forEach((result, index) => {
+          if ('error' in result) errors[paths[index]] = result.error;
+          else values[paths[index]] = result.value;
+        });
+        return { type: 'map', values, errors };
+      }
+      default:
+        throw new Error(`不支持的操作: ${operationType}`);
+    }
+  };
+
+  const handlePreview = async () => {
+    const data = jsonData;
+    const paths = targets.paths;
+    setIsRunning(true);
+    setError(null);
+    try {
+      const operation = await buildOperation(paths);
+      const { changes } = applyBulkOperation(data, paths, operation);
+      setPreview({ data, paths, operation, changes });
+    } catch (err) {
+      setError(err.message);
+      setPreview(null);
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const handleApply = () => {
+    if (applyBulkTransform(activePreview.paths, activePreview.operation) !== null) {
+      console.log(`[BulkTransform] 已對 ${activePreview.paths.length} 個路徑應用 ${activePreview.operation.type}`);
+      onClose();
+    } else {
+      setError(useJsonStore.getState().errors.graphViewer);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  const applicableCount = activePreview ? activePreview.changes.filter(change => !change.error).length : 0;
+  const inputClass = 'flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded font-mono text-xs outline-none focus:border-blue-400';
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30" onKeyDown={handleKeyDown}>
+      <div className="w-[40rem] max-h-[85vh] flex flex-col bg-white rounded-lg shadow-xl overflow-hidden">
+        <div className="px-4 py-3 bg-gradient-to-r from-blue-600 to-purple-600 flex items-center justify-between">
+          <h2 className="text-sm font-bold text-white">🧰 批量操作</h2>
+          <button onClick={onClose} className="text-white/80 hover:text-white text-sm" title="關閉 (Esc)">
+            ✕
+          </button>
+        </div>
+
+        <div className="p-4 space-y-3 text-xs">
+          {/* 目標 */}
+          <div className="space-y-1.5">
+            <div className="font-medium text-gray-700">目標</div>
+            <label className="flex items-center space-x-2 text-gray-600">
+              <input
+                type="radio"
+                checked={targetMode === 'selection'}
+                onChange={() => withReset(setTargetMode)('selection')}
+              />
+              <span>圖形中選中的節點（{bulkSelection.length} 個，Shift+點擊選擇）</span>
+            </label>
+            <label className="flex items-center space-x-2 text-gray-600">
+              <input
+                type="radio"
+                checked={targetMode === 'pattern'}
+                onChange={() => withReset(setTargetMode)('pattern')}
+              />
+              <span className="shrink-0">路徑模式</span>
+              <input
+                value={pattern}
+                onChange={(e) => withReset(setPattern)(e.target.value)}
+                onFocus={() => targetMode !== 'pattern' && withReset(setTargetMode)('pattern')}
+                placeholder="users[*].age"
+                className={`${inputClass} ${targets.error ? 'border-red-400 bg-red-50' : ''}`}
+                spellCheck={false}
+              />
+            </label>
+            <div className={targets.error ? 'text-red-600' : 'text-gray-500'}>
+              {targets.error || `共 ${targets.paths.length} 個路徑`}
+            </div>
+          </div>
+
+          {/* 操作 */}
+          <div className="space-y-1.5">
+            <div className="font-medium text-gray-700">操作</div>
+            <div className="flex items-center space-x-2">
+              <select
+                value={operationType}
+                onChange={(e) => withReset(setOperationType)(e.target.value)}
+                className="px-1 py-1 border border-gray-300 rounded bg-white text-gray-700"
+              >
+                {OPERATIONS.map(({ id, label }) => (
+                  <option key={id} value={id}>{label}</option>
+                ))}
+              </select>
+
+              {operationType === 'set' && (
+                <input
+                  value={setText}
+                  onChange={(e) => withReset(setSetText)(e.target.value)}
+                  placeholder='新值，按 JSON 解析（如 42、"text"、null），失敗時作為字符串'
+                  className={inputClass}
+                  spellCheck={false}
+                />
+              )}
+              {operationType === 'rename' && (
+                <input
+                  value={renameKey}
+                  onChange={(e) => withReset(setRenameKey)(e.target.value)}
+                  placeholder="新鍵名"
+                  className={inputClass}
+                  spellCheck={false}
+                />
+              )}
+              {operationType === 'sort' && (
+                <>
+                  <input
+                    value={sortField}
+                    onChange={(e) => withReset(setSortField)(e.target.value)}
+                    placeholder="字段名（留空按元素本身排序）"
+                    className={inputClass}
+                    spellCheck={false}
+                  />
+                  <select
+                    value={sortOrder}
+                    onChange={(e) => withReset(setSortOrder)(e.target.value)}
+                    className="px-1 py-1 border border-gray-300 rounded bg-white text-gray-700"
+                  >
+                    <option value="asc">升序</option>
+                    <option value="desc">降序</option>
+                  </select>
+                </>
+              )}
+            </div>
+            {operationType === 'map' && (
+              <>
+                <textarea
+                  value={expression}
+                  onChange={(e) => withReset(setExpression)(e.target.value)}
+                  rows={2}
+                  className="w-full px-2 py-1 border border-gray-300 rounded font-mono text-xs outline-none focus:border-blue-400 resize-none"
+                  spellCheck={false}
+                />
+                <div className="text-gray-400">
+                  在沙箱 worker 中執行，第二個參數為 {'{ path, key }'}，例如 x =&gt; x * 1.1、(x, {'{ key }'}) =&gt; key.toUpperCase()
+                </div>
+              </>
+            )}
+          </div>
+
+          {error && <div className="text-red-600">{error}</div>}
+        </div>
+
+        {/* 預覽 */}
+        <div className="flex-1 min-h-[8rem] overflow-auto border-t bg-gray-50">
+          {!activePreview ? (
+            <div className="p-4 text-xs text-gray-400 text-center">點擊「生成預覽」查看每個路徑修改前後的值</div>
+          ) : (
+            <ul className="divide-y divide-gray-200 text-xs">
+              {activePreview.changes.map((change) => (
+                <li key={change.path} className={`px-4 py-1.5 ${change.error ? 'bg-red-50' : ''}`}>
+                  <div className="font-mono text-gray-600 truncate" title={change.path}>{change.path || '/'}</div>
+                  <div className="mt-0.5 pl-3 font-mono truncate">
+                    {change.error ? (
+                      <span className="text-red-600">{change.error}，將跳過</span>
+                    ) : (
+                      <>
+                        <span className="text-red-600">{formatPreview(change.before)}</span>
+                        <span className="mx-1 text-gray-400">→</span>
+                        <span className="text-green-700">{formatPreview(change.after)}</span>
+                      </>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="px-4 py-3 bg-gray-50 border-t flex items-center justify-between">
+          <span className="text-xs text-gray-500">
+            {activePreview && `${applicableCount} 個路徑將被修改`}
+          </span>
+          <div className="flex space-x-2">
+            <button
+              onClick={onClose}
+              className="px-3 py-1 text-xs bg-gray-500 text-white rounded hover:bg-gray-600"
+            >
+              取消
+            </button>
+            <button
+              onClick={handlePreview}
+              disabled={targets.paths.length === 0 || isRunning}
+              className="px-3 py-1 text-xs bg-white border border-blue-500 text-blue-600 rounded hover:bg-blue-50 disabled:opacity-50"
+            >
+              {isRunning ? '執行中...' : '生成預覽'}
+            </button>
+            <button
+              onClick={handleApply}
+              disabled={applicableCount === 0}
+              className="px-3 py-1 text-xs bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50 disabled:hover:bg-blue-500"
+            >
+              應用
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BulkTransformDialog;
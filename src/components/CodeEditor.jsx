@@ -0,0 +1,646 @@
+import { useState, useRef, useMemo, useCallback, useEffect, useLayoutEffect, forwardRef, useImperativeHandle, memo } from 'react';
+import {
+  FOLD_PLACEHOLDER,
+  tokenizeJson,
+  matchBrackets,
+  getLineStarts,
+  getLineAt,
+  getFoldRanges
+} from '../utils/jsonSyntax';
+
+// 行高、內邊距與 text-sm 的行高一致，高亮層和輸入層按相同尺寸疊放
+const LINE_HEIGHT = 20;
+const PADDING_Y = 8;
+const PADDING_X = 12;
+const INDENT = '  ';
+
+// 只渲染可見的行，上下各多渲染幾行以減少滾動時的空白
+const OVERSCAN_LINES = 20;
+
+// 自動閉合的括號和引號
+const AUTO_PAIRS = { '{': '}', '[': ']', '"': '"' };
+
+const TOKEN_STYLES = {
+  key: 'text-indigo-700',
+  string: 'text-green-700',
+  number: 'text-blue-600',
+  literal: 'text-purple-600',
+  bracket: 'text-gray-600',
+  punctuation: 'text-gray-500',
+  comment: 'text-gray-400 italic',
+  fold: 'bg-gray-200 text-gray-500 rounded-sm',
+  invalid: 'text-red-600'
+};
+
+const BRACKET_MATCH_STYLE = 'bg-amber-200 rounded-sm';
+const MARKER_STYLE = 'underline decoration-wavy decoration-red-500';
+const HIGHLIGHT_STYLE = 'bg-sky-100';
+
+const NO_MARKERS = [];
+
+/**
+ * 在光標處插入文本，保留瀏覽器的撤銷記錄；不支持 execCommand 時直接修改並觸發 input 事件
+ */
+const insertText = (textarea, text) => {
+  const handled = text === ''
+    ? document.execCommand('delete', false)
+    : document.execCommand('insertText', false, text);
+  if (!handled) {
+    textarea.setRangeText(text, textarea.selectionStart, textarea.selectionEnd, 'end');
+    textarea.dispatchEvent(new Event('input', { bubbles: true }));
+  }
+};
+
+// 光標前的引號數為奇數時位於字符串中
+const isInsideString = (text, lineStart, offset) => {
+  let inside = false;
+  for (let i = lineStart; i < offset; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === '"') {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// 第一個結束於 offset 之後的標記（標記按位置排序）
+const findFirstTokenAfter = (tokens, offset) => {
+  let low = 0;
+  let high = tokens.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (tokens[mid].end <= offset) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+};
+
+/**
+ * 把一行拆分為樣式片段：標記和裝飾（括號配對等）的邊界處切分
+ * @returns {Object} { segments: [[className, text]], signature }
+ */
+const buildLine = (text, lineStart, lineEnd, tokens, decorations) => {
+  const points = new Set([lineStart, lineEnd]);
+  tokens.forEach(({ start, end }) => {
+    points.add(Math.max(start, lineStart));
+    points.add(Math.min(end, lineEnd));
+  });
+  decorations.forEach(({ start, end }) => {
+    points.add(Math.max(start, lineStart));
+    points.add(Math.min(end, lineEnd));
+  });
+
+  const sorted = [...points].sort((a, b) => a - b);
+  const segments = [];
+  for (let i = 0; i < sorted.length - 1; i++) {
+    const start = sorted[i];
+    const end = sorted[i + 1];
+    if (start >= end) continue;
+
+    const token = tokens.find(item => item.start <= start && item.end >= end);
+    const className = [
+      token && TOKEN_STYLES[token.type],
+      ...decorations.filter(item => item.start <= start && item.end >= end).map(item => item.className)
+    ].filter(Boolean).join(' ');
+
+    const previous = segments[segments.length - 1];
+    if (previous && previous[0] === className) {
+      previous[1] += text.slice(start, end);
+    } else {
+      segments.push([className, text.slice(start, end)]);
+    }
+  }
+
+  return { segments, signature: segments.map(([className, part]) => `${className}\u0000${part}`).join('\u0001') };
+};
+
+// 內容未變的行不重新渲染
+const CodeLine = memo(function CodeLine({ segments }) {
+  return (
+    <div style={{ height: LINE_HEIGHT }}>
+      {segments.map(([className, text], index) => (
+        className ? <span key={index} className={className}>{text}</span> : text
+      ))}
+    </div>
+  );
+}, (prev, next) => prev.signature === next.signature);
+
+/**
+ * JSON 代碼編輯器 - 語法高亮、行號、括號配對、摺疊、自動縮進和自動閉合括號
+ *
+ * 文字透明的 textarea 疊放在高亮層上，保留瀏覽器原生的輸入、選區和撤銷。
+ * 摺疊的內容在 textarea 中顯示為一個佔位字符，編輯時把顯示文本的變化換算回完整文本；
+ * 刪除佔位字符會刪除摺疊的內容。value / onChange 始終是完整文本。
+ * 高亮層和行號只渲染可見範圍內的行，長文檔輸入時不需要重建所有行
+ *
+ * markers: [{ offset, length, message }] 錯誤標記，顯示為波浪線和行號旁的紅點
+ * highlight: { start, end } 高亮的範圍（如圖形中選中的節點）
+ * onCaretMove(offset): 光標或選區起點移動時調用，位置為完整文本中的位置
+ */
+const CodeEditor = forwardRef(function CodeEditor({
+  value,
+  onChange,
+  onFocus,
+  onBlur,
+  onKeyDown,
+  invalid = false,
+  focused = false,
+  placeholder = '',
+  markers = NO_MARKERS,
+  highlight = null,
+  onCaretMove
+}, ref) {
+  const [folds, setFolds] = useState([]); // 摺疊的開括號位置（完整文本）
+  const [caret, setCaret] = useState(null); // 顯示文本中的光標位置，有選區或失焦時為 null
+  const [viewport, setViewport] = useState({ top: 0, height: 0 }); // 滾動位置和可見高度
+
+  const textareaRef = useRef(null);
+  const scrollerRef = useRef(null);
+  const gutterRef = useRef(null);
+  const measureRef = useRef(null); // 測量單個字符的寬度
+  const lastEmittedRef = useRef(value); // 最後一次由編輯產生的文本，用於區分外部更新
+  const previousValueRef = useRef(value);
+  const pendingSelectionRef = useRef(null); // 顯示文本變化後要處理的範圍 { start, end（完整文本位置）, select, reveal }
+
+  // 完整文本的標記、括號配對、行和可摺疊範圍
+  const analysis = useMemo(() => {
+    const tokens = tokenizeJson(value);
+    const pairs = matchBrackets(tokens, value);
+    const lineStarts = getLineStarts(value);
+    const foldRanges = getFoldRanges(pairs, lineStarts);
+    return { tokens, pairs, lineStarts, foldRanges };
+  }, [value]);
+
+  // 外部更新文本（格式化、其他視圖的修改）時，按開括號所在的行保留摺疊
+  useLayoutEffect(() => {
+    if (value === lastEmittedRef.current) {
+      previousValueRef.current = value;
+      return;
+    }
+
+    const previousStarts = getLineStarts(previousValueRef.current);
+    setFolds(prev => {
+      if (prev.length === 0) return prev;
+      const foldedLines = new Set(prev.map(start => getLineAt(previousStarts, start)));
+      const firstRangeByLine = new Map();
+      analysis.foldRanges.forEach((range) => {
+        if (!firstRangeByLine.has(range.line)) firstRangeByLine.set(range.line, range.start);
+      });
+      return [...foldedLines].filter(line => firstRangeByLine.has(line)).map(line => firstRangeByLine.get(line));
+    });
+    lastEmittedRef.current = value;
+    previousValueRef.current = value;
+  }, [value, analysis]);
+
+  // 顯示文本：摺疊的內容替換為佔位字符（被外層摺疊包含的摺疊不單獨處理）
+  const view = useMemo(() => {
+    const folded = new Set(folds);
+    const hidden = []; // [{ placeholder: 顯示位置, start, end: 隱藏的完整文本範圍 }]
+    let text = '';
+    let cursor = 0;
+
+    analysis.foldRanges.forEach((range) => {
+      if (!folded.has(range.start) || range.start < cursor) return;
+      text += value.slice(cursor, range.start + 1);
+      hidden.push({ placeholder: text.length, start: range.start + 1, end: range.end });
+      text += FOLD_PLACEHOLDER;
+      cursor = range.end;
+    });
+    text += value.slice(cursor);
+
+    // 顯示位置 → 完整文本位置，佔位字符之後的位置跳過隱藏內容
+    const toFull = (offset) => {
+      let shift = 0;
+      for (const item of hidden) {
+        if (offset <= item.placeholder) break;
+        shift += item.end - item.start - 1;
+      }
+      return offset + shift;
+    };
+
+    // 完整文本位置 → 顯示位置，隱藏內容中的位置落在佔位字符上
+    const toDisplay = (offset) => {
+      let shift = 0;
+      for (const item of hidden) {
+        if (offset <= item.start) break;
+        if (offset < item.end) return item.placeholder;
+        shift += item.end - item.start - 1;
+      }
+      return offset - shift;
+    };
+
+    return { text, hidden, toFull, toDisplay, foldedStarts: new Set(hidden.map(item => item.start - 1)) };
+  }, [value, folds, analysis]);
+
+  // 顯示文本的分析結果；沒有摺疊時顯示文本就是完整文本，直接沿用
+  const { tokens: displayTokens, pairs: displayPairs, lineStarts: displayLineStarts } = useMemo(() => {
+    if (view.hidden.length === 0) return analysis;
+    const tokens = tokenizeJson(view.text);
+    return { tokens, pairs: matchBrackets(tokens, view.text), lineStarts: getLineStarts(view.text) };
+  }, [view, analysis]);
+
+  const updateViewport = useCallback(() => {
+    const scroller = scrollerRef.current;
+    if (!scroller) return;
+    setViewport(prev => (
+      prev.top === scroller.scrollTop && prev.height === scroller.clientHeight
+        ? prev
+        : { top: scroller.scrollTop, height: scroller.clientHeight }
+    ));
+  }, []);
+
+  useEffect(() => {
+    const scroller = scrollerRef.current;
+    if (!scroller) return;
+
+    updateViewport();
+    const observer = new ResizeObserver(updateViewport);
+    observer.observe(scroller);
+    return () => observer.disconnect();
+  }, [updateViewport]);
+
+  // 需要渲染的顯示行範圍 [start, end)
+  const lineCount = displayLineStarts.length;
+  const visibleRange = useMemo(() => ({
+    start: Math.max(0, Math.min(lineCount, Math.floor((viewport.top - PADDING_Y) / LINE_HEIGHT) - OVERSCAN_LINES)),
+    end: Math.min(lineCount, Math.ceil((viewport.top + viewport.height) / LINE_HEIGHT) + OVERSCAN_LINES)
+  }), [viewport, lineCount]);
+
+  // 錯誤標記在顯示文本中的範圍，至少一個字符；摺疊內容中的標記落在佔位字符上
+  const markerRanges = useMemo(() => {
+    const length = view.text.length;
+    return markers.map((marker) => {
+      const start = Math.max(0, Math.min(view.toDisplay(marker.offset), length - 1));
+      const end = Math.min(length, Math.max(start + 1, view.toDisplay(marker.offset + marker.length)));
+      return { start, end, message: marker.message };
+    });
+  }, [markers, view]);
+
+  // 高亮範圍、錯誤標記，以及光標前後的括號和配對括號
+  const decorations = useMemo(() => {
+    const result = markerRanges.map(({ start, end }) => ({ start, end, className: MARKER_STYLE }));
+    if (highlight) {
+      result.unshift({ start: view.toDisplay(highlight.start), end: view.toDisplay(highlight.end), className: HIGHLIGHT_STYLE });
+    }
+    if (caret === null) return result;
+
+    const bracket = [caret - 1, caret].find(offset => displayPairs.has(offset));
+    if (bracket === undefined) return result;
+    const match = displayPairs.get(bracket);
+    return [
+      ...result,
+      { start: bracket, end: bracket + 1, className: BRACKET_MATCH_STYLE },
+      { start: match, end: match + 1, className: BRACKET_MATCH_STYLE }
+    ];
+  }, [markerRanges, highlight, view, caret, displayPairs]);
+
+  // 可見範圍內高亮的行
+  const lines = useMemo(() => {
+    const result = [];
+    let tokenIndex = findFirstTokenAfter(displayTokens, displayLineStarts[visibleRange.start] ?? 0);
+    for (let index = visibleRange.start; index < visibleRange.end; index++) {
+      const lineStart = displayLineStarts[index];
+      const lineEnd = index + 1 < displayLineStarts.length ? displayLineStarts[index + 1] - 1 : view.text.length;
+      while (tokenIndex < displayTokens.length && displayTokens[tokenIndex].end <= lineStart) tokenIndex++;
+
+      const lineTokens = [];
+      for (let i = tokenIndex; i < displayTokens.length && displayTokens[i].start < lineEnd; i++) {
+        lineTokens.push(displayTokens[i]);
+      }
+      const lineDecorations = decorations.filter(item => item.start < lineEnd && item.end > lineStart);
+      result.push(buildLine(view.text, lineStart, lineEnd, lineTokens, lineDecorations));
+    }
+    return result;
+  }, [view.text, displayLineStarts, displayTokens, decorations, visibleRange]);
+
+  // 可見範圍內每個顯示行對應的原始行號和摺疊範圍
+  const gutterLines = useMemo(() => {
+    const rangeByLine = new Map();
+    analysis.foldRanges.forEach((range) => {
+      if (!rangeByLine.has(range.line)) rangeByLine.set(range.line, range);
+    });
+
+    // 每行的錯誤信息
+    const messagesByLine = new Map();
+    markerRanges.forEach(({ start, message }) => {
+      const line = getLineAt(displayLineStarts, start);
+      messagesByLine.set(line, [...(messagesByLine.get(line) || []), message]);
+    });
+
+    return displayLineStarts.slice(visibleRange.start, visibleRange.end).map((lineStart, offset) => {
+      const line = getLineAt(analysis.lineStarts, view.toFull(lineStart));
+      const fold = rangeByLine.get(line) ?? null;
+      return {
+        line,
+        fold,
+        folded: Boolean(fold && view.foldedStarts.has(fold.start)),
+        messages: messagesByLine.get(visibleRange.start + offset) ?? null
+      };
+    });
+  }, [displayLineStarts, analysis, view, markerRanges, visibleRange]);
+
+  const maxLineLength = useMemo(() => {
+    return displayLineStarts.reduce((max, lineStart, index) => {
+      const lineEnd = index + 1 < displayLineStarts.length ? displayLineStarts[index + 1] - 1 : view.text.length;
+      return Math.max(max, lineEnd - lineStart);
+    }, 0);
+  }, [displayLineStarts, view.text]);
+
+  // 滾動到顯示文本中的位置（超出可見範圍時居中）
+  const revealOffset = useCallback((offset, lineStarts) => {
+    const scroller = scrollerRef.current;
+    if (!scroller) return;
+
+    const line = getLineAt(lineStarts, offset);
+    const top = PADDING_Y + line * LINE_HEIGHT;
+    if (top < scroller.scrollTop || top + LINE_HEIGHT > scroller.scrollTop + scroller.clientHeight) {
+      scroller.scrollTop = Math.max(0, top - scroller.clientHeight / 2);
+    }
+
+    const charWidth = measureRef.current?.getBoundingClientRect().width || 8;
+    const visibleWidth = scroller.clientWidth - (gutterRef.current?.offsetWidth ?? 0);
+    const left = PADDING_X + (offset - lineStarts[line]) * charWidth;
+    if (left < scroller.scrollLeft || left + charWidth > scroller.scrollLeft + visibleWidth) {
+      scroller.scrollLeft = Math.max(0, left - visibleWidth / 2);
+    }
+  }, []);
+
+  // 摺疊或展開後恢復選區，或滾動到展開後的範圍
+  useLayoutEffect(() => {
+    const textarea = textareaRef.current;
+    const pending = pendingSelectionRef.current;
+    if (!textarea || !pending) return;
+
+    pendingSelectionRef.current = null;
+    const start = view.toDisplay(pending.start);
+    if (pending.select) textarea.setSelectionRange(start, view.toDisplay(pending.end));
+    if (pending.reveal) revealOffset(start, displayLineStarts);
+  }, [view, displayLineStarts, revealOffset]);
+
+  // 滾動到完整文本中的範圍，範圍在摺疊內容中時先展開
+  const revealRange = useCallback((start, end, select) => {
+    const isHidden = (offset) => view.hidden.some(item => offset > item.start && offset < item.end);
+    if (isHidden(start) || isHidden(end)) {
+      const rangeByStart = new Map(analysis.foldRanges.map(range => [range.start, range]));
+      pendingSelectionRef.current = { start, end, select, reveal: true };
+      setFolds(prev => prev.filter((foldStart) => {
+        const range = rangeByStart.get(foldStart);
+        return !range || !((start > range.start && start < range.end) || (end > range.start && end < range.end));
+      }));
+      return;
+    }
+
+    const displayStart = view.toDisplay(start);
+    if (select) textareaRef.current?.setSelectionRange(displayStart, view.toDisplay(end));
+    revealOffset(displayStart, displayLineStarts);
+  }, [view, analysis, displayLineStarts, revealOffset]);
+
+  const toggleFold = useCallback((start) => {
+    const textarea = textareaRef.current;
+    if (textarea && document.activeElement === textarea) {
+      pendingSelectionRef.current = {
+        start: view.toFull(textarea.selectionStart),
+        end: view.toFull(textarea.selectionEnd),
+        select: true,
+        reveal: false
+      };
+    }
+    setFolds(prev => (prev.includes(start) ? prev.filter(item => item !== start) : [...prev, start]));
+  }, [view]);
+
+  useImperativeHandle(ref, () => ({
+    focus: () => textareaRef.current?.focus(),
+    select: () => textareaRef.current?.select(),
+
+    /**
+     * 選中完整文本中的範圍並滾動到該處
+     * @param {Number} start
+     * @param {Number} end
+     */
+    setSelection: (start, end = start) => {
+      textareaRef.current?.focus({ preventScroll: true });
+      revealRange(start, end, true);
+    },
+
+    /**
+     * 只滾動到範圍，不獲取焦點也不改變選區
+     */
+    reveal: (start, end = start) => revealRange(start, end, false)
+  }), [revealRange]);
+
+  // 把顯示文本的變化換算為完整文本的修改
+  const handleChange = useCallback((e) => {
+    const next = e.target.value;
+    const previous = view.text;
+
+    // 變化範圍：公共前綴和後綴之間，插入的內容結束於光標處
+    const maxSuffix = Math.min(previous.length, next.length - e.target.selectionEnd);
+    let suffix = 0;
+    while (suffix < maxSuffix && previous[previous.length - 1 - suffix] === next[next.length - 1 - suffix]) suffix++;
+    const maxPrefix = Math.min(previous.length, next.length) - suffix;
+    let prefix = 0;
+    while (prefix < maxPrefix && previous[prefix] === next[prefix]) prefix++;
+
+    const fullStart = view.toFull(prefix);
+    const fullEnd = view.toFull(previous.length - suffix);
+    const inserted = next.slice(prefix, next.length - suffix);
+    const nextValue = value.slice(0, fullStart) + inserted + value.slice(fullEnd);
+
+    // 與修改範圍重疊的摺疊取消，之後的摺疊隨之移動
+    const delta = inserted.length - (fullEnd - fullStart);
+    const rangeByStart = new Map(analysis.foldRanges.map(range => [range.start, range]));
+    setFolds(prev => prev.flatMap((start) => {
+      const range = rangeByStart.get(start);
+      if (!range) return [];
+      if (range.end < fullStart) return [start];
+      if (start >= fullEnd) return [start + delta];
+      return [];
+    }));
+
+    lastEmittedRef.current = nextValue;
+    onChange(nextValue);
+  }, [value, view, analysis, onChange]);
+
+  // 複製摺疊的內容時使用完整文本
+  const handleCopy = useCallback((e) => {
+    const { selectionStart, selectionEnd } = e.currentTarget;
+    if (view.hidden.length === 0 || selectionStart === selectionEnd) return;
+
+    e.preventDefault();
+    e.clipboardData.setData('text/plain', value.slice(view.toFull(selectionStart), view.toFull(selectionEnd)));
+    if (e.type === 'cut') {
+      insertText(e.currentTarget, '');
+    }
+  }, [value, view]);
+
+  const handleSelect = useCallback((e) => {
+    const { selectionStart, selectionEnd } = e.currentTarget;
+    setCaret(selectionStart === selectionEnd ? selectionStart : null);
+    onCaretMove?.(view.toFull(selectionStart));
+  }, [view, onCaretMove]);
+
+  const handleBlur = useCallback((e) => {
+    setCaret(null);
+    onBlur?.(e);
+  }, [onBlur]);
+
+  // 自動縮進、自動閉合括號和 Tab 縮進；外部的快捷鍵先處理
+  const handleKeyDown = useCallback((e) => {
+    onKeyDown?.(e);
+    if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+
+    const textarea = e.currentTarget;
+    const { selectionStart: start, selectionEnd: end, value: text } = textarea;
+    const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+    const before = text[start - 1];
+    const after = text[start];
+
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      const indent = text.slice(lineStart).match(/^[ \t]*/)[0];
+      const opener = text.slice(lineStart, start).trimEnd().slice(-1);
+      if (opener === '{' || opener === '[') {
+        // 開括號後換行時增加一級縮進，緊跟閉括號時閉括號移到下一行
+        const inner = `\n${indent}${INDENT}`;
+        insertText(textarea, start === end && after === AUTO_PAIRS[opener] ? `${inner}\n${indent}` : inner);
+        textarea.setSelectionRange(start + inner.length, start + inner.length);
+      } else {
+        insertText(textarea, `\n${indent}`);
+      }
+      return;
+    }
+
+    if (e.key === 'Tab') {
+      e.preventDefault();
+      if (!e.shiftKey) {
+        insertText(textarea, INDENT);
+        return;
+      }
+      // Shift+Tab 減少當前行的縮進
+      const removable = text.slice(lineStart, lineStart + INDENT.length).match(/^ */)[0].length;
+      if (removable === 0) return;
+      textarea.setSelectionRange(lineStart, lineStart + removable);
+      insertText(textarea, '');
+      const caretOffset = Math.max(lineStart, start - removable);
+      textarea.setSelectionRange(caretOffset, Math.max(caretOffset, end - removable));
+      return;
+    }
+
+    if (start !== end) return;
+
+    // 輸入的閉括號或引號與光標後的字符相同時跳過
+    const isClosingQuote = e.key === '"' && after === '"' && isInsideString(text, lineStart, start);
+    if (((e.key === '}' || e.key === ']') && after === e.key) || isClosingQuote) {
+      e.preventDefault();
+      textarea.setSelectionRange(start + 1, start + 1);
+      return;
+    }
+
+    // 光標後為空白、行尾或閉合符號時自動補上閉括號
+    if (AUTO_PAIRS[e.key] && (after === undefined || /[\s,\]}:]/.test(after))) {
+      if (e.key === '"' && (before === '\\' || isInsideString(text, lineStart, start))) return;
+      e.preventDefault();
+      insertText(textarea, e.key + AUTO_PAIRS[e.key]);
+      textarea.setSelectionRange(start + 1, start + 1);
+      return;
+    }
+
+    // 刪除空的括號對
+    if (e.key === 'Backspace' && before && AUTO_PAIRS[before] === after) {
+      e.preventDefault();
+      textarea.setSelectionRange(start - 1, start + 1);
+      insertText(textarea, '');
+    }
+  }, [onKeyDown]);
+
+  return (
+    <div
+      ref={scrollerRef}
+      onScroll={updateViewport}
+      className={`
+        h-full overflow-auto transition-colors duration-200
+        ${invalid ? 'bg-red-50' : 'bg-white'}
+        ${focused ? 'ring-2 ring-inset ring-blue-200' : ''}
+      `}
+    >
+      <div className="flex min-w-full w-max min-h-full font-mono text-sm">
+        {/* 行號和摺疊按鈕 */}
+        <div
+          ref={gutterRef}
+          className="sticky left-0 z-10 shrink-0 bg-gray-50 border-r border-gray-200 text-xs text-gray-400 select-none"
+          style={{ paddingTop: PADDING_Y, paddingBottom: PADDING_Y }}
+        >
+          <div style={{ height: visibleRange.start * LINE_HEIGHT }} />
+          {gutterLines.map(({ line, fold, folded, messages }, offset) => (
+            <div key={visibleRange.start + offset} className="flex items-center justify-end pl-1" style={{ height: LINE_HEIGHT }}>
+              <span className="w-3 mr-1 text-center">
+                {messages && (
+                  <span className="text-red-500 cursor-help" title={messages.join('\n')}>●</span>
+                )}
+              </span>
+              <span className={messages ? 'text-red-600 font-medium' : ''}>{line + 1}</span>
+              <span className="w-5 text-center">
+                {fold && (
+                  <button
+                    onMouseDown={(e) => e.preventDefault()}
+                    onClick={() => toggleFold(fold.start)}
+                    className="text-gray-400 hover:text-gray-800"
+                    title={folded ? '展開' : '摺疊'}
+                  >
+                    {folded ? '▸' : '▾'}
+                  </button>
+                )}
+              </span>
+            </div>
+          ))}
+          <div style={{ height: (lineCount - visibleRange.end) * LINE_HEIGHT }} />
+        </div>
+
+        {/* 高亮層和輸入層 */}
+        <div
+          className="relative grow"
+          style={{ minWidth: `${maxLineLength + 4}ch`, minHeight: lineCount * LINE_HEIGHT + PADDING_Y * 2 }}
+        >
+          <span ref={measureRef} aria-hidden="true" className="invisible absolute">0</span>
+          <pre
+            aria-hidden="true"
+            className="absolute inset-0 m-0 overflow-hidden pointer-events-none text-gray-800"
+            style={{ padding: `${PADDING_Y}px ${PADDING_X}px`, lineHeight: `${LINE_HEIGHT}px`, tabSize: 2 }}
+          >
+            {value === '' ? (
+              <span className="text-gray-400">{placeholder}</span>
+            ) : (
+              <>
+                <div style={{ height: visibleRange.start * LINE_HEIGHT }} />
+                {lines.map((line, offset) => (
+                  <CodeLine key={visibleRange.start + offset} segments={line.segments} signature={line.signature} />
+                ))}
+              </>
+            )}
+          </pre>
+          <textarea
+            ref={textareaRef}
+            value={view.text}
+            onChange={handleChange}
+            onKeyDown={handleKeyDown}
+            onSelect={handleSelect}
+            onFocus={onFocus}
+            onBlur={handleBlur}
+            onCopy={handleCopy}
+            onCut={handleCopy}
+            wrap="off"
+            spellCheck={false}
+            className="absolute inset-0 w-full h-full m-0 resize-none border-none outline-none overflow-hidden whitespace-pre bg-transparent text-transparent caret-gray-900 selection:bg-blue-300/40"
+            style={{ padding: `${PADDING_Y}px ${PADDING_X}px`, lineHeight: `${LINE_HEIGHT}px`, tabSize: 2 }}
+          />
+        </div>
+      </div>
+    </div>
+  );
+});
+
+export default CodeEditor;
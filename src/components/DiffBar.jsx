@@ -0,0 +1,134 @@
+import { useState, useEffect } from 'react';
+import { useJsonStore, selectDiffResult } from '../stores/jsonStore_v2';
+
+// 差異類型的顯示樣式
+export const DIFF_TYPE_STYLES = {
+  added: { label: '新增', symbol: '+', className: 'text-green-700 bg-green-100' },
+  removed: { label: '刪除', symbol: '−', className: 'text-red-700 bg-red-100' },
+  changed: { label: '修改', symbol: '~', className: 'text-amber-700 bg-amber-100' }
+};
+
+const formatPreview = (value) => {
+  if (value === undefined) return '';
+  const text = JSON.stringify(value);
+  return text.length > 40 ? `${text.substring(0, 37)}...` : text;
+};
+
+/**
+ * 比較模式工具欄 - 顯示差異統計和變更列表，點擊變更可定位到對應位置
+ */
+const DiffBar = () => {
+  const [isListOpen, setIsListOpen] = useState(false);
+  const [currentIndex, setCurrentIndex] = useState(-1);
+
+  const diffBase = useJsonStore((state) => state.diffBase);
+  const diffResult = useJsonStore(selectDiffResult);
+  const stopDiff = useJsonStore((state) => state.stopDiff);
+  const focusPath = useJsonStore((state) => state.focusPath);
+
+  const changes = diffResult?.changes || [];
+
+  // 差異內容變化時重置當前位置
+  useEffect(() => {
+    setCurrentIndex(-1);
+  }, [diffResult]);
+
+  if (!diffBase || !diffResult) return null;
+
+  const counts = changes.reduce((acc, change) => {
+    acc[change.type] += 1;
+    return acc;
+  }, { added: 0, removed: 0, changed: 0 });
+
+  const goToChange = (index) => {
+    if (changes.length === 0) return;
+    const nextIndex = (index + changes.length) % changes.length;
+    setCurrentIndex(nextIndex);
+    focusPath(changes[nextIndex].path);
+  };
+
+  return (
+    <div className="relative h-9 bg-amber-50 border-b border-amber-200 flex items-center px-3 text-sm space-x-3">
+      <span className="text-amber-800 font-medium whitespace-nowrap">⇄ 比較模式</span>
+      <span className="text-gray-600 truncate" title={diffBase.label}>
+        基準: <span className="font-medium">{diffBase.label}</span> → 當前文檔
+      </span>
+
+      <div className="flex items-center space-x-1 text-xs">
+        {Object.entries(DIFF_TYPE_STYLES).map(([type, style]) => (
+          <span key={type} className={`px-1.5 py-0.5 rounded ${style.className}`} title={style.label}>
+            {style.symbol}{counts[type]}
+          </span>
+        ))}
+      </div>
+
+      <div className="ml-auto flex items-center space-x-1">
+        <button
+          onClick={() => goToChange(currentIndex - 1)}
+          disabled={changes.length === 0}
+          className="px-2 py-0.5 text-xs bg-white border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-40 disabled:cursor-not-allowed"
+          title="上一處差異"
+        >
+          ‹
+        </button>
+        <span className="text-xs text-gray-600 w-14 text-center">
+          {changes.length === 0 ? '無差異' : `${currentIndex + 1 || '-'} / ${changes.length}`}
+        </span>
+        <button
+          onClick={() => goToChange(currentIndex + 1)}
+          disabled={changes.length === 0}
+          className="px-2 py-0.5 text-xs bg-white border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-40 disabled:cursor-not-allowed"
+          title="下一處差異"
+        >
+          ›
+        </button>
+        <button
+          onClick={() => setIsListOpen(prev => !prev)}
+          disabled={changes.length === 0}
+          className={`px-2 py-0.5 text-xs border border-gray-300 rounded disabled:opacity-40 disabled:cursor-not-allowed ${
+            isListOpen ? 'bg-amber-100' : 'bg-white hover:bg-gray-50'
+          }`}
+        >
+          變更列表 ▾
+        </button>
+        <button
+          onClick={stopDiff}
+          className="px-2 py-0.5 text-xs text-red-600 bg-white border border-gray-300 rounded hover:bg-red-50"
+        >
+          ✕ 退出比較
+        </button>
+      </div>
+
+      {isListOpen && changes.length > 0 && (
+        <ul className="absolute right-3 top-full mt-1 w-[28rem] max-h-80 overflow-auto z-40 bg-white border border-gray-300 rounded-lg shadow-lg text-xs">
+          {changes.map((change, index) => {
+            const style = DIFF_TYPE_STYLES[change.type];
+
+            return (
+              <li key={`${change.type}-${change.path}`}>
+                <button
+                  onClick={() => goToChange(index)}
+                  className={`w-full px-3 py-1.5 text-left border-b border-gray-100 flex items-start space-x-2 ${
+                    index === currentIndex ? 'bg-blue-50' : 'hover:bg-gray-50'
+                  }`}
+                >
+                  <span className={`px-1 rounded font-mono ${style.className}`}>{style.symbol}</span>
+                  <span className="flex-1 min-w-0">
+                    <span className="block font-mono text-gray-800 truncate">{change.path || '/'}</span>
+                    <span className="block text-gray-500 truncate">
+                      {change.type === 'changed'
+                        ? `${formatPreview(change.before)} → ${formatPreview(change.after)}`
+                        : formatPreview(change.type === 'added' ? change.after : change.before)}
+                    </span>
+                  </span>
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default DiffBar;
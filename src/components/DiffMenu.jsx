@@ -0,0 +1,109 @@
+import { useState, useEffect, useRef } from 'react';
+import { useJsonStore, getDocumentTitle } from '../stores/jsonStore_v2';
+
+/**
+ * 比較菜單 - 選擇與另一個打開的文檔或已保存版本進行比較
+ * 與任意歷史版本比較可在歷史記錄面板中發起
+ */
+const DiffMenu = () => {
+  const [isOpen, setIsOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  const diffBase = useJsonStore((state) => state.diffBase);
+  const documentOrder = useJsonStore((state) => state.documentOrder);
+  const activeDocumentId = useJsonStore((state) => state.activeDocumentId);
+  const savedRevisionId = useJsonStore((state) => state.savedRevisionId);
+  const hasSavedRevision = useJsonStore((state) =>
+    state.history.entries.some(entry => entry.id === state.savedRevisionId)
+  );
+  const startDiff = useJsonStore((state) => state.startDiff);
+  const stopDiff = useJsonStore((state) => state.stopDiff);
+
+  // 點擊菜單外部時關閉
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handlePointerDown = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    window.addEventListener('mousedown', handlePointerDown);
+    return () => window.removeEventListener('mousedown', handlePointerDown);
+  }, [isOpen]);
+
+  const runAction = (action) => {
+    setIsOpen(false);
+    action();
+  };
+
+  const otherDocuments = documentOrder.filter(id => id !== activeDocumentId);
+  const getTitle = (id) => getDocumentTitle(useJsonStore.getState(), id);
+
+  return (
+    <div ref={menuRef} className="relative">
+      <button
+        onClick={() => setIsOpen(prev => !prev)}
+        className={`px-2 py-1 text-sm text-white rounded transition-colors ${
+          isOpen || diffBase ? 'bg-white/30' : 'hover:bg-white/20'
+        }`}
+        title="比較文檔差異"
+      >
+        ⇄ 比較 ▾
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 top-full mt-2 w-64 z-50 bg-white border border-gray-300 rounded-lg shadow-lg overflow-hidden text-sm">
+          <button
+            onClick={() => runAction(() => startDiff({ kind: 'revision', revisionId: savedRevisionId }))}
+            disabled={!hasSavedRevision}
+            className="w-full px-3 py-2 text-left text-gray-700 hover:bg-gray-50 disabled:text-gray-400 disabled:cursor-not-allowed"
+            title={hasSavedRevision ? '與最後保存的版本比較' : '歷史記錄中沒有已保存的版本'}
+          >
+            💾 與已保存版本比較
+          </button>
+
+          <div className="px-3 py-1 bg-gray-100 border-y border-gray-200 text-xs text-gray-500">
+            與打開的文檔比較
+          </div>
+          {otherDocuments.length === 0 ? (
+            <div className="px-3 py-2 text-xs text-gray-400">沒有其他打開的文檔</div>
+          ) : (
+            <ul className="max-h-60 overflow-auto">
+              {otherDocuments.map((id) => (
+                <li key={id}>
+                  <button
+                    onClick={() => runAction(() => startDiff({ kind: 'document', documentId: id }))}
+                    className={`w-full px-3 py-1.5 text-left hover:bg-gray-50 truncate ${
+                      diffBase?.kind === 'document' && diffBase.documentId === id
+                        ? 'text-blue-700 font-medium'
+                        : 'text-gray-700'
+                    }`}
+                  >
+                    📄 {getTitle(id)}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="px-3 py-2 border-t border-gray-200 text-xs text-gray-400">
+            💡 在歷史記錄中可與任意版本比較
+          </div>
+
+          {diffBase && (
+            <button
+              onClick={() => runAction(stopDiff)}
+              className="w-full px-3 py-2 text-left text-red-600 hover:bg-red-50 border-t border-gray-200"
+            >
+              ✕ 退出比較
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DiffMenu;
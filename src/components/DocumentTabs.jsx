@@ -0,0 +1,70 @@
+import { useJsonStore, selectIsDirty, isDocumentDirty } from '../stores/jsonStore_v2';
+
+/**
+ * 文檔標籤欄 - 切換、新建和關閉打開的文檔
+ */
+const DocumentTabs = () => {
+  const documents = useJsonStore((state) => state.documents);
+  const documentOrder = useJsonStore((state) => state.documentOrder);
+  const activeDocumentId = useJsonStore((state) => state.activeDocumentId);
+  const activeFileName = useJsonStore((state) => state.file.name);
+  const activeIsDirty = useJsonStore(selectIsDirty);
+  const createDocument = useJsonStore((state) => state.createDocument);
+  const switchDocument = useJsonStore((state) => state.switchDocument);
+  const closeDocument = useJsonStore((state) => state.closeDocument);
+
+  const handleClose = (id, title, isDirty) => {
+    if (isDirty && !window.confirm(`「${title}」有未保存的修改，確定關閉？`)) {
+      return;
+    }
+    closeDocument(id);
+  };
+
+  return (
+    <div className="h-9 bg-gray-100 border-b border-gray-300 flex items-end px-2 space-x-1 overflow-x-auto">
+      {documentOrder.map((id) => {
+        const isActive = id === activeDocumentId;
+        const title = (isActive ? activeFileName : documents[id].state?.file?.name) || documents[id].title;
+        const isDirty = isActive ? activeIsDirty : isDocumentDirty(documents[id].state);
+
+        return (
+          <div
+            key={id}
+            className={`group h-8 px-3 flex items-center space-x-2 rounded-t border border-b-0 cursor-pointer text-sm whitespace-nowrap transition-colors ${
+              isActive
+                ? 'bg-white border-gray-300 text-gray-800 font-medium'
+                : 'bg-gray-200 border-transparent text-gray-600 hover:bg-gray-50'
+            }`}
+            onClick={() => switchDocument(id)}
+            title={title}
+          >
+            <span className="max-w-[10rem] truncate">{title}</span>
+            {isDirty && <span className="text-yellow-500 text-xs">●</span>}
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                handleClose(id, title, isDirty);
+              }}
+              className={`w-4 h-4 flex items-center justify-center text-xs text-gray-400 hover:text-red-600 hover:bg-red-50 rounded transition-opacity ${
+                isActive ? 'opacity-100' : 'opacity-0 group-hover:opacity-100'
+              }`}
+              title={`關閉 ${title}`}
+            >
+              ✕
+            </button>
+          </div>
+        );
+      })}
+
+      <button
+        onClick={() => createDocument()}
+        className="h-8 px-2 text-sm text-gray-500 hover:text-gray-800 hover:bg-gray-200 rounded-t transition-colors"
+        title="新建文檔"
+      >
+        ＋
+      </button>
+    </div>
+  );
+};
+
+export default DocumentTabs;
@@ -0,0 +1,174 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useJsonStore, selectFile, selectIsDirty } from '../stores/jsonStore_v2';
+import {
+  openDocumentFile,
+  openRecentDocument,
+  saveDocument,
+  saveDocumentAs
+} from '../stores/documentFiles';
+import { loadRecentFiles } from '../utils/fileAccess';
+import { hasComments } from '../utils/jsonComments';
+
+const formatDateTime = (timestamp) => new Date(timestamp).toLocaleString();
+
+const SAVE_FORMATS = [
+  { id: 'original', label: '保留原格式和注釋' },
+  { id: 'json', label: '標準 JSON' }
+];
+
+/**
+ * 文件菜單 - 打開/保存/另存為和最近文件列表
+ * 同時顯示當前文件名及未保存標記；JSONC / JSON5 文檔可選擇保存格式
+ */
+const FileMenu = () => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [recentFiles, setRecentFiles] = useState([]);
+  const menuRef = useRef(null);
+
+  const file = useJsonStore(selectFile);
+  const isDirty = useJsonStore(selectIsDirty);
+  const fileError = useJsonStore((state) => state.errors.file);
+  const clearError = useJsonStore((state) => state.clearError);
+  const sourceFormat = useJsonStore((state) => state.sourceFormat);
+  const setSaveFormat = useJsonStore((state) => state.setSaveFormat);
+  const hasSaveFormatChoice = sourceFormat.dialect !== 'json' || hasComments(sourceFormat.comments);
+
+  // 打開菜單時刷新最近文件列表
+  useEffect(() => {
+    if (!isOpen) return;
+
+    let cancelled = false;
+    loadRecentFiles().then((files) => {
+      if (!cancelled) setRecentFiles(files);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen]);
+
+  // 點擊菜單外部時關閉
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handlePointerDown = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    window.addEventListener('mousedown', handlePointerDown);
+    return () => window.removeEventListener('mousedown', handlePointerDown);
+  }, [isOpen]);
+
+  const runAction = useCallback((action) => {
+    setIsOpen(false);
+    clearError('file');
+    action();
+  }, [clearError]);
+
+  return (
+    <div ref={menuRef} className="relative flex items-center space-x-2">
+      <button
+        onClick={() => setIsOpen(prev => !prev)}
+        className={`px-2 py-1 text-sm text-white rounded transition-colors ${
+          isOpen ? 'bg-white/30' : 'hover:bg-white/20'
+        }`}
+      >
+        📁 文件 ▾
+      </button>
+
+      {/* 當前文件名和未保存標記 */}
+      <span
+        className="text-xs text-blue-100 max-w-[12rem] truncate"
+        title={isDirty ? '有未保存的修改' : '已保存'}
+      >
+        {file.name || '未命名'}
+        {isDirty && <span className="ml-1 text-yellow-300">●</span>}
+      </span>
+
+      {fileError && (
+        <span
+          className="text-xs text-red-100 bg-red-500/60 px-2 py-0.5 rounded max-w-[16rem] truncate cursor-pointer"
+          title={fileError}
+          onClick={() => clearError('file')}
+        >
+          ⚠️ {fileError}
+        </span>
+      )}
+
+      {isOpen && (
+        <div className="absolute left-0 top-full mt-2 w-64 z-50 bg-white border border-gray-300 rounded-lg shadow-lg overflow-hidden text-sm">
+          <button
+            onClick={() => runAction(openDocumentFile)}
+            className="w-full px-3 py-2 text-left text-gray-700 hover:bg-gray-50 flex justify-between"
+          >
+            <span>📂 打開...</span>
+            <span className="text-xs text-gray-400">Ctrl+O</span>
+          </button>
+          <button
+            onClick={() => runAction(saveDocument)}
+            className="w-full px-3 py-2 text-left text-gray-700 hover:bg-gray-50 flex justify-between"
+          >
+            <span>💾 保存</span>
+            <span className="text-xs text-gray-400">Ctrl+S</span>
+          </button>
+          <button
+            onClick={() => runAction(saveDocumentAs)}
+            className="w-full px-3 py-2 text-left text-gray-700 hover:bg-gray-50 flex justify-between"
+          >
+            <span>📝 另存為...</span>
+            <span className="text-xs text-gray-400">Ctrl+Shift+S</span>
+          </button>
+
+          {hasSaveFormatChoice && (
+            <>
+              <div className="px-3 py-1 bg-gray-100 border-y border-gray-200 text-xs text-gray-500">
+                保存格式
+              </div>
+              {SAVE_FORMATS.map(({ id, label }) => (
+                <label key={id} className="flex items-center px-3 py-1.5 text-gray-700 hover:bg-gray-50 cursor-pointer">
+                  <input
+                    type="radio"
+                    name="save-format"
+                    checked={sourceFormat.saveAs === id}
+                    onChange={() => setSaveFormat(id)}
+                    className="mr-2"
+                  />
+                  {id === 'original' ? `${label} (${sourceFormat.dialect.toUpperCase()})` : label}
+                </label>
+              ))}
+            </>
+          )}
+
+          <div className="px-3 py-1 bg-gray-100 border-y border-gray-200 text-xs text-gray-500">
+            最近文件
+          </div>
+          {recentFiles.length === 0 ? (
+            <div className="px-3 py-2 text-xs text-gray-400">沒有最近打開的文件</div>
+          ) : (
+            <ul className="max-h-60 overflow-auto">
+              {recentFiles.map((entry) => (
+                <li key={`${entry.name}-${entry.openedAt}`}>
+                  <button
+                    onClick={() => runAction(() => openRecentDocument(entry))}
+                    className="w-full px-3 py-1.5 text-left hover:bg-gray-50 disabled:cursor-not-allowed"
+                    disabled={!entry.handle}
+                    title={entry.handle ? entry.name : '此文件需要通過「打開」重新選擇'}
+                  >
+                    <div className={`truncate ${entry.handle ? 'text-gray-700' : 'text-gray-400'}`}>
+                      {entry.name}
+                    </div>
+                    <div className="text-xs text-gray-400">{formatDateTime(entry.openedAt)}</div>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FileMenu;
@@ -0,0 +1,194 @@
+import { useState, useMemo } from 'react';
+import { useJsonStore } from '../stores/jsonStore_v2';
+import { replaceInJson } from '../utils/searchUtils';
+
+// 替換目標選項
+const REPLACE_TARGETS = [
+  { id: 'both', label: '鍵和值' },
+  { id: 'keys', label: '僅鍵' },
+  { id: 'values', label: '僅值' }
+];
+
+const formatPreviewValue = (value) => JSON.stringify(value);
+
+/**
+ * 查找替換對話框 - 在解析後的數據上替換鍵名或字符串值
+ * 應用前列出所有受影響的路徑，應用時作為一次可撤銷的更新提交
+ */
+const FindReplaceDialog = ({ onClose }) => {
+  const [query, setQuery] = useState('');
+  const [replacement, setReplacement] = useState('');
+  const [regex, setRegex] = useState(false);
+  const [caseSensitive, setCaseSensitive] = useState(false);
+  const [target, setTarget] = useState('both');
+  const [scopeToSelection, setScopeToSelection] = useState(false);
+  const [applyError, setApplyError] = useState(null);
+
+  const jsonData = useJsonStore((state) => state.jsonData);
+  const selectedPath = useJsonStore((state) => state.selectedPath);
+  const replaceAll = useJsonStore((state) => state.replaceAll);
+
+  const canScope = selectedPath !== null && selectedPath !== '';
+  const scopePath = scopeToSelection && canScope ? selectedPath : '';
+  const options = useMemo(
+    () => ({ regex, caseSensitive, target, scopePath }),
+    [regex, caseSensitive, target, scopePath]
+  );
+
+  // 預覽：每次輸入變化時重新計算受影響的路徑
+  const preview = useMemo(() => {
+    try {
+      return { changes: replaceInJson(jsonData, query, replacement, options).changes, error: null };
+    } catch (error) {
+      return { changes: [], error: error.message };
+    }
+  }, [jsonData, query, replacement, options]);
+
+  const applicableCount = preview.changes.filter(change => !change.conflict).length;
+
+  const handleApply = () => {
+    if (replaceAll(query, replacement, options) !== null) {
+      console.log(`[FindReplace] 已替換 ${applicableCount} 處`);
+      onClose();
+    } else {
+      setApplyError(useJsonStore.getState().errors.graphViewer);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  const checkboxLabelClass = 'flex items-center space-x-1 text-xs text-gray-600 cursor-pointer';
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30" onKeyDown={handleKeyDown}>
+      <div className="w-[36rem] max-h-[80vh] flex flex-col bg-white rounded-lg shadow-xl overflow-hidden">
+        <div className="px-4 py-3 bg-gradient-to-r from-blue-600 to-purple-600 flex items-center justify-between">
+          <h2 className="text-sm font-bold text-white">🔁 查找替換</h2>
+          <button onClick={onClose} className="text-white/80 hover:text-white text-sm" title="關閉 (Esc)">
+            ✕
+          </button>
+        </div>
+
+        <div className="p-4 space-y-2 text-sm">
+          <div className="flex items-center space-x-2">
+            <label className="w-14 text-xs text-gray-500">查找</label>
+            <input
+              autoFocus
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              className={`flex-1 px-2 py-1 border rounded font-mono text-xs outline-none ${
+                preview.error ? 'border-red-400 bg-red-50' : 'border-gray-300 focus:border-blue-400'
+              }`}
+              spellCheck={false}
+            />
+          </div>
+          <div className="flex items-center space-x-2">
+            <label className="w-14 text-xs text-gray-500">替換為</label>
+            <input
+              value={replacement}
+              onChange={(e) => setReplacement(e.target.value)}
+              placeholder={regex ? '可使用 $1、$<name> 引用捕獲組' : ''}
+              className="flex-1 px-2 py-1 border border-gray-300 rounded font-mono text-xs outline-none focus:border-blue-400"
+              spellCheck={false}
+            />
+          </div>
+
+          <div className="flex items-center flex-wrap gap-x-4 gap-y-1 pl-16">
+            <label className={checkboxLabelClass}>
+              <input type="checkbox" checked={regex} onChange={(e) => setRegex(e.target.checked)} />
+              <span>正則表達式</span>
+            </label>
+            <label className={checkboxLabelClass}>
+              <input type="checkbox" checked={caseSensitive} onChange={(e) => setCaseSensitive(e.target.checked)} />
+              <span>區分大小寫</span>
+            </label>
+            <select
+              value={target}
+              onChange={(e) => setTarget(e.target.value)}
+              className="px-1 py-0.5 text-xs border border-gray-300 rounded bg-white text-gray-700"
+              title="替換目標"
+            >
+              {REPLACE_TARGETS.map(({ id, label }) => (
+                <option key={id} value={id}>{label}</option>
+              ))}
+            </select>
+            <label className={`${checkboxLabelClass} ${canScope ? '' : 'opacity-50 cursor-not-allowed'}`}>
+              <input
+                type="checkbox"
+                checked={scopeToSelection && canScope}
+                disabled={!canScope}
+                onChange={(e) => setScopeToSelection(e.target.checked)}
+              />
+              <span>
+                僅在選中路徑內{canScope && <span className="ml-1 font-mono text-gray-400">{selectedPath}</span>}
+              </span>
+            </label>
+          </div>
+
+          {preview.error && <div className="text-xs text-red-600">{preview.error}</div>}
+        </div>
+
+        {/* 受影響路徑的預覽 */}
+        <div className="flex-1 min-h-[8rem] overflow-auto border-t bg-gray-50">
+          {preview.changes.length === 0 ? (
+            <div className="p-4 text-xs text-gray-400 text-center">
+              {query ? '沒有匹配的鍵或值' : '輸入查找內容以預覽替換結果'}
+            </div>
+          ) : (
+            <ul className="divide-y divide-gray-200 text-xs">
+              {preview.changes.map((change) => (
+                <li
+                  key={`${change.kind}:${change.path}`}
+                  className={`px-4 py-1.5 ${change.conflict ? 'bg-red-50' : ''}`}
+                >
+                  <div className="flex items-center space-x-2">
+                    <span className={`px-1 rounded ${
+                      change.kind === 'key' ? 'bg-purple-100 text-purple-700' : 'bg-green-100 text-green-700'
+                    }`}>
+                      {change.kind === 'key' ? '鍵' : '值'}
+                    </span>
+                    <span className="font-mono text-gray-600 truncate" title={change.path}>{change.path}</span>
+                  </div>
+                  <div className="mt-0.5 pl-6 font-mono truncate">
+                    <span className="text-red-600 line-through">{formatPreviewValue(change.before)}</span>
+                    <span className="mx-1 text-gray-400">→</span>
+                    <span className="text-green-700">{formatPreviewValue(change.after)}</span>
+                    {change.conflict && <span className="ml-2 text-red-600">（{change.conflict}，將跳過）</span>}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="px-4 py-3 bg-gray-50 border-t flex items-center justify-between">
+          <span className="text-xs text-gray-500">
+            {applyError ? <span className="text-red-600">{applyError}</span> : `${applicableCount} 處將被替換`}
+          </span>
+          <div className="flex space-x-2">
+            <button
+              onClick={onClose}
+              className="px-3 py-1 text-xs bg-gray-500 text-white rounded hover:bg-gray-600"
+            >
+              取消
+            </button>
+            <button
+              onClick={handleApply}
+              disabled={applicableCount === 0}
+              className="px-3 py-1 text-xs bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50 disabled:hover:bg-blue-500"
+            >
+              全部替換
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FindReplaceDialog;
@@ -0,0 +1,171 @@
+import { useState, useEffect, useRef } from 'react';
+import { useJsonStore } from '../stores/jsonStore_v2';
+import { getPointerLastToken } from '../utils/jsonPointer';
+
+/**
+ * 圖形右鍵菜單 - 對節點、屬性行和 slot 執行結構化編輯
+ * 所有操作都通過 store 中基於路徑的修改 action 完成
+ *
+ * target: { path, label, valueType, parentType }
+ *   valueType: 'object' | 'array' | 'primitive'
+ *   parentType: 'object' | 'array' | null（根節點）
+ */
+const GraphContextMenu = ({ target, position, onClose }) => {
+  const [keyPrompt, setKeyPrompt] = useState(null); // { action, value }
+  const [error, setError] = useState(null);
+  const menuRef = useRef(null);
+
+  const addChild = useJsonStore((state) => state.addChild);
+  const insertBefore = useJsonStore((state) => state.insertBefore);
+  const duplicateNode = useJsonStore((state) => state.duplicateNode);
+  const deleteNode = useJsonStore((state) => state.deleteNode);
+  const renameKey = useJsonStore((state) => state.renameKey);
+  const convertNode = useJsonStore((state) => state.convertNode);
+
+  const { path, label, valueType, parentType } = target;
+  const isContainer = valueType === 'object' || valueType === 'array';
+  const isRoot = parentType === null;
+
+  // 點擊菜單外部或按 Esc 時關閉
+  useEffect(() => {
+    const handlePointerDown = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        onClose();
+      }
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+
+    window.addEventListener('mousedown', handlePointerDown);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      window.removeEventListener('mousedown', handlePointerDown);
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [onClose]);
+
+  // 執行操作：成功後關閉菜單，失敗時顯示 store 中記錄的錯誤
+  const run = (action) => {
+    if (action() !== null) {
+      onClose();
+    } else {
+      setError(useJsonStore.getState().errors.graphViewer);
+    }
+  };
+
+  const submitKeyPrompt = () => {
+    const key = keyPrompt.value.trim();
+    if (keyPrompt.action === 'add') run(() => addChild(path, key));
+    else if (keyPrompt.action === 'insert') run(() => insertBefore(path, key));
+    else if (keyPrompt.action === 'rename') run(() => renameKey(path, key));
+  };
+
+  const itemClass = 'w-full px-3 py-1.5 text-left text-gray-700 hover:bg-gray-50';
+
+  return (
+    <div
+      ref={menuRef}
+      className="absolute z-30 w-52 bg-white border border-gray-300 rounded-lg shadow-lg overflow-hidden text-xs"
+      style={{ left: position.left, top: position.top }}
+      onContextMenu={(e) => e.preventDefault()}
+    >
+      <div className="px-3 py-1.5 bg-gray-100 border-b border-gray-200 font-mono text-gray-600 truncate" title={path || '/'}>
+        {label}
+      </div>
+
+      {keyPrompt ? (
+        <div className="p-2 space-y-2">
+          <div className="text-gray-500">
+            {keyPrompt.action === 'rename' ? '新鍵名' : '新屬性的鍵名'}
+          </div>
+          <input
+            autoFocus
+            value={keyPrompt.value}
+            onChange={(e) => {
+              setKeyPrompt({ ...keyPrompt, value: e.target.value });
+              setError(null);
+            }}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') submitKeyPrompt();
+            }}
+            className="w-full px-2 py-1 border border-gray-300 rounded font-mono outline-none focus:border-blue-400"
+            spellCheck={false}
+          />
+          <div className="flex justify-end space-x-1">
+            <button onClick={() => setKeyPrompt(null)} className="px-2 py-0.5 text-gray-500 rounded hover:bg-gray-100">
+              取消
+            </button>
+            <button onClick={submitKeyPrompt} className="px-2 py-0.5 bg-blue-500 text-white rounded hover:bg-blue-600">
+              確定
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="py-1">
+          {isContainer && (
+            <button
+              className={itemClass}
+              onClick={() => (valueType === 'object'
+                ? setKeyPrompt({ action: 'add', value: '' })
+                : run(() => addChild(path)))}
+            >
+              ➕ 添加子項
+            </button>
+          )}
+          {!isRoot && (
+            <button
+              className={itemClass}
+              onClick={() => (parentType === 'object'
+                ? setKeyPrompt({ action: 'insert', value: '' })
+                : run(() => insertBefore(path)))}
+            >
+              ⤴️ 在前面插入
+            </button>
+          )}
+          {!isRoot && (
+            <button className={itemClass} onClick={() => run(() => duplicateNode(path))}>
+              📑 複製
+            </button>
+          )}
+          {parentType === 'object' && (
+            <button
+              className={itemClass}
+              onClick={() => setKeyPrompt({ action: 'rename', value: getPointerLastToken(path) })}
+            >
+              ✏️ 重命名鍵
+            </button>
+          )}
+
+          <div className="px-3 pt-1.5 pb-0.5 border-t border-gray-100 mt-1 text-gray-400">轉換類型</div>
+          {valueType === 'object' && (
+            <button className={itemClass} onClick={() => run(() => convertNode(path, 'array'))}>
+              🔢 對象 → 陣列
+            </button>
+          )}
+          {valueType === 'array' && (
+            <button className={itemClass} onClick={() => run(() => convertNode(path, 'object'))}>
+              📦 陣列 → 對象
+            </button>
+          )}
+          <button className={itemClass} onClick={() => run(() => convertNode(path, 'wrap'))}>
+            [ ] 包裝為陣列
+          </button>
+
+          {!isRoot && (
+            <button
+              className="w-full px-3 py-1.5 text-left text-red-600 hover:bg-red-50 border-t border-gray-100 mt-1"
+              onClick={() => run(() => deleteNode(path))}
+            >
+              🗑️ 刪除
+            </button>
+          )}
+        </div>
+      )}
+
+      {error && <div className="px-3 py-1.5 bg-red-50 text-red-600 border-t border-red-100">{error}</div>}
+    </div>
+  );
+};
+
+export default GraphContextMenu;
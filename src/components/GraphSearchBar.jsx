@@ -0,0 +1,107 @@
+// 搜索範圍選項
+const SEARCH_SCOPES = [
+  { id: 'all', label: '鍵和值' },
+  { id: 'keys', label: '僅鍵' },
+  { id: 'values', label: '僅值' },
+  { id: 'paths', label: '路徑' }
+];
+
+/**
+ * 圖形搜索欄 - 按鍵、值或路徑搜索，支持正則和區分大小寫
+ * Enter 跳到下一個匹配，Shift+Enter 跳到上一個，Esc 關閉
+ *
+ * search: { query, regex, caseSensitive, scope }
+ */
+const GraphSearchBar = ({ search, inputRef, matchCount, activeIndex, error, onChange, onNext, onPrev, onClose }) => {
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      if (e.shiftKey) onPrev();
+      else onNext();
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  const toggleClass = (active) => `px-1.5 py-0.5 rounded border font-mono ${
+    active ? 'bg-blue-100 border-blue-400 text-blue-700' : 'bg-white border-gray-300 text-gray-500 hover:bg-gray-50'
+  }`;
+
+  let status = '';
+  if (search.query && !error) {
+    status = matchCount === 0
+      ? '無匹配'
+      : activeIndex >= 0 ? `${activeIndex + 1} / ${matchCount}` : `${matchCount} 個匹配`;
+  }
+
+  return (
+    <div className="px-2 py-1.5 bg-white border-b flex items-center space-x-1 text-xs" onKeyDown={handleKeyDown}>
+      <input
+        ref={inputRef}
+        autoFocus
+        value={search.query}
+        onChange={(e) => onChange({ query: e.target.value })}
+        placeholder="搜索鍵、值或路徑..."
+        className={`flex-1 min-w-0 px-2 py-0.5 border rounded font-mono outline-none ${
+          error ? 'border-red-400 bg-red-50' : 'border-gray-300 focus:border-blue-400'
+        }`}
+        spellCheck={false}
+      />
+      <button
+        onClick={() => onChange({ regex: !search.regex })}
+        className={toggleClass(search.regex)}
+        title="使用正則表達式"
+      >
+        .*
+      </button>
+      <button
+        onClick={() => onChange({ caseSensitive: !search.caseSensitive })}
+        className={toggleClass(search.caseSensitive)}
+        title="區分大小寫"
+      >
+        Aa
+      </button>
+      <select
+        value={search.scope}
+        onChange={(e) => onChange({ scope: e.target.value })}
+        className="px-1 py-0.5 border border-gray-300 rounded bg-white text-gray-700"
+        title="搜索範圍"
+      >
+        {SEARCH_SCOPES.map(({ id, label }) => (
+          <option key={id} value={id}>{label}</option>
+        ))}
+      </select>
+
+      <span className={`w-20 text-center ${error ? 'text-red-600 truncate' : 'text-gray-500'}`} title={error || undefined}>
+        {error ? '正則無效' : status}
+      </span>
+
+      <button
+        onClick={onPrev}
+        disabled={matchCount === 0}
+        className="px-1.5 py-0.5 text-gray-600 rounded hover:bg-gray-100 disabled:text-gray-300 disabled:hover:bg-transparent"
+        title="上一個 (Shift+Enter)"
+      >
+        ↑
+      </button>
+      <button
+        onClick={onNext}
+        disabled={matchCount === 0}
+        className="px-1.5 py-0.5 text-gray-600 rounded hover:bg-gray-100 disabled:text-gray-300 disabled:hover:bg-transparent"
+        title="下一個 (Enter)"
+      >
+        ↓
+      </button>
+      <button
+        onClick={onClose}
+        className="px-1.5 py-0.5 text-gray-500 rounded hover:bg-gray-100"
+        title="關閉搜索 (Esc)"
+      >
+        ✕
+      </button>
+    </div>
+  );
+};
+
+export default GraphSearchBar;
@@ -1,40 +1,190 @@
 import React, { useRef, useEffect, useCallback, useMemo, useState } from 'react';
 import * as d3 from 'd3';
-import { useJsonStore } from '../stores/jsonStore_v2';
+import { useJsonStore, selectDiffResult } from '../stores/jsonStore_v2';
 import { 
   extractGraphData, 
   detectStructureChange, 
   calculateNodeDiff,
   getNodeDimensions,
+  getTableNodeRowCount,
   generateNodeKey
 } from '../utils/graphUtils';
+import { getDiffStatus } from '../utils/diffUtils';
+import { getParentPointer, getPointerLastToken, getValueAtPointer, setValueAtPointer } from '../utils/jsonPointer';
+import InlineValueEditor from './InlineValueEditor';
+import GraphContextMenu from './GraphContextMenu';
+import GraphSearchBar from './GraphSearchBar';
+import { getValueType } from '../utils/valueTypes';
+import { searchJson } from '../utils/searchUtils';
+
+// 將 store 中保存的視圖狀態轉換為本地使用的格式
+const toPositionMap = (positions) => new Map(Object.entries(positions || {}));
+const toZoomTransform = (transform) => (
+  transform ? d3.zoomIdentity.translate(transform.x, transform.y).scale(transform.k) : null
+);
+
+// 比較模式下各差異狀態的配色
+const DIFF_STYLES = {
+  added: { fill: '#dcfce7', stroke: '#16a34a' },
+  removed: { fill: '#fee2e2', stroke: '#dc2626' },
+  changed: { fill: '#fef3c7', stroke: '#d97706' },
+  modified: { fill: 'none', stroke: '#d97706' }
+};
+
+// 批量操作目標的配色
+const BULK_STYLE = { fill: '#ede9fe', stroke: '#7c3aed' };
+
+// 搜索和查詢匹配的配色：普通匹配和當前搜索項
+const HIGHLIGHT_STYLES = {
+  match: { fill: '#fef08a', stroke: '#ca8a04' },
+  active: { fill: '#fdba74', stroke: '#ea580c' }
+};
+
+const DEFAULT_SEARCH = { query: '', regex: false, caseSensitive: false, scope: 'all' };
 
 const GraphViewer = () => {
   const svgRef = useRef(null);
-  const nodePositionsRef = useRef(new Map()); // 使用 Map 存儲節點位置
+  const nodePositionsRef = useRef(null); // 使用 Map 存儲節點位置
   const previousDataRef = useRef(null);
   const zoomStateRef = useRef(null); // 保存縮放狀態
+  const preservedLayoutDataRef = useRef(null); // 對此數據保留已保存的位置，不重新布局
+  const zoomRef = useRef(null); // 當前的 d3 縮放行為，用於定位節點
+  const diffStatusRef = useRef(null); // 比較模式下的路徑差異狀態
+  const graphContainerRef = useRef(null);
+  const highlightRef = useRef(null); // 搜索或查詢匹配的路徑和節點
+  const bulkSelectionRef = useRef(null); // 批量操作目標路徑的集合
+  const searchInputRef = useRef(null);
   const [isLayouting, setIsLayouting] = useState(false);
+  const [inlineEdit, setInlineEdit] = useState(null); // { path, value, label, position }
+  const [contextMenu, setContextMenu] = useState(null); // { target, position }
+  const [search, setSearch] = useState(null); // { query, regex, caseSensitive, scope }，null 表示搜索欄關閉
+  const [activeMatchIndex, setActiveMatchIndex] = useState(-1);
   
   const jsonData = useJsonStore((state) => state.jsonData);
+  const updateJsonData = useJsonStore((state) => state.updateJsonData);
+  const setActiveEditor = useJsonStore((state) => state.setActiveEditor);
+  const focusPath = useJsonStore((state) => state.focusPath);
+  const collapsedPaths = useJsonStore((state) => state.viewState.collapsedPaths);
+  const tableSchemas = useJsonStore((state) => state.viewState.tableSchemas);
+  const toggleCollapsed = useJsonStore((state) => state.toggleCollapsed);
+  const collapseToDepth = useJsonStore((state) => state.collapseToDepth);
+  const expandAll = useJsonStore((state) => state.expandAll);
+  const expandToPath = useJsonStore((state) => state.expandToPath);
   const updateTableSelection = useJsonStore((state) => state.updateTableSelection);
   const updatePathSelection = useJsonStore((state) => state.updatePathSelection);
+  const setNodePositions = useJsonStore((state) => state.setNodePositions);
+  const setZoomTransform = useJsonStore((state) => state.setZoomTransform);
+  const viewStateRevision = useJsonStore((state) => state.viewStateRevision);
   const activeEditor = useJsonStore((state) => state.activeEditor);
+  const focusRequest = useJsonStore((state) => state.focusRequest);
+  const highlightedPaths = useJsonStore((state) => state.highlightedPaths);
+  const bulkSelection = useJsonStore((state) => state.bulkSelection);
+  const toggleBulkSelection = useJsonStore((state) => state.toggleBulkSelection);
+  const clearBulkSelection = useJsonStore((state) => state.clearBulkSelection);
+  const graphError = useJsonStore((state) => state.errors.graphViewer);
+  const clearError = useJsonStore((state) => state.clearError);
+  const diffResult = useJsonStore(selectDiffResult);
+  
+  // 比較模式下顯示合併後的數據，使刪除的節點也可見
+  const displayData = diffResult ? diffResult.mergedData : jsonData;
+  diffStatusRef.current = diffResult ? diffResult.statusMap : null;
+  
+  // 首次渲染時從 store 載入已保存的視圖狀態（面板重新打開時）
+  if (nodePositionsRef.current === null) {
+    const { viewState, jsonData: currentData } = useJsonStore.getState();
+    nodePositionsRef.current = toPositionMap(viewState.nodePositions);
+    zoomStateRef.current = toZoomTransform(viewState.zoomTransform);
+    if (nodePositionsRef.current.size > 0) {
+      preservedLayoutDataRef.current = currentData;
+    }
+  }
+  
+  // 將節點位置同步到 store，以便隨工作區保存
+  const persistNodePositions = useCallback(() => {
+    setNodePositions(Object.fromEntries(nodePositionsRef.current));
+  }, [setNodePositions]);
+  
+  // 雙擊基本類型值時，在該行上方打開內聯編輯器
+  const openInlineEditor = useCallback((path, label, targetElement) => {
+    const value = getValueAtPointer(useJsonStore.getState().jsonData, path);
+    if (value === undefined || (value !== null && typeof value === 'object')) return;
+    
+    const containerRect = graphContainerRef.current.getBoundingClientRect();
+    const targetRect = targetElement.getBoundingClientRect();
+    
+    setInlineEdit({
+      path,
+      value,
+      label,
+      position: {
+        left: targetRect.left - containerRect.left,
+        top: targetRect.top - containerRect.top - 4,
+        width: Math.max(targetRect.width, 280)
+      }
+    });
+  }, []);
+  
+  // 提交內聯編輯：寫回 store，節點 id 不變因此位置保持穩定
+  const commitInlineEdit = useCallback((newValue) => {
+    const { path } = inlineEdit;
+    setInlineEdit(null);
+    
+    const currentData = useJsonStore.getState().jsonData;
+    const oldValue = getValueAtPointer(currentData, path);
+    if (oldValue === undefined || Object.is(oldValue, newValue)) return;
+    
+    console.log(`[GraphViewer] ✏️ 內聯編輯 ${path}:`, oldValue, '→', newValue);
+    setActiveEditor('graph-viewer');
+    updateJsonData(setValueAtPointer(currentData, path, newValue), 'graph-viewer');
+    setActiveEditor(null);
+    updatePathSelection(path, newValue);
+  }, [inlineEdit, setActiveEditor, updateJsonData, updatePathSelection]);
+  
+  // 右鍵打開結構化編輯菜單
+  const openContextMenu = useCallback((path, label, event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    
+    const currentData = useJsonStore.getState().jsonData;
+    const value = getValueAtPointer(currentData, path);
+    if (value === undefined) return;
+    
+    const valueType = getValueType(value);
+    const parentPath = getParentPointer(path);
+    const parentType = parentPath === null ? null : getValueType(getValueAtPointer(currentData, parentPath));
+    const containerRect = graphContainerRef.current.getBoundingClientRect();
+    
+    setInlineEdit(null);
+    setContextMenu({
+      target: {
+        path,
+        label,
+        valueType: valueType === 'object' || valueType === 'array' ? valueType : 'primitive',
+        parentType
+      },
+      position: {
+        left: event.clientX - containerRect.left,
+        top: event.clientY - containerRect.top
+      }
+    });
+  }, []);
+  
+  const closeContextMenu = useCallback(() => setContextMenu(null), []);
   
   // 提取圖形數據 - 優化重新計算
   const graphData = useMemo(() => {
-    if (!jsonData) return { nodes: [], links: [] };
+    if (!displayData) return { nodes: [], links: [] };
     
     console.log('[GraphViewer] 計算圖形數據，當前JSON數據:', {
-      dataKeys: Object.keys(jsonData),
-      dataSize: JSON.stringify(jsonData).length
+      dataKeys: Object.keys(displayData),
+      dataSize: JSON.stringify(displayData).length
     });
     
     // 總是重新計算，確保數據同步
-    const result = extractGraphData(jsonData);
+    const result = extractGraphData(displayData, { collapsedPaths, tableSchemas });
     
     // 更新前一次的數據引用
-    previousDataRef.current = jsonData;
+    previousDataRef.current = displayData;
     
     console.log('[GraphViewer] 圖形數據計算完成:', {
       nodesCount: result.nodes.length,
@@ -42,7 +192,7 @@ const GraphViewer = () => {
     });
     
     return result;
-  }, [jsonData]);
+  }, [displayData, collapsedPaths, tableSchemas]);
   
   // 檢測變化類型 - 簡化邏輯
   const changeType = useMemo(() => {
@@ -51,10 +201,83 @@ const GraphViewer = () => {
       return 'major'; // 初次加載
     }
     
-    const type = detectStructureChange(jsonData, previousDataRef.current);
+    const type = detectStructureChange(displayData, previousDataRef.current);
     console.log(`[GraphViewer] 檢測到 ${type} 結構變化`);
     return type;
-  }, [jsonData]);
+  }, [displayData]);
+  
+  // 搜索匹配的路徑（按文檔順序）
+  const searchResult = useMemo(() => {
+    if (!search || !search.query || !displayData) return { matches: [], error: null };
+    
+    try {
+      return { matches: searchJson(displayData, search.query, search), error: null };
+    } catch (error) {
+      return { matches: [], error: error.message };
+    }
+  }, [search, displayData]);
+  
+  // 高亮的路徑及包含匹配的節點；基本類型的匹配顯示在所屬節點的行中
+  // 搜索欄有查詢時優先顯示搜索結果，否則顯示查詢面板的結果
+  const highlight = useMemo(() => {
+    const isSearching = search && search.query && !searchResult.error;
+    if (!isSearching && !highlightedPaths) return null;
+    
+    const paths = isSearching ? searchResult.matches.map(match => match.path) : highlightedPaths;
+    const nodeIds = new Set(graphData.nodes.map(node => node.id));
+    const matchedNodeIds = new Set();
+    paths.forEach((path) => {
+      let nodeId = path;
+      while (nodeId !== null && !nodeIds.has(nodeId)) {
+        nodeId = getParentPointer(nodeId);
+      }
+      if (nodeId !== null) matchedNodeIds.add(nodeId);
+    });
+    
+    return {
+      source: isSearching ? 'search' : 'query',
+      paths: new Set(paths),
+      nodeIds: matchedNodeIds,
+      activePath: isSearching ? searchResult.matches[activeMatchIndex]?.path ?? null : null
+    };
+  }, [search, searchResult, highlightedPaths, graphData, activeMatchIndex]);
+  highlightRef.current = highlight;
+  
+  const bulkSelectionSet = useMemo(() => new Set(bulkSelection), [bulkSelection]);
+  bulkSelectionRef.current = bulkSelectionSet;
+  
+  // 跳到指定匹配項：展開被摺疊的祖先節點並平移到該項
+  const goToMatch = useCallback((index) => {
+    const { matches } = searchResult;
+    if (matches.length === 0) return;
+    
+    const nextIndex = (index + matches.length) % matches.length;
+    const { path } = matches[nextIndex];
+    setActiveMatchIndex(nextIndex);
+    expandToPath(path);
+    focusPath(path);
+  }, [searchResult, expandToPath, focusPath]);
+  
+  const updateSearch = useCallback((changes) => {
+    setSearch(prev => ({ ...prev, ...changes }));
+    setActiveMatchIndex(-1);
+  }, []);
+  
+  const closeSearch = useCallback(() => {
+    setSearch(null);
+    setActiveMatchIndex(-1);
+    graphContainerRef.current?.focus();
+  }, []);
+  
+  // 圖形獲得焦點時 Ctrl+F 打開搜索欄
+  const handleKeyDown = useCallback((e) => {
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'f') {
+      e.preventDefault();
+      setSearch(prev => prev || DEFAULT_SEARCH);
+      searchInputRef.current?.focus();
+      searchInputRef.current?.select();
+    }
+  }, []);
   
   // JsonCrack風格發散布局算法
   const layoutNodes = useCallback((nodes, forceRelayout = false) => {
@@ -77,7 +300,7 @@ const GraphViewer = () => {
       } else if (node.type === '2d-array') {
         const data = node.data;
         if (data && data.length > 0) {
-          return Math.max(80, data.length * 25 + 40);
+          return Math.max(80, getTableNodeRowCount(node) * 25 + 40);
         }
         return 80;
       } else if (node.type === 'root') {
@@ -92,7 +315,7 @@ const GraphViewer = () => {
       visited.add(nodeId);
       
       const node = nodes.find(n => n.id === nodeId);
-      if (!node || !node.parentId) return 0;
+      if (!node || node.parentId === null) return 0;
       
       return calculateLevel(node.parentId, visited) + 1;
     };
@@ -181,18 +404,7 @@ const GraphViewer = () => {
         const children = parentInfo.children;
         
         // 按JSON順序排序子節點
-        children.sort((a, b) => {
-          const aKey = a.id.split('.').pop() || a.id.split('[').pop()?.replace(']', '') || '';
-          const bKey = b.id.split('.').pop() || b.id.split('[').pop()?.replace(']', '') || '';
-          
-          const aIndex = parseInt(aKey);
-          const bIndex = parseInt(bKey);
-          if (!isNaN(aIndex) && !isNaN(bIndex)) {
-            return aIndex - bIndex;
-          }
-          
-          return aKey.localeCompare(bKey);
-        });
+        children.sort((a, b) => a.order - b.order);
         
         // 增強的碰撞檢測和間距計算
         const childrenWithHeights = children.map(child => ({
@@ -308,12 +520,12 @@ const GraphViewer = () => {
     // 清理刪除的節點位置
     cleanupNodePositions(nodes);
     
-    // 確定是否需要重新布局
-    const needsRelayout = changeType === 'major';
+    // 確定是否需要重新布局（剛恢復的工作區保留已保存的位置）
+    const needsRelayout = changeType === 'major' && preservedLayoutDataRef.current !== displayData;
     const layoutedNodes = layoutNodes(nodes, needsRelayout);
     
     // 更新上次數據引用
-    previousDataRef.current = jsonData;
+    previousDataRef.current = displayData;
     
     const svg = d3.select(svgRef.current);
     const width = 800;
@@ -330,13 +542,24 @@ const GraphViewer = () => {
     // 縮放和拖拽
     const zoom = d3.zoom()
       .scaleExtent([0.1, 3])
+      .on('start', (event) => {
+        // 滾輪縮放時內聯編輯器無法跟隨，直接關閉
+        if (event.sourceEvent?.type === 'wheel') {
+          setInlineEdit(null);
+        }
+      })
       .on('zoom', (event) => {
         container.attr('transform', event.transform);
         // 保存當前的變換狀態
         zoomStateRef.current = event.transform;
+      })
+      .on('end', (event) => {
+        const { x, y, k } = event.transform;
+        setZoomTransform({ x, y, k });
       });
     
     svg.call(zoom);
+    zoomRef.current = zoom;
     
     // 恢復之前的縮放狀態
     if (currentTransform && currentTransform !== d3.zoomIdentity) {
@@ -530,16 +753,97 @@ const GraphViewer = () => {
         .on('end', (event, d) => {
           nodePositionsRef.current.set(d.id, { x: d.x, y: d.y });
           renderLinks();
+          persistNodePositions();
         });
       
       nodeGroup.call(drag);
       
       // 根據節點類型渲染
       renderNodeContent(nodeGroup, node);
+      renderDiffOutline(nodeGroup, node);
+      renderHighlight(nodeGroup, node);
+      renderBulkOutline(nodeGroup, node);
     });
     
+    persistNodePositions();
+    
     console.log(`[GraphViewer] 渲染完成: ${layoutedNodes.length} 節點, ${links.length} 連接`);
-  }, [graphData, changeType, layoutNodes, cleanupNodePositions, jsonData]);
+  }, [graphData, changeType, layoutNodes, cleanupNodePositions, displayData, setZoomTransform, persistNodePositions]);
+  
+  // 比較模式：為有差異的節點加上彩色外框
+  const renderDiffOutline = (nodeGroup, node) => {
+    const statusMap = diffStatusRef.current;
+    if (!statusMap) return;
+    
+    const status = getDiffStatus(statusMap, node.id);
+    if (!status) return;
+    
+    const { width, height } = getNodeDimensions(node);
+    const style = DIFF_STYLES[status];
+    
+    nodeGroup.append('rect')
+      .attr('class', 'diff-outline')
+      .attr('x', -4)
+      .attr('y', -4)
+      .attr('width', width + 8)
+      .attr('height', height + 8)
+      .attr('rx', 10)
+      .attr('fill', 'none')
+      .attr('stroke', style.stroke)
+      .attr('stroke-width', status === 'modified' ? 1.5 : 3)
+      .attr('stroke-dasharray', status === 'modified' ? '6 4' : null)
+      .style('pointer-events', 'none');
+    
+    if (status === 'removed') {
+      nodeGroup.style('opacity', 0.6);
+    }
+  };
+  
+  // 批量操作：為選中的節點加上虛線外框
+  const renderBulkOutline = (nodeGroup, node) => {
+    if (!bulkSelectionRef.current.has(node.id)) return;
+    
+    const { width, height } = getNodeDimensions(node);
+    nodeGroup.append('rect')
+      .attr('class', 'bulk-outline')
+      .attr('x', -6)
+      .attr('y', -6)
+      .attr('width', width + 12)
+      .attr('height', height + 12)
+      .attr('rx', 11)
+      .attr('fill', 'none')
+      .attr('stroke', BULK_STYLE.stroke)
+      .attr('stroke-width', 2.5)
+      .attr('stroke-dasharray', '5 3')
+      .style('pointer-events', 'none');
+  };
+  
+  // 搜索/查詢：高亮匹配的節點，淡化不含匹配的節點
+  const renderHighlight = (nodeGroup, node) => {
+    const highlight = highlightRef.current;
+    if (!highlight) return;
+    
+    if (!highlight.nodeIds.has(node.id)) {
+      nodeGroup.style('opacity', 0.25);
+      return;
+    }
+    if (!highlight.paths.has(node.id)) return;
+    
+    const { width, height } = getNodeDimensions(node);
+    const style = node.id === highlight.activePath ? HIGHLIGHT_STYLES.active : HIGHLIGHT_STYLES.match;
+    
+    nodeGroup.append('rect')
+      .attr('class', 'highlight-outline')
+      .attr('x', -4)
+      .attr('y', -4)
+      .attr('width', width + 8)
+      .attr('height', height + 8)
+      .attr('rx', 10)
+      .attr('fill', 'none')
+      .attr('stroke', style.stroke)
+      .attr('stroke-width', node.id === highlight.activePath ? 4 : 2.5)
+      .style('pointer-events', 'none');
+  };
   
   // 節點內容渲染函數
   const renderNodeContent = useCallback((nodeGroup, node) => {
@@ -561,7 +865,11 @@ const GraphViewer = () => {
         .attr('stroke', '#8b5cf6')
         .attr('rx', 5)
         .style('cursor', 'pointer')
-        .on('click', () => {
+        .on('click', (event) => {
+          if (event.shiftKey) {
+            toggleBulkSelection(node.id);
+            return;
+          }
           console.log(`[GraphViewer] 選中節點: ${node.id}`);
           // 使用新的通用路徑選擇方法（支持所有數據類型）
           updatePathSelection(node.id, node.data);
@@ -570,7 +878,8 @@ const GraphViewer = () => {
           if (Array.isArray(node.data)) {
             updateTableSelection(node.id, node.data);
           }
-        });
+        })
+        .on('contextmenu', (event) => openContextMenu(node.id, node.name, event));
       
       // 表格標題 - 使用紫色調
       nodeGroup.append('rect')
@@ -590,34 +899,48 @@ const GraphViewer = () => {
         .style('font-weight', 'bold')
         .style('pointer-events', 'none');
       
+      // 儲存格：標題儲存格使用淺紫色背景和粗體
+      const appendCell = (text, x, y, isHeader, fill) => {
+        nodeGroup.append('rect')
+          .attr('class', 'table-cell')
+          .attr('x', x)
+          .attr('y', y)
+          .attr('width', cellWidth)
+          .attr('height', cellHeight)
+          .attr('fill', isHeader ? '#ede9fe' : fill)
+          .attr('stroke', '#e5e7eb');
+        
+        let cellText = String(text);
+        if (cellText.length > 8) {
+          cellText = cellText.substring(0, 6) + '...';
+        }
+        
+        nodeGroup.append('text')
+          .attr('x', x + cellWidth / 2)
+          .attr('y', y + cellHeight / 2)
+          .attr('text-anchor', 'middle')
+          .attr('dominant-baseline', 'middle')
+          .text(cellText)
+          .style('font-size', '10px')
+          .style('font-weight', isHeader ? 'bold' : null)
+          .style('fill', isHeader ? '#5b21b6' : null)
+          .style('pointer-events', 'none');
+      };
+      
+      // 表格聲明了列名時先顯示一行列名；首行為標題時首行本身即為列名
+      const headerOffset = node.columnNames && !node.headerRow ? 1 : 0;
+      if (headerOffset) {
+        node.columnNames.forEach((columnName, colIndex) => {
+          appendCell(columnName, 20 + colIndex * cellWidth, 30, true);
+        });
+      }
+      
       // 表格內容
       data.forEach((row, rowIndex) => {
         row.forEach((cell, colIndex) => {
           const x = 20 + colIndex * cellWidth;
-          const y = 30 + rowIndex * cellHeight;
-          
-          nodeGroup.append('rect')
-            .attr('class', 'table-cell')
-            .attr('x', x)
-            .attr('y', y)
-            .attr('width', cellWidth)
-            .attr('height', cellHeight)
-            .attr('fill', (rowIndex % 2 === 0) ? '#ffffff' : '#f9fafb')
-            .attr('stroke', '#e5e7eb');
-          
-          let cellText = String(cell);
-          if (cellText.length > 8) {
-            cellText = cellText.substring(0, 6) + '...';
-          }
-          
-          nodeGroup.append('text')
-            .attr('x', x + cellWidth / 2)
-            .attr('y', y + cellHeight / 2)
-            .attr('text-anchor', 'middle')
-            .attr('dominant-baseline', 'middle')
-            .text(cellText)
-            .style('font-size', '10px')
-            .style('pointer-events', 'none');
+          const y = 30 + (rowIndex + headerOffset) * cellHeight;
+          appendCell(cell, x, y, node.headerRow && rowIndex === 0, (rowIndex % 2 === 0) ? '#ffffff' : '#f9fafb');
         });
       });
     } else if (node.type === 'complex-box') {
@@ -682,19 +1005,25 @@ const GraphViewer = () => {
         .attr('rx', 8)
         .style('cursor', 'pointer')
         .style('filter', 'drop-shadow(0 2px 8px rgba(0,0,0,0.1))')
-        .on('click', () => {
+        .on('click', (event) => {
+          if (event.shiftKey) {
+            toggleBulkSelection(node.id);
+            return;
+          }
           updatePathSelection(node.id, node.data);
           if (Array.isArray(node.data)) {
             updateTableSelection(node.id, node.data);
           }
-        });
+        })
+        .on('contextmenu', (event) => openContextMenu(node.id, node.name, event));
       
       // 標題背景
       nodeGroup.append('rect')
         .attr('width', boxWidth)
         .attr('height', 32)
         .attr('fill', theme.headerBg)
-        .attr('rx', 8);
+        .attr('rx', 8)
+        .on('contextmenu', (event) => openContextMenu(node.id, node.name, event));
         
       // 標題底部直角
       nodeGroup.append('rect')
@@ -713,13 +1042,147 @@ const GraphViewer = () => {
         .text(`${typeIcon} ${node.name}`)
         .style('font-size', '13px')
         .style('fill', theme.headerText)
-        .style('font-weight', '600');
+        .style('font-weight', '600')
+        .style('pointer-events', 'none');
+      
+      // 摺疊/展開按鈕（有子節點時）
+      if (slots.length > 0) {
+        const toggle = nodeGroup.append('g')
+          .attr('class', 'collapse-toggle')
+          .attr('transform', 'translate(6, 8)')
+          .style('cursor', 'pointer')
+          .on('click', (event) => {
+            event.stopPropagation();
+            toggleCollapsed(node.id);
+          });
+        
+        toggle.append('title').text(node.collapsed ? '展開子節點' : '摺疊子節點');
+        toggle.append('rect')
+          .attr('width', 16)
+          .attr('height', 16)
+          .attr('rx', 3)
+          .attr('fill', 'rgba(255,255,255,0.25)');
+        toggle.append('text')
+          .attr('x', 8)
+          .attr('y', 9)
+          .attr('text-anchor', 'middle')
+          .attr('dominant-baseline', 'middle')
+          .text(node.collapsed ? '▸' : '▾')
+          .style('font-size', '11px')
+          .style('fill', theme.headerText)
+          .style('pointer-events', 'none');
+      }
+      
+      // 摺疊後隱藏的子孫節點數量
+      if (node.collapsed) {
+        const badgeText = `+${node.hiddenCount}`;
+        const badgeWidth = badgeText.length * 7 + 10;
+        const badge = nodeGroup.append('g')
+          .attr('class', 'hidden-badge')
+          .attr('transform', `translate(${boxWidth - badgeWidth - 6}, 8)`)
+          .style('pointer-events', 'none');
+        
+        badge.append('rect')
+          .attr('width', badgeWidth)
+          .attr('height', 16)
+          .attr('rx', 8)
+          .attr('fill', '#ffffff');
+        badge.append('text')
+          .attr('x', badgeWidth / 2)
+          .attr('y', 9)
+          .attr('text-anchor', 'middle')
+          .attr('dominant-baseline', 'middle')
+          .text(badgeText)
+          .style('font-size', '10px')
+          .style('font-weight', '600')
+          .style('fill', theme.headerBg);
+      }
       
       // 內容渲染
       const contentStartY = 42;
       const rowHeight = 24;
       const padding = 10;
       
+      // 行的點擊區域：單擊選中該值，雙擊打開內聯編輯器
+      const renderRowHitArea = (prop, y) => {
+        const label = isArray ? prop.key : `"${prop.key}"`;
+        
+        nodeGroup.append('rect')
+          .attr('class', 'row-hit-area')
+          .attr('x', 4)
+          .attr('y', y - rowHeight / 2)
+          .attr('width', boxWidth - 8)
+          .attr('height', rowHeight)
+          .attr('fill', 'transparent')
+          .style('cursor', 'text')
+          .on('click', (event) => {
+            if (event.shiftKey) {
+              toggleBulkSelection(prop.path);
+              return;
+            }
+            updatePathSelection(prop.path, node.data[getPointerLastToken(prop.path)]);
+          })
+          .on('dblclick', (event) => {
+            event.stopPropagation(); // 避免觸發 d3 的雙擊縮放
+            openInlineEditor(prop.path, label, event.currentTarget);
+          })
+          .on('contextmenu', (event) => openContextMenu(prop.path, label, event));
+      };
+      
+      // 比較模式：為有差異的屬性行加上背景色
+      const renderRowDiff = (rowPath, y) => {
+        const statusMap = diffStatusRef.current;
+        const status = statusMap ? getDiffStatus(statusMap, rowPath) : null;
+        if (!status || status === 'modified') return;
+        
+        nodeGroup.append('rect')
+          .attr('class', 'diff-row')
+          .attr('x', 4)
+          .attr('y', y - rowHeight / 2 + 1)
+          .attr('width', boxWidth - 8)
+          .attr('height', rowHeight - 2)
+          .attr('rx', 3)
+          .attr('fill', DIFF_STYLES[status].fill)
+          .style('pointer-events', 'none');
+      };
+      
+      // 搜索/查詢：為匹配的屬性行加上背景色
+      const renderRowHighlight = (rowPath, y) => {
+        const highlight = highlightRef.current;
+        if (!highlight || !highlight.paths.has(rowPath)) return;
+        
+        const style = rowPath === highlight.activePath ? HIGHLIGHT_STYLES.active : HIGHLIGHT_STYLES.match;
+        nodeGroup.append('rect')
+          .attr('class', 'highlight-row')
+          .attr('x', 4)
+          .attr('y', y - rowHeight / 2 + 1)
+          .attr('width', boxWidth - 8)
+          .attr('height', rowHeight - 2)
+          .attr('rx', 3)
+          .attr('fill', style.fill)
+          .attr('stroke', style.stroke)
+          .attr('stroke-width', 1)
+          .style('pointer-events', 'none');
+      };
+      
+      // 批量操作：為選中的屬性行加上虛線框
+      const renderRowBulk = (rowPath, y) => {
+        if (!bulkSelectionRef.current.has(rowPath)) return;
+        
+        nodeGroup.append('rect')
+          .attr('class', 'bulk-row')
+          .attr('x', 4)
+          .attr('y', y - rowHeight / 2 + 1)
+          .attr('width', boxWidth - 8)
+          .attr('height', rowHeight - 2)
+          .attr('rx', 3)
+          .attr('fill', BULK_STYLE.fill)
+          .attr('stroke', BULK_STYLE.stroke)
+          .attr('stroke-width', 1)
+          .attr('stroke-dasharray', '4 2')
+          .style('pointer-events', 'none');
+      };
+      
       if (isArray) {
         // 陣列渲染
         properties.forEach((prop, index) => {
@@ -737,6 +1200,10 @@ const GraphViewer = () => {
               .attr('opacity', 0.7);
           }
           
+          renderRowDiff(prop.path, y);
+          renderRowHighlight(prop.path, y);
+          renderRowBulk(prop.path, y);
+          
           // 類型指示器
           const getTypeStyle = (type) => {
             switch(type) {
@@ -773,6 +1240,8 @@ const GraphViewer = () => {
             .style('font-weight', '500')
             .style('fill', '#374151')
             .style('font-family', 'ui-monospace, monospace');
+          
+          renderRowHitArea(prop, y);
         });
       } else {
         // 對象渲染
@@ -791,6 +1260,10 @@ const GraphViewer = () => {
               .attr('opacity', 0.7);
           }
           
+          renderRowDiff(prop.path, y);
+          renderRowHighlight(prop.path, y);
+          renderRowBulk(prop.path, y);
+          
           // 類型指示器
           const getTypeStyle = (type) => {
             switch(type) {
@@ -836,6 +1309,8 @@ const GraphViewer = () => {
             .style('font-weight', '500')
             .style('fill', '#374151')
             .style('font-family', 'ui-monospace, monospace');
+          
+          renderRowHitArea(prop, y);
         });
       }
       
@@ -848,13 +1323,14 @@ const GraphViewer = () => {
         else if (slot.type === '2d-array') dotColor = '#10b981';
         else if (slot.type === 'object') dotColor = '#f59e0b';
         
+        // 摺疊時顯示空心點，表示子節點已隱藏
         nodeGroup.append('circle')
           .attr('class', 'slot-dot')
           .attr('cx', boxWidth - 4)
           .attr('cy', slotY)
           .attr('r', 4)
-          .attr('fill', dotColor)
-          .attr('stroke', '#fff')
+          .attr('fill', node.collapsed ? '#fff' : dotColor)
+          .attr('stroke', node.collapsed ? dotColor : '#fff')
           .attr('stroke-width', 2);
         
         nodeGroup.append('text')
@@ -864,6 +1340,18 @@ const GraphViewer = () => {
           .text(slot.key)
           .style('font-size', '11px')
           .style('fill', '#6b7280');
+        
+        // slot 的點擊區域：單擊定位到子節點，右鍵打開結構化編輯菜單
+        nodeGroup.append('rect')
+          .attr('class', 'slot-hit-area')
+          .attr('x', 4)
+          .attr('y', slotY - 9)
+          .attr('width', boxWidth - 12)
+          .attr('height', 18)
+          .attr('fill', 'transparent')
+          .style('cursor', 'pointer')
+          .on('click', (event) => (event.shiftKey ? toggleBulkSelection(slot.slotId) : focusPath(slot.slotId)))
+          .on('contextmenu', (event) => openContextMenu(slot.slotId, slot.key, event));
       });
     } else if (node.type === 'root') {
       // 根節點
@@ -873,7 +1361,8 @@ const GraphViewer = () => {
         .attr('height', 30)
         .attr('fill', '#ddd6fe')
         .attr('stroke', '#8b5cf6')
-        .attr('rx', 5);
+        .attr('rx', 5)
+        .on('contextmenu', (event) => openContextMenu('', 'JSON', event));
       
       nodeGroup.append('text')
         .attr('x', 40)
@@ -901,7 +1390,9 @@ const GraphViewer = () => {
         color = '#fed7aa'; borderColor = '#ea580c'; icon = '📦';
       }
       
-      nodeGroup.append('rect')
+      const isPrimitive = ['primitive', 'string', 'number', 'boolean'].includes(node.type);
+      
+      const nodeRect = nodeGroup.append('rect')
         .attr('class', 'node-rect')
         .attr('width', 160)
         .attr('height', 50)
@@ -909,8 +1400,19 @@ const GraphViewer = () => {
         .attr('stroke', borderColor)
         .attr('rx', 5);
       
-      if (['primitive', 'string', 'number', 'boolean'].includes(node.type)) {
-        // 基本類型節點：顯示 key 和 value
+      if (isPrimitive) {
+        // 基本類型節點：顯示 key 和 value；單擊選中，雙擊打開內聯編輯器
+        nodeRect
+          .style('cursor', 'text')
+          .on('click', (event) => (event.shiftKey
+            ? toggleBulkSelection(node.id)
+            : updatePathSelection(node.id, node.data)))
+          .on('dblclick', (event) => {
+            event.stopPropagation();
+            openInlineEditor(node.id, node.name, event.currentTarget);
+          })
+          .on('contextmenu', (event) => openContextMenu(node.id, node.name, event));
+        
         nodeGroup.append('text')
           .attr('x', 80)
           .attr('y', 18)
@@ -946,7 +1448,20 @@ const GraphViewer = () => {
           .style('pointer-events', 'none');
       }
     }
-  }, [updateTableSelection, updatePathSelection]);
+  }, [updateTableSelection, updatePathSelection, focusPath, toggleCollapsed, toggleBulkSelection, openInlineEditor, openContextMenu]);
+  
+  // 工作區恢復或切換文檔後，重新載入該文檔保存的節點位置和縮放狀態
+  // 需在主渲染副作用之前執行，使同一次更新中的渲染使用載入的位置
+  useEffect(() => {
+    if (viewStateRevision === 0) return;
+    
+    const { viewState, jsonData: currentData } = useJsonStore.getState();
+    nodePositionsRef.current = toPositionMap(viewState.nodePositions);
+    zoomStateRef.current = toZoomTransform(viewState.zoomTransform);
+    preservedLayoutDataRef.current = currentData;
+    previousDataRef.current = null;
+    console.log('[GraphViewer] 已載入文檔的視圖狀態');
+  }, [viewStateRevision]);
   
   // 主要副作用：響應數據變化
   useEffect(() => {
@@ -959,7 +1474,54 @@ const GraphViewer = () => {
     // 始終重新渲染圖形，無論是誰更新的數據
     // GraphViewer應該總是反映最新的數據狀態
     renderGraph();
-  }, [graphData, renderGraph]);
+  }, [graphData, renderGraph, highlight, bulkSelectionSet]);
+  
+  // 響應定位請求：平移視圖使目標節點居中並短暫高亮
+  useEffect(() => {
+    if (!focusRequest || !svgRef.current || !zoomRef.current) return;
+    
+    const svg = d3.select(svgRef.current);
+    const findNodeGroup = (id) => svg.selectAll('g').filter(d => d && d.id === id);
+    
+    // 基本類型的值顯示為所屬節點中的一行，向上查找最近的節點
+    let targetId = focusRequest.path;
+    let nodeGroup = findNodeGroup(targetId);
+    while (nodeGroup.empty() && targetId !== null) {
+      targetId = getParentPointer(targetId);
+      nodeGroup = targetId !== null ? findNodeGroup(targetId) : nodeGroup;
+    }
+    if (nodeGroup.empty()) return;
+    
+    const node = nodeGroup.datum();
+    const { width, height } = getNodeDimensions(node);
+    const k = zoomStateRef.current?.k || 1;
+    const { clientWidth, clientHeight } = svgRef.current;
+    const transform = d3.zoomIdentity
+      .translate(clientWidth / 2 - (node.x + width / 2) * k, clientHeight / 2 - (node.y + height / 2) * k)
+      .scale(k);
+    
+    svg.transition().duration(400).call(zoomRef.current.transform, transform);
+    
+    nodeGroup.selectAll('.focus-ring').remove();
+    nodeGroup.append('rect')
+      .attr('class', 'focus-ring')
+      .attr('x', -8)
+      .attr('y', -8)
+      .attr('width', width + 16)
+      .attr('height', height + 16)
+      .attr('rx', 12)
+      .attr('fill', 'none')
+      .attr('stroke', '#2563eb')
+      .attr('stroke-width', 3)
+      .style('pointer-events', 'none')
+      .transition()
+      .delay(1200)
+      .duration(600)
+      .style('opacity', 0)
+      .remove();
+    
+    console.log(`[GraphViewer] 定位到節點: ${targetId || '/'}`);
+  }, [focusRequest]);
   
   // 窗口大小變化時重新渲染
   useEffect(() => {
@@ -972,23 +1534,81 @@ const GraphViewer = () => {
   }, [renderGraph]);
   
   return (
-    <div className="h-full bg-white flex flex-col">
+    <div className="h-full bg-white flex flex-col" onKeyDown={handleKeyDown}>
       <div className="p-2 bg-gray-50 border-b flex justify-between items-center">
         <div className="text-xs text-gray-600">
           節點: {graphData.nodes.length} | 連接: {graphData.links.length}
+          {highlight && (highlight.source === 'search'
+            ? ` | 匹配: ${searchResult.matches.length}`
+            : ` | 查詢結果: ${highlightedPaths.length}`)}
+          {bulkSelection.length > 0 && (
+            <span className="ml-2 inline-flex items-center px-1.5 py-0.5 rounded-full text-xs font-medium bg-violet-100 text-violet-800">
+              批量選中 {bulkSelection.length} 項
+              <button
+                onClick={clearBulkSelection}
+                className="ml-1 text-violet-500 hover:text-violet-800"
+                title="清空批量選擇"
+              >
+                ✕
+              </button>
+            </span>
+          )}
+          {diffResult && (
+            <span className="ml-2 inline-flex items-center px-1.5 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-800">
+              比較中 · {diffResult.changes.length} 處差異
+            </span>
+          )}
           {isLayouting && (
             <span className="ml-2 inline-flex items-center px-1.5 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
               布局中...
             </span>
           )}
+          {graphError && (
+            <span
+              className="ml-2 inline-flex items-center px-1.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-700 cursor-pointer"
+              title="點擊關閉"
+              onClick={() => clearError('graphViewer')}
+            >
+              ⚠️ {graphError}
+            </span>
+          )}
         </div>
         
         <div className="flex items-center space-x-2">
+          <button
+            onClick={() => (search ? closeSearch() : setSearch(DEFAULT_SEARCH))}
+            className={`px-2 py-1 text-xs border rounded ${
+              search ? 'bg-blue-50 border-blue-400 text-blue-700' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+            }`}
+            title="搜索 (Ctrl+F)"
+          >
+            🔍 搜索
+          </button>
+          <select
+            value=""
+            onChange={(e) => {
+              const { value } = e.target;
+              if (value === 'all') {
+                expandAll();
+              } else if (value) {
+                collapseToDepth(Number(value));
+              }
+            }}
+            className="px-1 py-1 text-xs border border-gray-300 rounded bg-white text-gray-700"
+            title="摺疊到指定深度"
+          >
+            <option value="">摺疊到深度...</option>
+            <option value="all">全部展開</option>
+            {[1, 2, 3, 4, 5].map(depth => (
+              <option key={depth} value={depth}>深度 {depth}</option>
+            ))}
+          </select>
           <button
             onClick={() => {
               // 強制重新布局
               nodePositionsRef.current.clear();
               zoomStateRef.current = null; // 重置縮放狀態
+              setZoomTransform(null);
               renderGraph();
             }}
             className="px-2 py-1 text-xs bg-blue-500 text-white rounded hover:bg-blue-600"
@@ -1003,8 +1623,46 @@ const GraphViewer = () => {
         </div>
       </div>
       
-      <div className="graph-container flex-1">
+      {search && (
+        <GraphSearchBar
+          search={search}
+          inputRef={searchInputRef}
+          matchCount={searchResult.matches.length}
+          activeIndex={activeMatchIndex}
+          error={searchResult.error}
+          onChange={updateSearch}
+          onNext={() => goToMatch(activeMatchIndex + 1)}
+          onPrev={() => goToMatch(activeMatchIndex < 0 ? -1 : activeMatchIndex - 1)}
+          onClose={closeSearch}
+        />
+      )}
+      
+      <div
+        ref={graphContainerRef}
+        className="graph-container flex-1 relative outline-none"
+        tabIndex={0}
+      >
         <svg ref={svgRef} width="100%" height="100%" />
+        
+        {inlineEdit && (
+          <InlineValueEditor
+            key={inlineEdit.path}
+            value={inlineEdit.value}
+            label={inlineEdit.label}
+            position={inlineEdit.position}
+            onCommit={commitInlineEdit}
+            onCancel={() => setInlineEdit(null)}
+          />
+        )}
+        
+        {contextMenu && (
+          <GraphContextMenu
+            key={contextMenu.target.path}
+            target={contextMenu.target}
+            position={contextMenu.position}
+            onClose={closeContextMenu}
+          />
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,114 @@
+import { useJsonStore, selectCanUndo, selectCanRedo } from '../stores/jsonStore_v2';
+
+// 更新來源的顯示名稱
+export const HISTORY_SOURCE_LABELS = {
+  'initial': '初始數據',
+  'app-init': '載入示例數據',
+  'restore': '恢復工作區',
+  'file-open': '打開文件',
+  'new-document': '新建文檔',
+  'json-editor': 'JSON編輯器',
+  'table-editor': '表格編輯器',
+  'graph-viewer': '關係圖'
+};
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString();
+
+/**
+ * 歷史記錄面板 - 列出所有修訂版本，點擊可跳回任意版本
+ */
+const HistoryPanel = ({ onClose }) => {
+  const history = useJsonStore((state) => state.history);
+  const canUndo = useJsonStore(selectCanUndo);
+  const canRedo = useJsonStore(selectCanRedo);
+  const undo = useJsonStore((state) => state.undo);
+  const redo = useJsonStore((state) => state.redo);
+  const jumpToHistory = useJsonStore((state) => state.jumpToHistory);
+  const startDiff = useJsonStore((state) => state.startDiff);
+  const diffRevisionId = useJsonStore((state) => 
+    state.diffBase?.kind === 'revision' ? state.diffBase.revisionId : null
+  );
+
+  // 最新的條目顯示在最上方
+  const entries = history.entries
+    .map((entry, index) => ({ entry, index }))
+    .reverse();
+
+  return (
+    <div className="w-72 max-h-[70vh] flex flex-col bg-white border border-gray-300 rounded-lg shadow-lg overflow-hidden">
+      <div className="px-3 py-2 bg-gray-100 border-b border-gray-300 flex items-center justify-between">
+        <span className="text-sm font-medium text-gray-700">🕘 歷史記錄</span>
+        <div className="flex items-center space-x-1">
+          <button
+            onClick={undo}
+            disabled={!canUndo}
+            className="px-2 py-0.5 text-xs bg-gray-500 text-white rounded hover:bg-gray-600 disabled:bg-gray-300 disabled:cursor-not-allowed"
+            title="撤銷 (Ctrl+Z)"
+          >
+            ↶
+          </button>
+          <button
+            onClick={redo}
+            disabled={!canRedo}
+            className="px-2 py-0.5 text-xs bg-gray-500 text-white rounded hover:bg-gray-600 disabled:bg-gray-300 disabled:cursor-not-allowed"
+            title="重做 (Ctrl+Shift+Z)"
+          >
+            ↷
+          </button>
+          {onClose && (
+            <button
+              onClick={onClose}
+              className="w-5 h-5 flex items-center justify-center text-red-500 hover:text-red-600 hover:bg-red-50 rounded transition-colors"
+              title="關閉歷史記錄"
+            >
+              ✕
+            </button>
+          )}
+        </div>
+      </div>
+
+      <ul className="flex-1 overflow-auto text-xs">
+        {entries.map(({ entry, index }) => {
+          const isCurrent = index === history.index;
+          const isFuture = index > history.index;
+
+          return (
+            <li key={entry.id} className="group flex items-stretch border-b border-gray-100">
+              <button
+                onClick={() => jumpToHistory(index)}
+                className={`flex-1 px-3 py-2 text-left flex items-center justify-between transition-colors ${
+                  isCurrent
+                    ? 'bg-blue-100 text-blue-800 font-medium'
+                    : isFuture
+                      ? 'text-gray-400 hover:bg-gray-50'
+                      : 'text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                <span>
+                  {HISTORY_SOURCE_LABELS[entry.source] || entry.source}
+                  {entry.count > 1 && (
+                    <span className="ml-1 text-gray-400">×{entry.count}</span>
+                  )}
+                </span>
+                <span className="text-gray-400">{formatTime(entry.timestamp)}</span>
+              </button>
+              {!isCurrent && (
+                <button
+                  onClick={() => startDiff({ kind: 'revision', revisionId: entry.id })}
+                  className={`px-2 hover:text-amber-700 hover:bg-amber-50 transition-opacity ${
+                    diffRevisionId === entry.id ? 'opacity-100 text-amber-700' : 'text-gray-400 opacity-0 group-hover:opacity-100'
+                  }`}
+                  title="與當前版本比較"
+                >
+                  ⇄
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default HistoryPanel;
@@ -0,0 +1,132 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { PRIMITIVE_TYPES, getValueType, parseValueText } from '../utils/valueTypes';
+
+/**
+ * 圖形內聯值編輯器 - 覆蓋在節點行上，保留 JSON 類型並可切換類型
+ * Enter 或點擊外部提交，Esc 取消
+ */
+const InlineValueEditor = ({ value, label, position, onCommit, onCancel }) => {
+  const [type, setType] = useState(() => getValueType(value));
+  const [text, setText] = useState(() => (value === null ? '' : String(value)));
+  const [error, setError] = useState(null);
+
+  const containerRef = useRef(null);
+  const inputRef = useRef(null);
+
+  const commit = useCallback(() => {
+    try {
+      onCommit(parseValueText(text, type));
+    } catch (err) {
+      setError(err.message);
+      inputRef.current?.focus();
+    }
+  }, [text, type, onCommit]);
+
+  // 保持最新的提交函數，供外部點擊監聽使用
+  const commitRef = useRef(commit);
+  commitRef.current = commit;
+
+  useEffect(() => {
+    inputRef.current?.focus();
+    inputRef.current?.select?.();
+  }, [type]);
+
+  // 點擊編輯器外部時提交
+  useEffect(() => {
+    const handlePointerDown = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        commitRef.current();
+      }
+    };
+
+    window.addEventListener('mousedown', handlePointerDown);
+    return () => window.removeEventListener('mousedown', handlePointerDown);
+  }, []);
+
+  const handleTypeChange = (nextType) => {
+    if (nextType === 'boolean' && text !== 'true' && text !== 'false') {
+      setText(text.trim() ? 'true' : 'false');
+    }
+    setType(nextType);
+    setError(null);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      commit();
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      onCancel();
+    }
+  };
+
+  return (
+    <div
+      ref={containerRef}
+      className="absolute z-20 bg-white border border-blue-400 rounded shadow-lg p-1.5 text-xs"
+      style={{ left: position.left, top: position.top, width: position.width }}
+      onKeyDown={handleKeyDown}
+    >
+      <div className="flex items-center space-x-1">
+        <span className="text-gray-500 font-mono truncate max-w-[6rem]" title={label}>{label}</span>
+
+        {type === 'boolean' ? (
+          <select
+            ref={inputRef}
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            className="flex-1 min-w-0 px-1 py-0.5 border border-gray-300 rounded"
+          >
+            <option value="true">true</option>
+            <option value="false">false</option>
+          </select>
+        ) : (
+          <input
+            ref={inputRef}
+            value={type === 'null' ? 'null' : text}
+            disabled={type === 'null'}
+            onChange={(e) => {
+              setText(e.target.value);
+              setError(null);
+            }}
+            className={`flex-1 min-w-0 px-1 py-0.5 border rounded font-mono outline-none ${
+              error ? 'border-red-400 bg-red-50' : 'border-gray-300 focus:border-blue-400'
+            } disabled:bg-gray-100 disabled:text-gray-400`}
+            spellCheck={false}
+          />
+        )}
+
+        <select
+          value={type}
+          onChange={(e) => handleTypeChange(e.target.value)}
+          className="px-1 py-0.5 border border-gray-300 rounded bg-gray-50"
+          title="值類型"
+        >
+          {PRIMITIVE_TYPES.map(({ id, label: typeLabel }) => (
+            <option key={id} value={id}>{typeLabel}</option>
+          ))}
+        </select>
+
+        <button
+          onClick={commit}
+          className="px-1.5 py-0.5 bg-blue-500 text-white rounded hover:bg-blue-600"
+          title="提交 (Enter)"
+        >
+          ✓
+        </button>
+        <button
+          onClick={onCancel}
+          className="px-1.5 py-0.5 text-gray-500 rounded hover:bg-gray-100"
+          title="取消 (Esc)"
+        >
+          ✕
+        </button>
+      </div>
+
+      {error && <div className="mt-1 text-red-600">{error}</div>}
+    </div>
+  );
+};
+
+export default InlineValueEditor;
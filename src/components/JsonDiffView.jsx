@@ -0,0 +1,104 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { useJsonStore, selectDiffResult } from '../stores/jsonStore_v2';
+import { formatJsonWithLineMap, diffLines } from '../utils/diffUtils';
+
+// 並排差異每行的背景色
+const ROW_STYLES = {
+  equal: { left: '', right: '' },
+  added: { left: 'bg-gray-50', right: 'bg-green-100' },
+  removed: { left: 'bg-red-100', right: 'bg-gray-50' },
+  changed: { left: 'bg-red-50', right: 'bg-green-50' }
+};
+
+/**
+ * JSON 並排差異視圖 - 比較模式下取代 JSON 編輯器
+ * 左側為基準版本，右側為當前文檔
+ */
+const JsonDiffView = () => {
+  const [focusedRow, setFocusedRow] = useState(null);
+  const containerRef = useRef(null);
+
+  const diffBase = useJsonStore((state) => state.diffBase);
+  const diffResult = useJsonStore(selectDiffResult);
+  const focusRequest = useJsonStore((state) => state.focusRequest);
+
+  const { left, right, rows } = useMemo(() => {
+    const left = formatJsonWithLineMap(diffResult.baseData);
+    const right = formatJsonWithLineMap(diffResult.targetData);
+    return { left, right, rows: diffLines(left.lines, right.lines) };
+  }, [diffResult]);
+
+  // 定位請求：滾動到路徑所在的行（已刪除的路徑在左側查找）
+  useEffect(() => {
+    if (!focusRequest) return;
+
+    const { path } = focusRequest;
+    let rowIndex = -1;
+    if (right.lineMap.has(path)) {
+      const line = right.lineMap.get(path);
+      rowIndex = rows.findIndex(row => row.right === line);
+    } else if (left.lineMap.has(path)) {
+      const line = left.lineMap.get(path);
+      rowIndex = rows.findIndex(row => row.left === line);
+    }
+    if (rowIndex < 0) return;
+
+    setFocusedRow(rowIndex);
+    containerRef.current
+      ?.querySelector(`[data-row="${rowIndex}"]`)
+      ?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  }, [focusRequest, left, right, rows]);
+
+  const renderCell = (lines, lineIndex, className) => (
+    <>
+      <td className={`w-10 px-2 text-right text-gray-400 select-none border-r border-gray-200 ${className}`}>
+        {lineIndex !== null ? lineIndex + 1 : ''}
+      </td>
+      <td className={`px-2 whitespace-pre ${className}`}>
+        {lineIndex !== null ? lines[lineIndex] : ''}
+      </td>
+    </>
+  );
+
+  const changedRows = rows.filter(row => row.type !== 'equal').length;
+
+  return (
+    <div className="h-full flex flex-col bg-white">
+      <div className="p-3 border-b bg-gray-50 flex items-center justify-between text-xs">
+        <span className="text-gray-600 truncate" title={diffBase.label}>
+          ⇄ {diffBase.label} ↔ 當前文檔
+        </span>
+        <span className="text-gray-500 whitespace-nowrap ml-2">
+          {changedRows} 行不同 | {diffResult.changes.length} 處差異
+        </span>
+      </div>
+
+      <div ref={containerRef} className="flex-1 overflow-auto">
+        <table className="min-w-full font-mono text-xs border-collapse" style={{ lineHeight: '1.5' }}>
+          <tbody>
+            {rows.map((row, index) => {
+              const style = ROW_STYLES[row.type];
+              return (
+                <tr
+                  key={index}
+                  data-row={index}
+                  className={index === focusedRow ? 'outline outline-2 outline-blue-400' : ''}
+                >
+                  {renderCell(left.lines, row.left, style.left)}
+                  <td className="w-px bg-gray-300" />
+                  {renderCell(right.lines, row.right, style.right)}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="px-4 py-2 bg-gray-50 border-t text-xs text-gray-500">
+        💡 比較模式下為只讀視圖，退出比較後可繼續編輯
+      </div>
+    </div>
+  );
+};
+
+export default JsonDiffView;
@@ -1,5 +1,30 @@
-import React, { useState, useRef, useEffect, useCallback } from 'react';
+import React, { useState, useRef, useEffect, useCallback, useMemo } from 'react';
 import { useJsonStore } from '../stores/jsonStore_v2';
+import { saveDocument } from '../stores/documentFiles';
+import JsonDiffView from './JsonDiffView';
+import CodeEditor from './CodeEditor';
+import { parseJsonText, formatParseError, getPathAtOffset, DIALECTS } from '../utils/jsonParser';
+import { hasComments, stringifyWithComments, getScopedComments, mergeScopedComments } from '../utils/jsonComments';
+import { getValueAtPointer, setValueAtPointer } from '../utils/jsonPointer';
+
+// 錯誤列表最多顯示的條數
+const MAX_LISTED_ERRORS = 50;
+
+// 光標停止移動後才同步選擇，避免連續移動時頻繁平移圖形
+const CARET_SYNC_DELAY = 150;
+
+const NO_COMMENTS = {};
+
+/**
+ * 文檔路徑轉換為編輯範圍內的路徑，不在範圍內時返回 null
+ * @param {String} path - 文檔中的 JSON Pointer
+ * @param {String|null} scope - 編輯範圍，null 為整個文檔
+ */
+const toScopedPath = (path, scope) => {
+  if (scope === null) return path;
+  if (path === scope) return '';
+  return path.startsWith(`${scope}/`) ? path.slice(scope.length) : null;
+};
 
 /**
  * 完全重構的 JSON 編輯器 - 簡化且可靠
@@ -14,72 +39,175 @@ const JsonEditor = () => {
   const [isFocused, setIsFocused] = useState(false);
   const [localError, setLocalError] = useState(null);
   const [parseStatus, setParseStatus] = useState('valid');
+  const [parseErrors, setParseErrors] = useState([]); // 容錯解析器報告的所有語法錯誤
+  const [textScope, setTextScope] = useState(null); // 當前文本對應的編輯範圍
   
-  const textareaRef = useRef(null);
+  const editorRef = useRef(null);
   const isInitialized = useRef(false);
   const lastSyncedData = useRef(null); // 記錄最後同步的數據
+  const parseCacheRef = useRef({ text: null, dialect: null }); // 最後一次容錯解析的結果
+  const lastRevealKeyRef = useRef(null); // 最後一次滾動到的選擇，避免重複滾動
+  const caretTimerRef = useRef(null);
+  const jsonTextRef = useRef(jsonText);
+  jsonTextRef.current = jsonText;
+  const textScopeRef = useRef(textScope);
+  textScopeRef.current = textScope;
   
   // 直接使用 store 的方法，避免複雜的 hook
   const jsonData = useJsonStore((state) => state.jsonData);
   const updateJsonData = useJsonStore((state) => state.updateJsonData);
   const activeEditor = useJsonStore((state) => state.activeEditor);
+  const isDiffMode = useJsonStore((state) => state.diffBase !== null);
+  const selectedPath = useJsonStore((state) => state.selectedPath);
+  const focusRequest = useJsonStore((state) => state.focusRequest);
+  const focusPath = useJsonStore((state) => state.focusPath);
+  const editorScope = useJsonStore((state) => state.editorScope);
+  const setEditorScope = useJsonStore((state) => state.setEditorScope);
+  const dialect = useJsonStore((state) => state.sourceFormat.dialect);
+  const comments = useJsonStore((state) => state.sourceFormat.comments);
+  const setSourceDialect = useJsonStore((state) => state.setSourceDialect);
+  const setSourceComments = useJsonStore((state) => state.setSourceComments);
+  
+  // 編輯範圍內的數據
+  const scopedData = useMemo(() => (
+    editorScope === null ? jsonData : getValueAtPointer(jsonData, editorScope)
+  ), [jsonData, editorScope]);
+  
+  // 按文檔方言容錯解析文本，結果按文本緩存；sourceMap 為路徑到文本範圍的映射
+  const parseText = useCallback((text, textDialect = dialect) => {
+    const cache = parseCacheRef.current;
+    if (cache.text !== text || cache.dialect !== textDialect) {
+      const { value, errors, sourceMap, comments: textComments } = parseJsonText(text, { dialect: textDialect });
+      parseCacheRef.current = {
+        text,
+        dialect: textDialect,
+        value,
+        sourceMap,
+        errors,
+        comments: textComments,
+        valid: errors.length === 0
+      };
+    }
+    return parseCacheRef.current;
+  }, [dialect]);
   
-  // JSON 驗證和格式化
-  const validateJson = useCallback((text) => {
+  // JSON 驗證和格式化，無效時返回 undefined（null 是有效的 JSON 值）
+  const validateJson = useCallback((text, textDialect = dialect) => {
     if (!text.trim()) {
       setParseStatus('empty');
       setLocalError('JSON 不能為空');
-      return null;
+      setParseErrors([]);
+      return undefined;
     }
     
     try {
       const parsed = JSON.parse(text);
       setParseStatus('valid');
       setLocalError(null);
+      setParseErrors([]);
       return parsed;
     } catch (error) {
+      // 原生解析只報告第一個錯誤，再用容錯解析器找出所有錯誤的位置；
+      // JSONC / JSON5 文檔的注釋等寫法由容錯解析器接受
+      const { errors, value } = parseText(text, textDialect);
+      if (errors.length === 0) {
+        setParseStatus('valid');
+        setLocalError(null);
+        setParseErrors([]);
+        return value;
+      }
       setParseStatus('invalid');
-      setLocalError(`JSON 語法錯誤: ${error.message}`);
-      return null;
+      setParseErrors(errors);
+      setLocalError(`JSON 語法錯誤: ${errors.length > 0 ? formatParseError(errors[0]) : error.message}`);
+      return undefined;
     }
-  }, []);
+  }, [parseText, dialect]);
   
-  const formatJson = useCallback((data) => {
+  // 格式化數據並寫回注釋
+  const formatJson = useCallback((data, textComments = NO_COMMENTS, textDialect = dialect) => {
     try {
-      return JSON.stringify(data, null, 2);
+      return stringifyWithComments(data, textComments, { json5: textDialect === 'json5' });
     } catch (error) {
       console.error('[JsonEditor] 格式化失敗:', error);
       return '';
     }
-  }, []);
+  }, [dialect]);
   
   // 初始化 - 只執行一次
   useEffect(() => {
     if (!isInitialized.current && jsonData) {
-      const initialText = formatJson(jsonData);
+      const initialText = formatJson(scopedData, getScopedComments(comments, editorScope));
       setJsonText(initialText);
-      lastSyncedData.current = jsonData;
+      setTextScope(editorScope);
+      lastSyncedData.current = scopedData;
       isInitialized.current = true;
       console.log('[JsonEditor] 初始化完成');
     }
-  }, [jsonData, formatJson]);
+  }, [jsonData, scopedData, editorScope, comments, formatJson]);
   
-  // 監聽外部數據變化 - 只在非編輯狀態時同步
+  // 監聽外部數據和編輯範圍的變化 - 只在非編輯狀態時同步
   useEffect(() => {
     if (isInitialized.current && !isFocused && activeEditor !== 'json-editor') {
       // 檢查是否真的是外部變化
-      if (lastSyncedData.current && jsonData !== lastSyncedData.current) {
-        const newText = formatJson(jsonData);
+      if (scopedData !== lastSyncedData.current || editorScope !== textScope) {
+        const newText = formatJson(scopedData, getScopedComments(comments, editorScope));
         setJsonText(newText);
-        lastSyncedData.current = jsonData;
-        console.log('[JsonEditor] 外部數據變化，同步到編輯器');
+        lastSyncedData.current = scopedData;
+        
+        if (editorScope !== textScope) {
+          // 切換範圍時放棄未提交的無效文本
+          setTextScope(editorScope);
+          setParseStatus('valid');
+          setLocalError(null);
+          setParseErrors([]);
+          console.log(`[JsonEditor] 編輯範圍變化: ${editorScope ?? '整個文檔'}`);
+        } else {
+          console.log('[JsonEditor] 外部數據變化，同步到編輯器');
+        }
       }
     }
-  }, [jsonData, isFocused, activeEditor, formatJson]);
+  }, [scopedData, editorScope, textScope, comments, isFocused, activeEditor, formatJson]);
+  
+  // 圖形等處選中的路徑在文本中的範圍，編輯時或不在編輯範圍內時不高亮
+  const highlight = useMemo(() => {
+    if (isFocused || parseStatus !== 'valid' || selectedPath === null) return null;
+    const scopedPath = toScopedPath(selectedPath, textScope);
+    return scopedPath === null ? null : parseText(jsonText).sourceMap.get(scopedPath) ?? null;
+  }, [isFocused, parseStatus, selectedPath, textScope, jsonText, parseText]);
+  
+  // 選擇、定位請求或編輯範圍變化時滾動到選中的範圍
+  useEffect(() => {
+    if (!highlight) return;
+    const revealKey = `${focusRequest?.nonce ?? 0}:${textScope}:${selectedPath}`;
+    if (lastRevealKeyRef.current === revealKey) return;
+    
+    lastRevealKeyRef.current = revealKey;
+    editorRef.current?.reveal(highlight.start, highlight.end);
+  }, [highlight, selectedPath, focusRequest, textScope]);
+  
+  // 光標移動：選中光標所在的路徑並在圖形中定位
+  const handleCaretMove = useCallback((offset) => {
+    clearTimeout(caretTimerRef.current);
+    caretTimerRef.current = setTimeout(() => {
+      const { sourceMap, valid } = parseText(jsonTextRef.current);
+      if (!valid) return;
+      
+      const scopedPath = getPathAtOffset(sourceMap, offset);
+      if (scopedPath === null) return;
+      const path = `${textScopeRef.current ?? ''}${scopedPath}`;
+      if (path === useJsonStore.getState().selectedPath) return;
+      
+      console.log(`[JsonEditor] 光標移動到路徑: ${path || '/'}`);
+      focusPath(path);
+      // 選擇來自文本本身，不需要再滾動
+      lastRevealKeyRef.current = `${useJsonStore.getState().focusRequest?.nonce ?? 0}:${textScopeRef.current}:${path}`;
+    }, CARET_SYNC_DELAY);
+  }, [parseText, focusPath]);
+  
+  useEffect(() => () => clearTimeout(caretTimerRef.current), []);
   
   // 文本輸入處理
-  const handleTextChange = useCallback((e) => {
-    const newText = e.target.value;
+  const handleTextChange = useCallback((newText) => {
     setJsonText(newText);
     
     // 只進行語法檢查，不更新 store
@@ -93,29 +221,57 @@ const JsonEditor = () => {
     setLocalError(null);
   }, []);
   
+  // 提交文本到 store：編輯範圍的文本寫回文檔中的對應路徑，注釋一併合併；
+  // 返回解析後的數據，無效或範圍已被刪除時返回 undefined
+  const commitText = useCallback((text, textDialect) => {
+    const parsedData = validateJson(text, textDialect);
+    if (parsedData === undefined) return undefined;
+
+    const { jsonData: currentData, sourceFormat } = useJsonStore.getState();
+    if (textScope !== null && getValueAtPointer(currentData, textScope) === undefined) {
+      console.log(`[JsonEditor] 編輯範圍 ${textScope} 已不存在，放棄修改`);
+      return undefined;
+    }
+    console.log('[JsonEditor] 數據有效，保存到 store');
+
+    // 更新 store；注釋以文本中的為準
+    updateJsonData(textScope === null ? parsedData : setValueAtPointer(currentData, textScope, parsedData), 'json-editor');
+    const textComments = textDialect === 'json' ? NO_COMMENTS : parseText(text, textDialect).comments;
+    if (hasComments(textComments) || hasComments(sourceFormat.comments)) {
+      setSourceComments(mergeScopedComments(useJsonStore.getState().sourceFormat.comments, textScope, textComments));
+    }
+    lastSyncedData.current = parsedData;
+
+    // 格式化文本
+    const formattedText = formatJson(parsedData, textComments, textDialect);
+    if (formattedText !== text) {
+      setJsonText(formattedText);
+      console.log('[JsonEditor] 文本已格式化');
+    }
+    return parsedData;
+  }, [textScope, validateJson, parseText, updateJsonData, setSourceComments, formatJson]);
+
   const handleBlur = useCallback(() => {
     console.log('[JsonEditor] 失去焦點，準備保存數據');
     setIsFocused(false);
     
     // 嘗試解析和保存數據
-    const parsedData = validateJson(jsonText);
-    if (parsedData !== null) {
-      console.log('[JsonEditor] 數據有效，保存到 store');
-      
-      // 更新 store
-      updateJsonData(parsedData, 'json-editor');
-      lastSyncedData.current = parsedData;
-      
-      // 格式化文本
-      const formattedText = formatJson(parsedData);
-      if (formattedText !== jsonText) {
-        setJsonText(formattedText);
-        console.log('[JsonEditor] 文本已格式化');
-      }
-    } else {
-      console.log('[JsonEditor] 數據無效，保持編輯狀態');
+    if (commitText(jsonText, dialect) !== undefined) return true;
+    
+    console.log('[JsonEditor] 數據無效，保持編輯狀態');
+    return false;
+  }, [jsonText, dialect, commitText]);
+
+  // 切換文檔方言：文本按新方言重新解析，切換為 JSON 時去掉注釋
+  const changeDialect = useCallback((nextDialect) => {
+    console.log(`[JsonEditor] 切換方言: ${dialect} -> ${nextDialect}`);
+    setSourceDialect(nextDialect);
+    if (parseStatus !== 'valid') {
+      commitText(jsonTextRef.current, nextDialect);
+    } else if (nextDialect === 'json') {
+      setJsonText(formatJson(lastSyncedData.current, NO_COMMENTS, 'json'));
     }
-  }, [jsonText, validateJson, updateJsonData, formatJson]);
+  }, [dialect, parseStatus, setSourceDialect, commitText, formatJson]);
   
   // 快捷鍵處理
   const handleKeyDown = useCallback((e) => {
@@ -123,8 +279,10 @@ const JsonEditor = () => {
       switch (e.key) {
         case 's':
           e.preventDefault();
-          // 手動保存
-          handleBlur();
+          // 手動保存：提交到 store 並寫回當前文件
+          if (handleBlur()) {
+            saveDocument();
+          }
           break;
         case 'z':
           // 允許撤銷
@@ -135,6 +293,12 @@ const JsonEditor = () => {
     }
   }, [handleBlur]);
   
+  // 切換是否只編輯選中的子樹；點擊按鈕時編輯器先失焦提交文本
+  const canToggleScope = parseStatus !== 'invalid' && (editorScope !== null || Boolean(selectedPath));
+  const toggleScope = useCallback(() => {
+    setEditorScope(editorScope !== null ? null : selectedPath);
+  }, [editorScope, selectedPath, setEditorScope]);
+  
   // 狀態指示
   const getStatusColor = () => {
     if (parseStatus === 'valid') return 'text-green-600';
@@ -145,15 +309,20 @@ const JsonEditor = () => {
   const getStatusText = () => {
     if (isFocused) {
       if (parseStatus === 'valid') return '編輯中 - 語法正確';
-      if (parseStatus === 'invalid') return '編輯中 - 語法錯誤';
+      if (parseStatus === 'invalid') return `編輯中 - ${parseErrors.length || 1} 個語法錯誤`;
       return '編輯中';
     } else {
       if (parseStatus === 'valid') return '語法正確';
-      if (parseStatus === 'invalid') return '語法錯誤';
+      if (parseStatus === 'invalid') return `${parseErrors.length || 1} 個語法錯誤`;
       return '待機';
     }
   };
 
+  // 比較模式下顯示並排差異，編輯器的本地文本保持不變
+  if (isDiffMode) {
+    return <JsonDiffView />;
+  }
+
   return (
     <div className="h-full flex flex-col bg-white">
       {/* 狀態和工具欄 */}
@@ -162,6 +331,8 @@ const JsonEditor = () => {
           <div className="flex items-center space-x-4">
             <div className={`text-xs ${getStatusColor()}`}>
               狀態: {getStatusText()} | {jsonText.length} 字符
+              {dialect !== 'json' && <span> | {DIALECTS.find(item => item.id === dialect)?.label}</span>}
+              {textScope !== null && <span className="font-mono"> | 範圍: {textScope}</span>}
             </div>
             {activeEditor === 'json-editor' && (
               <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
@@ -172,12 +343,36 @@ const JsonEditor = () => {
           
           {/* 操作按鈕 */}
           <div className="flex space-x-2">
+            <select
+              value={dialect}
+              onChange={(e) => changeDialect(e.target.value)}
+              className="px-2 py-1 text-xs border border-gray-300 rounded bg-white text-gray-700"
+              title="文檔方言，切換為 JSON 時會去掉注釋"
+            >
+              {DIALECTS.map(({ id, label }) => (
+                <option key={id} value={id}>{label}</option>
+              ))}
+            </select>
+            <button
+              onClick={toggleScope}
+              disabled={!canToggleScope}
+              className={`px-3 py-1 text-xs rounded disabled:bg-gray-300 disabled:text-white disabled:cursor-not-allowed ${
+                editorScope !== null
+                  ? 'bg-amber-500 text-white hover:bg-amber-600'
+                  : 'bg-white text-gray-700 border border-gray-300 hover:bg-gray-100'
+              }`}
+              title={parseStatus === 'invalid'
+                ? '請先修正語法錯誤'
+                : editorScope !== null ? '恢復編輯整個文檔' : '只顯示和編輯選中的節點'}
+            >
+              {editorScope !== null ? '整個文檔' : '只編輯選中項'}
+            </button>
             <button
               onClick={() => {
-                if (parseStatus === 'valid') {
-                  const parsedData = JSON.parse(jsonText);
-                  const formatted = formatJson(parsedData);
-                  setJsonText(formatted);
+                const parsedData = validateJson(jsonText);
+                if (parsedData !== undefined) {
+                  const textComments = dialect === 'json' ? NO_COMMENTS : parseText(jsonText).comments;
+                  setJsonText(formatJson(parsedData, textComments));
                 }
               }}
               disabled={parseStatus !== 'valid'}
@@ -186,7 +381,7 @@ const JsonEditor = () => {
               格式化
             </button>
             <button
-              onClick={() => textareaRef.current?.select()}
+              onClick={() => editorRef.current?.select()}
               className="px-3 py-1 text-xs bg-gray-500 text-white rounded hover:bg-gray-600"
             >
               全選
@@ -194,8 +389,34 @@ const JsonEditor = () => {
           </div>
         </div>
         
-        {/* 錯誤顯示 */}
-        {localError && (
+        {/* 錯誤列表 - 點擊跳轉到錯誤位置 */}
+        {parseErrors.length > 0 ? (
+          <div className="mt-2 p-2 bg-red-50 border border-red-200 rounded">
+            <div className="flex items-start">
+              <span className="text-red-400 mr-2">⚠️</span>
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-medium text-red-800">{parseErrors.length} 個語法錯誤</p>
+                <ul className="mt-1 max-h-32 overflow-y-auto">
+                  {parseErrors.slice(0, MAX_LISTED_ERRORS).map((error, index) => (
+                    <li key={index}>
+                      <button
+                        onMouseDown={(e) => e.preventDefault()}
+                        onClick={() => editorRef.current?.setSelection(error.offset, error.offset + error.length)}
+                        className="w-full text-left px-1 py-0.5 text-xs text-red-600 rounded hover:bg-red-100"
+                        title="跳轉到錯誤位置"
+                      >
+                        {formatParseError(error)}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+                {parseErrors.length > MAX_LISTED_ERRORS && (
+                  <p className="text-xs text-red-400 mt-1">還有 {parseErrors.length - MAX_LISTED_ERRORS} 個錯誤未顯示</p>
+                )}
+              </div>
+            </div>
+          </div>
+        ) : localError && (
           <div className="mt-2 p-2 bg-red-50 border border-red-200 rounded">
             <div className="flex items-start">
               <span className="text-red-400 mr-2">⚠️</span>
@@ -209,26 +430,20 @@ const JsonEditor = () => {
       </div>
       
       {/* 編輯器主體 */}
-      <div className="flex-1 relative">
-        <textarea
-          ref={textareaRef}
+      <div className="flex-1 relative min-h-0">
+        <CodeEditor
+          ref={editorRef}
           value={jsonText}
           onChange={handleTextChange}
           onFocus={handleFocus}
           onBlur={handleBlur}
           onKeyDown={handleKeyDown}
-          className={`
-            w-full h-full p-4 font-mono text-sm resize-none border-none outline-none
-            transition-colors duration-200
-            ${parseStatus === 'invalid' ? 'bg-red-50' : 'bg-white'}
-            ${isFocused ? 'ring-2 ring-blue-200' : ''}
-          `}
+          invalid={parseStatus === 'invalid'}
+          focused={isFocused}
+          markers={parseErrors}
+          highlight={highlight}
+          onCaretMove={handleCaretMove}
           placeholder="輸入 JSON 數據..."
-          spellCheck={false}
-          style={{
-            tabSize: 2,
-            lineHeight: '1.5'
-          }}
         />
         
         {/* 狀態指示器 */}
@@ -253,7 +468,7 @@ const JsonEditor = () => {
       
       {/* 底部提示 */}
       <div className="px-4 py-2 bg-gray-50 border-t text-xs text-gray-500">
-        💡 編輯時數據完全本地化，失去焦點時自動保存 | Ctrl+S 手動保存 | Ctrl+A 全選
+        💡 編輯時數據完全本地化，失去焦點時自動同步 | Ctrl+S 保存到文件 | Ctrl+A 全選 | 點擊行號旁的 ▾ 摺疊 | 光標所在的節點在圖形中同步選中
       </div>
     </div>
   );
@@ -0,0 +1,43 @@
+import { useJsonStore } from '../stores/jsonStore_v2';
+import { parsePointer, compilePointer, getValueAtPointer } from '../utils/jsonPointer';
+
+/**
+ * 路徑麵包屑 - 顯示選中路徑的每一層，點擊祖先層級即選中該路徑
+ */
+const PathBreadcrumb = ({ path }) => {
+  const updatePathSelection = useJsonStore((state) => state.updatePathSelection);
+
+  const tokens = parsePointer(path);
+  const segments = [
+    { label: '根', path: '' },
+    ...tokens.map((token, index) => ({ label: token, path: compilePointer(tokens.slice(0, index + 1)) }))
+  ];
+
+  const selectSegment = (segmentPath) => {
+    const data = useJsonStore.getState().jsonData;
+    updatePathSelection(segmentPath, getValueAtPointer(data, segmentPath));
+  };
+
+  return (
+    <span className="inline-flex flex-wrap items-center font-mono">
+      {segments.map((segment, index) => (
+        <span key={segment.path} className="inline-flex items-center">
+          {index > 0 && <span className="mx-1 text-gray-400">›</span>}
+          {index === segments.length - 1 ? (
+            <span className="font-medium text-gray-800">{segment.label}</span>
+          ) : (
+            <button
+              onClick={() => selectSegment(segment.path)}
+              className="text-blue-600 hover:underline"
+              title={segment.path || '/'}
+            >
+              {segment.label}
+            </button>
+          )}
+        </span>
+      ))}
+    </span>
+  );
+};
+
+export default PathBreadcrumb;
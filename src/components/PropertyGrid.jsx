@@ -0,0 +1,308 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { useJsonStore } from '../stores/jsonStore_v2';
+import { appendPointer, getPointerLastToken, getValueAtPointer, setValueAtPointer } from '../utils/jsonPointer';
+import { addChildAt, removeAt, renameKeyAt } from '../utils/jsonMutations';
+import { VALUE_TYPES, getValueType, parseValueText, convertValueType } from '../utils/valueTypes';
+import { isNestedValue, summarizeNestedValue } from '../utils/tableUtils';
+import PathBreadcrumb from './PathBreadcrumb';
+
+const VALUE_STYLES = {
+  string: 'text-gray-800',
+  number: 'text-blue-600 font-mono',
+  boolean: 'text-purple-600 font-medium',
+  null: 'text-gray-400 italic'
+};
+
+/**
+ * 屬性表 - 表格編輯器的對象模式，每個鍵一行（鍵、值、類型）
+ * 點擊鍵名重命名，按類型編輯值，可添加/刪除屬性；嵌套的對象和陣列可打開，同時更新全局選中路徑
+ */
+const PropertyGrid = () => {
+  const [editing, setEditing] = useState(null); // { key, field: 'key' | 'value' }
+  const [draft, setDraft] = useState('');
+  const [localError, setLocalError] = useState(null);
+
+  const inputRef = useRef(null);
+
+  const selectedPath = useJsonStore((state) => state.selectedPath);
+  const object = useJsonStore((state) => getValueAtPointer(state.jsonData, state.selectedPath));
+  const updateJsonData = useJsonStore((state) => state.updateJsonData);
+  const setActiveEditor = useJsonStore((state) => state.setActiveEditor);
+  const updatePathSelection = useJsonStore((state) => state.updatePathSelection);
+  const activeEditor = useJsonStore((state) => state.activeEditor);
+  const globalError = useJsonStore((state) => state.errors.tableEditor);
+
+  // 切換對象時結束編輯
+  useEffect(() => {
+    setEditing(null);
+    setLocalError(null);
+  }, [selectedPath]);
+
+  useEffect(() => {
+    if (editing) {
+      inputRef.current?.focus();
+      inputRef.current?.select();
+    }
+  }, [editing]);
+
+  // 對當前文檔應用修改並寫回 store，保持選中當前對象
+  const commit = useCallback((mutate) => {
+    const currentData = useJsonStore.getState().jsonData;
+    let result;
+    try {
+      result = mutate(currentData);
+    } catch (error) {
+      setLocalError(error.message);
+      return null;
+    }
+
+    setActiveEditor('table-editor');
+    updateJsonData(result.data, 'table-editor');
+    setActiveEditor(null);
+    updatePathSelection(selectedPath, getValueAtPointer(result.data, selectedPath));
+    setLocalError(null);
+    return result;
+  }, [selectedPath, setActiveEditor, updateJsonData, updatePathSelection]);
+
+  const startEdit = (key, field) => {
+    setEditing({ key, field });
+    setDraft(field === 'key' ? key : String(object[key]));
+    setLocalError(null);
+  };
+
+  const cancelEdit = () => {
+    setEditing(null);
+    setLocalError(null);
+  };
+
+  const finishEdit = () => {
+    if (!editing) return;
+    const { key, field } = editing;
+    const childPath = appendPointer(selectedPath, key);
+
+    if (field === 'key') {
+      if (draft !== key) {
+        console.log(`[PropertyGrid] 重命名 ${key} → ${draft}`);
+        if (!commit((data) => renameKeyAt(data, childPath, draft))) return;
+      }
+    } else {
+      let newValue;
+      try {
+        newValue = parseValueText(draft, getValueType(object[key]));
+      } catch (error) {
+        setLocalError(error.message);
+        return;
+      }
+      if (!Object.is(newValue, object[key])) {
+        commit((data) => ({ data: setValueAtPointer(data, childPath, newValue) }));
+      }
+    }
+    setEditing(null);
+  };
+
+  const setValue = (key, value) => {
+    commit((data) => ({ data: setValueAtPointer(data, appendPointer(selectedPath, key), value) }));
+  };
+
+  const changeType = (key, type) => {
+    console.log(`[PropertyGrid] ${key} 類型轉換為 ${type}`);
+    setValue(key, convertValueType(object[key], type));
+  };
+
+  // 添加屬性後立即進入鍵名編輯
+  const addProperty = () => {
+    const result = commit((data) => addChildAt(data, selectedPath, undefined, ''));
+    if (result) {
+      const key = getPointerLastToken(result.path);
+      setEditing({ key, field: 'key' });
+      setDraft(key);
+    }
+  };
+
+  const removeProperty = (key) => {
+    commit((data) => removeAt(data, appendPointer(selectedPath, key)));
+  };
+
+  // 打開嵌套的對象或陣列
+  const drillDown = (key) => {
+    updatePathSelection(appendPointer(selectedPath, key), object[key]);
+  };
+
+  const handleEditKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      finishEdit();
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      cancelEdit();
+    }
+  };
+
+  const renderEditInput = () => (
+    <input
+      ref={inputRef}
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={finishEdit}
+      onKeyDown={handleEditKeyDown}
+      className="w-full px-2 py-1 border-2 border-blue-500 outline-none bg-white font-mono text-sm"
+      spellCheck={false}
+    />
+  );
+
+  const renderValue = (key, value) => {
+    const type = getValueType(value);
+
+    if (isNestedValue(value)) {
+      return (
+        <button
+          onClick={() => drillDown(key)}
+          className="w-full h-full px-2 py-1 text-left text-xs font-mono text-indigo-600 hover:bg-indigo-50"
+          title="打開"
+        >
+          {summarizeNestedValue(value)} →
+        </button>
+      );
+    }
+
+    if (editing?.key === key && editing.field === 'value') {
+      return renderEditInput();
+    }
+
+    if (type === 'boolean') {
+      return (
+        <label className="px-2 py-1 flex items-center space-x-2 cursor-pointer">
+          <input type="checkbox" checked={value} onChange={(e) => setValue(key, e.target.checked)} />
+          <span className={VALUE_STYLES.boolean}>{String(value)}</span>
+        </label>
+      );
+    }
+
+    if (type === 'null') {
+      return (
+        <div className={`px-2 py-1 ${VALUE_STYLES.null}`} title="通過類型列修改">
+          null
+        </div>
+      );
+    }
+
+    return (
+      <div
+        className={`px-2 py-1 min-h-[32px] cursor-text flex items-center ${VALUE_STYLES[type]} ${value === '' ? 'bg-gray-50' : ''}`}
+        onClick={() => startEdit(key, 'value')}
+      >
+        {String(value)}
+      </div>
+    );
+  };
+
+  const currentError = localError || globalError;
+  const keys = object && typeof object === 'object' ? Object.keys(object) : [];
+
+  return (
+    <div className="h-full flex flex-col bg-white">
+      {/* 控制欄 */}
+      <div className="p-3 border-b bg-gray-50">
+        <div className="flex justify-between items-center">
+          <div className="text-xs text-gray-600">
+            <PathBreadcrumb path={selectedPath} />
+            {activeEditor === 'table-editor' && (
+              <span className="ml-2 inline-flex items-center px-1.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                同步中
+              </span>
+            )}
+            <div className="mt-1 text-gray-500">
+              對象 | {keys.length} 個屬性 | {editing ? '編輯中' : '查看模式'}
+            </div>
+          </div>
+
+          <button
+            onClick={addProperty}
+            className="px-3 py-1 bg-blue-500 text-white text-sm rounded hover:bg-blue-600 transition-colors"
+          >
+            + 屬性
+          </button>
+        </div>
+
+        {/* 錯誤顯示 */}
+        {currentError && (
+          <div className="mt-2 p-2 bg-red-50 border border-red-200 rounded">
+            <div className="flex items-start">
+              <span className="text-red-400 mr-2">⚠️</span>
+              <p className="text-sm text-red-800">{currentError}</p>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* 屬性表 */}
+      <div className="flex-1 overflow-auto">
+        {keys.length === 0 ? (
+          <div className="h-full flex items-center justify-center text-gray-500">
+            <p>空對象，點擊「+ 屬性」添加</p>
+          </div>
+        ) : (
+          <div className="p-4">
+            <table className="w-full border-collapse border border-gray-300 bg-white text-sm">
+              <thead>
+                <tr className="bg-gray-100 text-xs text-gray-500">
+                  <th className="border border-gray-300 px-2 py-1 text-left w-1/3">鍵</th>
+                  <th className="border border-gray-300 px-2 py-1 text-left">值</th>
+                  <th className="border border-gray-300 px-2 py-1 text-left w-24">類型</th>
+                  <th className="border border-gray-300 w-8"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {keys.map((key) => (
+                  <tr key={key} className="hover:bg-gray-50 group">
+                    <td className="border border-gray-300 h-8">
+                      {editing?.key === key && editing.field === 'key' ? renderEditInput() : (
+                        <div
+                          className="px-2 py-1 font-mono text-gray-700 cursor-text truncate"
+                          onClick={() => startEdit(key, 'key')}
+                          title="點擊重命名"
+                        >
+                          {key}
+                        </div>
+                      )}
+                    </td>
+                    <td className="border border-gray-300 h-8">
+                      {renderValue(key, object[key])}
+                    </td>
+                    <td className="border border-gray-300 px-1">
+                      <select
+                        value={getValueType(object[key])}
+                        onChange={(e) => changeType(key, e.target.value)}
+                        className="w-full py-0.5 text-xs bg-transparent text-gray-600 outline-none"
+                      >
+                        {VALUE_TYPES.map(({ id, label }) => (
+                          <option key={id} value={id}>{label}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="border border-gray-300 text-center">
+                      <button
+                        onClick={() => removeProperty(key)}
+                        className="opacity-0 group-hover:opacity-100 text-red-500 hover:text-red-700 text-xs"
+                        title="刪除屬性"
+                      >
+                        ×
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* 底部幫助信息 */}
+      <div className="px-4 py-2 bg-gray-50 border-t text-xs text-gray-500">
+        操作提示: 點擊鍵名重命名 | 點擊值編輯 | 類型列轉換類型 | 點擊嵌套值打開 | 麵包屑返回上層
+      </div>
+    </div>
+  );
+};
+
+export default PropertyGrid;
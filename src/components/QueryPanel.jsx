@@ -0,0 +1,142 @@
+import { useState, useMemo, useEffect } from 'react';
+import { useJsonStore } from '../stores/jsonStore_v2';
+import { evaluateQuery, detectQueryLanguage } from '../utils/jsonQuery';
+
+// 查詢語言選項
+const QUERY_LANGUAGES = [
+  { id: 'auto', label: '自動' },
+  { id: 'jsonpath', label: 'JSONPath' },
+  { id: 'jq', label: 'jq' }
+];
+
+// 結果列表最多顯示的條數，避免 $..* 這類查詢渲染過多行
+const MAX_VISIBLE_RESULTS = 500;
+
+const QUERY_EXAMPLES = [
+  '$.users[*].name',
+  '$..city',
+  '$.users[?(@.age > 25)]',
+  '.users[] | select(.name =~ /^A/) | .tags'
+];
+
+const formatPreview = (value) => {
+  const text = JSON.stringify(value);
+  return text.length > 80 ? `${text.substring(0, 77)}...` : text;
+};
+
+/**
+ * 查詢面板 - 使用 JSONPath 或 jq 子集查詢當前文檔
+ * 結果實時更新，點擊結果選中該路徑，所有匹配項同時在圖形中高亮
+ */
+const QueryPanel = () => {
+  const [query, setQuery] = useState('');
+  const [language, setLanguage] = useState('auto');
+
+  const jsonData = useJsonStore((state) => state.jsonData);
+  const selectedPath = useJsonStore((state) => state.selectedPath);
+  const updatePathSelection = useJsonStore((state) => state.updatePathSelection);
+  const setHighlightedPaths = useJsonStore((state) => state.setHighlightedPaths);
+
+  const result = useMemo(() => {
+    if (!query.trim()) return { matches: [], error: null };
+
+    try {
+      return { matches: evaluateQuery(jsonData, query, language), error: null };
+    } catch (error) {
+      return { matches: [], error: error.message };
+    }
+  }, [jsonData, query, language]);
+
+  // 把匹配路徑同步到 store，供圖形高亮
+  useEffect(() => {
+    const hasQuery = query.trim() !== '' && !result.error;
+    setHighlightedPaths(hasQuery ? result.matches.map(match => match.path) : null);
+  }, [query, result, setHighlightedPaths]);
+
+  // 面板關閉時清除高亮
+  useEffect(() => () => setHighlightedPaths(null), [setHighlightedPaths]);
+
+  const resolvedLanguage = language === 'auto' && query.trim() ? detectQueryLanguage(query) : language;
+
+  return (
+    <div className="h-full flex flex-col bg-white">
+      <div className="p-2 bg-gray-50 border-b space-y-1.5">
+        <div className="flex items-center space-x-1">
+          <input
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="$.users[*].name 或 .users[] | .name"
+            className={`flex-1 min-w-0 px-2 py-1 text-xs border rounded font-mono outline-none ${
+              result.error ? 'border-red-400 bg-red-50' : 'border-gray-300 focus:border-blue-400'
+            }`}
+            spellCheck={false}
+          />
+          <select
+            value={language}
+            onChange={(e) => setLanguage(e.target.value)}
+            className="px-1 py-1 text-xs border border-gray-300 rounded bg-white text-gray-700"
+            title="查詢語言"
+          >
+            {QUERY_LANGUAGES.map(({ id, label }) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="text-xs text-gray-500 flex justify-between">
+          <span>
+            {query.trim() && !result.error && `${result.matches.length} 個結果`}
+          </span>
+          {language === 'auto' && query.trim() && (
+            <span className="text-gray-400">{resolvedLanguage === 'jq' ? 'jq' : 'JSONPath'}</span>
+          )}
+        </div>
+        {result.error && <div className="text-xs text-red-600">{result.error}</div>}
+      </div>
+
+      <div className="flex-1 overflow-auto">
+        {!query.trim() ? (
+          <div className="p-4 text-xs text-gray-500 space-y-2">
+            <p>輸入 JSONPath 或 jq 表達式查詢當前文檔，例如：</p>
+            <ul className="space-y-1">
+              {QUERY_EXAMPLES.map(example => (
+                <li key={example}>
+                  <button
+                    onClick={() => setQuery(example)}
+                    className="font-mono text-blue-600 hover:underline text-left"
+                  >
+                    {example}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        ) : result.matches.length === 0 ? (
+          !result.error && <div className="p-4 text-xs text-gray-400 text-center">沒有匹配的結果</div>
+        ) : (
+          <ul className="divide-y divide-gray-100 text-xs">
+            {result.matches.slice(0, MAX_VISIBLE_RESULTS).map(({ path, value }) => (
+              <li key={path}>
+                <button
+                  onClick={() => updatePathSelection(path, value)}
+                  className={`w-full px-3 py-1.5 text-left hover:bg-blue-50 ${
+                    path === selectedPath ? 'bg-blue-100' : ''
+                  }`}
+                >
+                  <div className="font-mono text-gray-700 truncate" title={path || '/'}>{path || '/'}</div>
+                  <div className="font-mono text-gray-400 truncate">{formatPreview(value)}</div>
+                </button>
+              </li>
+            ))}
+            {result.matches.length > MAX_VISIBLE_RESULTS && (
+              <li className="px-3 py-1.5 text-gray-400">
+                僅顯示前 {MAX_VISIBLE_RESULTS} 個結果
+              </li>
+            )}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QueryPanel;
@@ -0,0 +1,44 @@
+const formatDateTime = (timestamp) => new Date(timestamp).toLocaleString();
+
+/**
+ * 恢復未保存會話的提示框
+ * 當自動保存的副本比最後一次明確保存更新時顯示
+ */
+const RecoverSessionDialog = ({ autosave, saved, onRecover, onDiscard }) => {
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30">
+      <div className="w-96 bg-white rounded-lg shadow-xl overflow-hidden">
+        <div className="px-4 py-3 bg-gradient-to-r from-blue-600 to-purple-600">
+          <h2 className="text-sm font-bold text-white">♻️ 恢復未保存的會話</h2>
+        </div>
+
+        <div className="p-4 text-sm text-gray-700 space-y-2">
+          <p>發現上次關閉前尚未保存的修改，是否恢復？</p>
+          <ul className="text-xs text-gray-500 space-y-1">
+            <li>自動保存時間: {formatDateTime(autosave.updatedAt)}</li>
+            <li>
+              最後保存時間: {saved ? formatDateTime(saved.updatedAt) : '從未保存'}
+            </li>
+          </ul>
+        </div>
+
+        <div className="px-4 py-3 bg-gray-50 border-t flex justify-end space-x-2">
+          <button
+            onClick={onDiscard}
+            className="px-3 py-1 text-xs bg-gray-500 text-white rounded hover:bg-gray-600"
+          >
+            {saved ? '載入已保存版本' : '放棄'}
+          </button>
+          <button
+            onClick={onRecover}
+            className="px-3 py-1 text-xs bg-blue-500 text-white rounded hover:bg-blue-600"
+          >
+            恢復會話
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RecoverSessionDialog;
@@ -1,45 +1,87 @@
 import React, { useState, useRef, useEffect, useCallback, useMemo } from 'react';
 import { useJsonStore } from '../stores/jsonStore_v2';
+import { setValueAtPointer } from '../utils/jsonPointer';
+import { createUniqueKey } from '../utils/jsonMutations';
+import {
+  isObjectArray,
+  isNestedValue,
+  getObjectColumns,
+  getCellValue,
+  formatCellText,
+  summarizeNestedValue,
+  getColumnKind,
+  FILTER_OPERATORS,
+  isFilterActive,
+  matchesFilter,
+  computeColumnStats,
+  compareCells,
+  parseDelimitedText,
+  toDelimitedText,
+  getColumnNames
+} from '../utils/tableUtils';
+import { COLUMN_TYPES, getDeclaredType, inferColumnType, isValidForType, parseTypedText, convertToType } from '../utils/columnTypes';
+import PropertyGrid from './PropertyGrid';
+import PathBreadcrumb from './PathBreadcrumb';
 
-// 輔助函數
-function setNestedValueInObject(obj, path, value) {
-  const result = JSON.parse(JSON.stringify(obj)); // 深拷貝
-  const keys = path.split('.');
-  let current = result;
-  
-  for (let i = 0; i < keys.length - 1; i++) {
-    current = current[keys[i]];
-  }
-  current[keys[keys.length - 1]] = value;
-  
-  return result;
-}
+// 虛擬滾動使用固定的行高和列寬（像素）
+const ROW_HEIGHT = 32;
+const COLUMN_WIDTH = 140;
+const ROW_HEADER_WIDTH = 64;
+const FOOTER_HEIGHT = 40;
+
+// 可見範圍外額外渲染的行數和列數，減少快速滾動時的空白
+const OVERSCAN_ROWS = 8;
+const OVERSCAN_COLUMNS = 2;
+
+// 統計值最多保留兩位小數
+const formatStat = (value) => value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+const getTypeLabel = (type) => COLUMN_TYPES.find(item => item.id === type)?.label ?? type;
+
+// 枚舉類型的可選值：以逗號分隔輸入
+const parseEnumOptions = (text) => text.split(',').map(option => option.trim()).filter(Boolean);
 
 const TableEditor = () => {
   const [tableData, setTableData] = useState([]);
   const [editingCell, setEditingCell] = useState(null); // { row, col }
   const [cellValue, setCellValue] = useState('');
   const [localError, setLocalError] = useState(null);
+  const [newColumnName, setNewColumnName] = useState(null); // 對象數組模式下正在輸入的新列名
+  const [expandedCells, setExpandedCells] = useState(() => new Set()); // 展開的嵌套儲存格
+  const [sort, setSort] = useState(null); // { column, direction: 'asc' | 'desc' }，僅影響顯示順序
+  const [filters, setFilters] = useState(() => new Map()); // Map<列, { operator, value }>，列名可能是 constructor 等與原型同名的鍵
+  const [showFilters, setShowFilters] = useState(false);
+  const [selection, setSelection] = useState(null); // { anchorRow, anchorCol, focusRow, focusCol }，行為顯示順序中的位置
+  const [columnMenu, setColumnMenu] = useState(null); // 打開類型菜單的列
+  const [gridNode, setGridNode] = useState(null);
+  const [viewport, setViewport] = useState({ top: 0, left: 0, width: 0, height: 0 }); // 表格的滾動位置和可見尺寸
   
+  const gridRef = useRef(null);
   const editInputRef = useRef(null);
   const lastExternalUpdateRef = useRef(0);
   
   // 直接使用 store，避免複雜的 hook
   const selectedTable = useJsonStore((state) => state.selectedTable);
   const selectedTableData = useJsonStore((state) => state.selectedTableData);
+  const selectedType = useJsonStore((state) => state.selectedType);
   const updateJsonData = useJsonStore((state) => state.updateJsonData);
   const setActiveEditor = useJsonStore((state) => state.setActiveEditor);
   const activeEditor = useJsonStore((state) => state.activeEditor);
   const globalError = useJsonStore((state) => state.errors.tableEditor);
+  const tableSchema = useJsonStore((state) => (selectedTable === null ? undefined : state.viewState.tableSchemas[selectedTable]));
+  const setColumnType = useJsonStore((state) => state.setColumnType);
+  const updateTableSchema = useJsonStore((state) => state.updateTableSchema);
   
   // 同步選中的表格數據到本地狀態
   useEffect(() => {
     if (selectedTableData && Array.isArray(selectedTableData)) {
       // 檢查是否為外部更新（非編輯狀態下的更新）
       if (!editingCell || Date.now() - lastExternalUpdateRef.current > 1000) {
-        setTableData(selectedTableData.map(row => 
-          Array.isArray(row) ? [...row] : [row]
-        ));
+        // 對象數組按對象保存每一行，其餘按 2D 數組處理
+        setTableData(isObjectArray(selectedTableData)
+          ? selectedTableData.map(row => ({ ...row }))
+          : selectedTableData.map(row => Array.isArray(row) ? [...row] : [row])
+        );
         lastExternalUpdateRef.current = Date.now();
       }
     } else {
@@ -47,65 +89,235 @@ const TableEditor = () => {
     }
   }, [selectedTableData, editingCell]);
   
+  // 切換表格時收起展開的嵌套儲存格，清除排序、篩選和選區，並滾動回左上角
+  useEffect(() => {
+    if (gridRef.current) {
+      gridRef.current.scrollTop = 0;
+      gridRef.current.scrollLeft = 0;
+    }
+    setExpandedCells(new Set());
+    setNewColumnName(null);
+    setSort(null);
+    setFilters(new Map());
+    setShowFilters(false);
+    setSelection(null);
+    setColumnMenu(null);
+  }, [selectedTable]);
+  
+  // 對象數組模式：所有對象鍵的並集作為列
+  const isObjectMode = useMemo(() => isObjectArray(tableData), [tableData]);
+  
+  // 列：對象數組模式為鍵名，2D 數組模式為索引
+  const columns = useMemo(() => {
+    if (isObjectMode) return getObjectColumns(tableData);
+    const count = tableData.reduce((max, row) => Math.max(max, row.length), 0);
+    return Array.from({ length: count }, (_, index) => index);
+  }, [tableData, isObjectMode]);
+  
+  // 2D 數組可把首行作為標題，標題行不參與顯示、排序、篩選和統計
+  const firstDataRow = !isObjectMode && tableSchema?.headerRow ? 1 : 0;
+  const dataRows = useMemo(() => tableData.slice(firstDataRow), [tableData, firstDataRow]);
+  
+  // 2D 數組的列名（首行標題或聲明的列名），沒有時顯示「列 n」
+  const columnNames = useMemo(() => (isObjectMode ? null : getColumnNames(tableSchema, tableData)), [isObjectMode, tableSchema, tableData]);
+  const getColumnLabel = useCallback((colIndex) => {
+    return columnNames?.[colIndex] || `列 ${colIndex + 1}`;
+  }, [columnNames]);
+  
+  // 讀取儲存格：對象數組中缺少的鍵返回 undefined，2D 數組中不足的列視為空字符串
+  const readCell = useCallback((row, colIndex) => {
+    if (!row) return undefined;
+    const value = getCellValue(row, columns[colIndex]);
+    return value === undefined && !isObjectMode ? '' : value;
+  }, [columns, isObjectMode]);
+  
+  // 每列的類型，決定可用的篩選運算符
+  const columnKinds = useMemo(() => {
+    return columns.map((_, colIndex) => getColumnKind(dataRows.map(row => readCell(row, colIndex))));
+  }, [columns, dataRows, readCell]);
+  
+  // 每列的類型：已聲明的類型，未聲明時按現有數據推斷
+  const columnTypes = useMemo(() => {
+    return columns.map((column, colIndex) => {
+      const declared = getDeclaredType(tableSchema, column);
+      if (declared) return { ...declared, declared: true };
+      return { ...inferColumnType(dataRows.map(row => readCell(row, colIndex))), declared: false };
+    });
+  }, [columns, dataRows, readCell, tableSchema]);
+  
+  // 每列不符合類型的儲存格數
+  const invalidCounts = useMemo(() => {
+    return columnTypes.map((spec, colIndex) => {
+      return dataRows.reduce((count, row) => count + (isValidForType(readCell(row, colIndex), spec) ? 0 : 1), 0);
+    });
+  }, [columnTypes, dataRows, readCell]);
+  
+  // 按列類型轉換輸入的文本；2D 數組中的空文本保持為空字符串
+  const parseInput = useCallback((text, colIndex, previous) => {
+    if (!isObjectMode && text.trim() === '') return '';
+    return parseTypedText(text, columnTypes[colIndex] ?? { type: 'auto' }, previous);
+  }, [isObjectMode, columnTypes]);
+  
+  // 按列排序行索引，空值無論升序降序都排在最後
+  const sortRowIndices = useCallback((indices, { column, direction }) => {
+    const colIndex = columns.indexOf(column);
+    if (colIndex === -1) return indices;
+    
+    const factor = direction === 'desc' ? -1 : 1;
+    return [...indices].sort((a, b) => {
+      const valueA = readCell(tableData[a], colIndex);
+      const valueB = readCell(tableData[b], colIndex);
+      if (valueA == null || valueB == null) return compareCells(valueA, valueB);
+      return compareCells(valueA, valueB) * factor;
+    });
+  }, [columns, tableData, readCell]);
+  
+  // 顯示的行：篩選和排序後的原始行索引，編輯仍寫回原始行
+  const viewRows = useMemo(() => {
+    let indices = tableData.map((_, index) => index).slice(firstDataRow);
+    
+    columns.forEach((column, colIndex) => {
+      const filter = filters.get(column);
+      if (isFilterActive(filter)) {
+        indices = indices.filter(index => matchesFilter(readCell(tableData[index], colIndex), filter, columnKinds[colIndex]));
+      }
+    });
+    
+    return sort ? sortRowIndices(indices, sort) : indices;
+  }, [tableData, firstDataRow, columns, columnKinds, filters, sort, sortRowIndices, readCell]);
+  
+  // 表格滾動容器掛載後開始測量
+  const gridCallbackRef = useCallback((node) => {
+    gridRef.current = node;
+    setGridNode(node);
+  }, []);
+  
+  const updateViewport = useCallback(() => {
+    const grid = gridRef.current;
+    if (!grid) return;
+    
+    setViewport(prev => (
+      prev.top === grid.scrollTop && prev.left === grid.scrollLeft &&
+      prev.width === grid.clientWidth && prev.height === grid.clientHeight
+        ? prev
+        : { top: grid.scrollTop, left: grid.scrollLeft, width: grid.clientWidth, height: grid.clientHeight }
+    ));
+  }, []);
+  
+  useEffect(() => {
+    if (!gridNode) return;
+    
+    updateViewport();
+    const observer = new ResizeObserver(updateViewport);
+    observer.observe(gridNode);
+    return () => observer.disconnect();
+  }, [gridNode, updateViewport]);
+  
+  // 標題區高度（篩選欄展開時多一行）
+  const headerHeight = ROW_HEIGHT * (showFilters ? 2 : 1);
+  
+  // 每頁可見的行數，用於 PageUp / PageDown
+  const pageRows = Math.max(1, Math.floor((viewport.height - headerHeight - FOOTER_HEIGHT) / ROW_HEIGHT));
+  
+  // 需要渲染的行（顯示位置）和列範圍 [start, end)
+  const visibleRange = useMemo(() => ({
+    rowStart: Math.max(0, Math.floor(viewport.top / ROW_HEIGHT) - OVERSCAN_ROWS),
+    rowEnd: Math.min(viewRows.length, Math.ceil((viewport.top + viewport.height) / ROW_HEIGHT) + OVERSCAN_ROWS),
+    colStart: Math.max(0, Math.floor(viewport.left / COLUMN_WIDTH) - OVERSCAN_COLUMNS),
+    colEnd: Math.min(columns.length, Math.ceil((viewport.left + viewport.width) / COLUMN_WIDTH) + OVERSCAN_COLUMNS)
+  }), [viewport, viewRows.length, columns.length]);
+  
   // 驗證表格數據
   const validateTableData = useCallback((data) => {
     if (!Array.isArray(data)) return false;
     
-    // 檢查是否為有效的2D數組
-    return data.every(row => Array.isArray(row) || typeof row !== 'object');
+    // 檢查是否為有效的2D數組或對象數組
+    return isObjectArray(data) || data.every(row => Array.isArray(row) || typeof row !== 'object');
   }, []);
   
-  // 更新單個儲存格
-  const updateCell = useCallback((rowIndex, colIndex, value) => {
-    if (!selectedTable) return;
-    
-    const newTableData = [...tableData];
+  // 把整個表格寫回到全局狀態
+  const commitTable = useCallback((newTableData) => {
+    setTableData(newTableData);
     
-    // 確保行存在
-    while (newTableData.length <= rowIndex) {
-      newTableData.push([]);
-    }
+    const currentJsonData = useJsonStore.getState().jsonData;
+    const updatedJsonData = setValueAtPointer(currentJsonData, selectedTable, newTableData);
     
-    // 確保列存在
-    while (newTableData[rowIndex].length <= colIndex) {
-      newTableData[rowIndex].push('');
-    }
+    setActiveEditor('table-editor');
+    updateJsonData(updatedJsonData, 'table-editor');
+    setActiveEditor(null);
+  }, [selectedTable, updateJsonData, setActiveEditor]);
+  
+  // 寫入一組儲存格並作為一次更新提交，超出範圍的行和列自動擴展
+  // cells: [{ rowIndex（原始行索引）, colIndex, value }]，對象數組模式下 value 為 undefined 時移除該鍵
+  const applyCellUpdates = useCallback((cells) => {
+    if (selectedTable === null) return;
     
-    // 類型轉換處理
-    let processedValue = value;
-    if (typeof value === 'string') {
-      // 嘗試轉換為適當的類型
-      if (value === '') {
-        processedValue = '';
-      } else if (value === 'true') {
-        processedValue = true;
-      } else if (value === 'false') {
-        processedValue = false;
-      } else if (value === 'null') {
-        processedValue = null;
-      } else if (!isNaN(value) && !isNaN(parseFloat(value))) {
-        processedValue = parseFloat(value);
-      }
-    }
+    // 跳過值沒有變化的儲存格
+    const changed = cells.filter(({ rowIndex, colIndex, value }) => {
+      return rowIndex >= tableData.length || colIndex >= columns.length ||
+        !Object.is(readCell(tableData[rowIndex], colIndex), value);
+    });
+    if (changed.length === 0) return;
     
-    newTableData[rowIndex][colIndex] = processedValue;
-    setTableData(newTableData);
+    const maxRow = changed.reduce((max, cell) => Math.max(max, cell.rowIndex), 0);
+    const maxCol = changed.reduce((max, cell) => Math.max(max, cell.colIndex), 0);
     
-    // 即時更新到全局狀態 - 簡化版本
-    if (validateTableData(newTableData) && selectedTable) {
-      // 構建完整的 JSON 數據
-      const currentJsonData = useJsonStore.getState().jsonData;
-      const updatedJsonData = setNestedValueInObject(currentJsonData, selectedTable, newTableData);
+    let newTableData;
+    if (isObjectMode) {
+      // 超出現有列時生成新的鍵名
+      const keys = [...columns];
+      while (keys.length <= maxCol) {
+        keys.push(createUniqueKey(Object.fromEntries(keys.map(key => [key, true]))));
+      }
       
-      setActiveEditor('table-editor');
-      updateJsonData(updatedJsonData, 'table-editor');
-      setActiveEditor(null);
+      // 新行包含所有現有列，值為 null
+      newTableData = [...tableData];
+      while (newTableData.length <= maxRow) {
+        newTableData.push(Object.fromEntries(columns.map(key => [key, null])));
+      }
       
+      const copiedRows = new Set();
+      changed.forEach(({ rowIndex, colIndex, value }) => {
+        if (!copiedRows.has(rowIndex)) {
+          newTableData[rowIndex] = { ...newTableData[rowIndex] };
+          copiedRows.add(rowIndex);
+        }
+        if (value === undefined) {
+          delete newTableData[rowIndex][keys[colIndex]];
+        } else {
+          newTableData[rowIndex][keys[colIndex]] = value;
+        }
+      });
+    } else {
+      newTableData = tableData.map(row => [...row]);
+      
+      // 確保行存在
+      while (newTableData.length <= maxRow) {
+        newTableData.push([]);
+      }
+      
+      changed.forEach(({ rowIndex, colIndex, value }) => {
+        // 確保列存在
+        while (newTableData[rowIndex].length <= colIndex) {
+          newTableData[rowIndex].push('');
+        }
+        newTableData[rowIndex][colIndex] = value;
+      });
+    }
+    
+    // 即時更新到全局狀態
+    if (validateTableData(newTableData)) {
+      commitTable(newTableData);
       setLocalError(null);
     } else {
       setLocalError('無效的表格數據格式');
     }
-  }, [tableData, selectedTable, updateJsonData, setActiveEditor, validateTableData]);
+  }, [tableData, selectedTable, isObjectMode, columns, readCell, commitTable, validateTableData]);
+  
+  // 更新單個儲存格
+  const updateCell = useCallback((rowIndex, colIndex, value) => {
+    applyCellUpdates([{ rowIndex, colIndex, value }]);
+  }, [applyCellUpdates]);
   
   // 開始編輯儲存格
   const startEdit = useCallback((rowIndex, colIndex) => {
@@ -113,9 +325,8 @@ const TableEditor = () => {
       finishEdit();
     }
     
-    const currentValue = tableData[rowIndex]?.[colIndex] ?? '';
     setEditingCell({ row: rowIndex, col: colIndex });
-    setCellValue(String(currentValue));
+    setCellValue(formatCellText(readCell(tableData[rowIndex], colIndex)));
     
     // 聚焦到輸入框
     setTimeout(() => {
@@ -124,16 +335,26 @@ const TableEditor = () => {
         editInputRef.current.select();
       }
     }, 0);
-  }, [tableData, editingCell]);
+  }, [tableData, editingCell, readCell]);
   
   // 完成編輯
   const finishEdit = useCallback(() => {
     if (!editingCell) return;
     
-    updateCell(editingCell.row, editingCell.col, cellValue);
+    const { row, col } = editingCell;
+    const previous = readCell(tableData[row], col);
     setEditingCell(null);
     setCellValue('');
-  }, [editingCell, cellValue, updateCell]);
+    
+    // 缺少的鍵未輸入內容時保持缺少
+    if (previous === undefined && cellValue === '') return;
+    
+    try {
+      updateCell(row, col, parseInput(cellValue, col, previous));
+    } catch (error) {
+      setLocalError(error.message);
+    }
+  }, [editingCell, cellValue, tableData, readCell, updateCell, parseInput]);
   
   // 取消編輯
   const cancelEdit = useCallback(() => {
@@ -143,149 +364,463 @@ const TableEditor = () => {
   
   // 添加新行
   const addRow = useCallback(() => {
-    if (!selectedTable) return;
+    if (selectedTable === null) return;
     
-    const maxCols = Math.max(1, ...tableData.map(row => row.length));
-    const newRow = Array(maxCols).fill('');
-    const newTableData = [...tableData, newRow];
+    // 對象數組的新行包含所有列，值為 null
+    const newRow = isObjectMode
+      ? Object.fromEntries(columns.map(key => [key, null]))
+      : Array(Math.max(1, columns.length)).fill('');
     
-    setTableData(newTableData);
-    
-    // 更新到 store
-    if (selectedTable) {
-      const currentJsonData = useJsonStore.getState().jsonData;
-      const updatedJsonData = setNestedValueInObject(currentJsonData, selectedTable, newTableData);
-      updateJsonData(updatedJsonData, 'table-editor');
-    }
-  }, [selectedTable, tableData, updateJsonData]);
+    commitTable([...tableData, newRow]);
+  }, [selectedTable, tableData, isObjectMode, columns, commitTable]);
   
   // 添加新列
   const addColumn = useCallback(() => {
-    if (!selectedTable) return;
+    if (selectedTable === null) return;
+    
+    // 對象數組模式需要先輸入列名
+    if (isObjectMode) {
+      setNewColumnName('');
+      return;
+    }
     
     const newTableData = tableData.map(row => [...row, '']);
     if (newTableData.length === 0) {
       newTableData.push(['']);
     }
     
-    setTableData(newTableData);
-    
-    // 更新到 store
-    if (selectedTable) {
-      const currentJsonData = useJsonStore.getState().jsonData;
-      const updatedJsonData = setNestedValueInObject(currentJsonData, selectedTable, newTableData);
-      updateJsonData(updatedJsonData, 'table-editor');
+    commitTable(newTableData);
+  }, [selectedTable, tableData, isObjectMode, commitTable]);
+  
+  // 確認對象數組的新列名，為每一行添加該鍵
+  const confirmNewColumn = useCallback(() => {
+    const key = newColumnName?.trim();
+    if (!key) {
+      setNewColumnName(null);
+      return;
+    }
+    if (columns.includes(key)) {
+      setLocalError(`列「${key}」已存在`);
+      return;
     }
-  }, [selectedTable, tableData, updateJsonData]);
+    
+    commitTable(tableData.map(row => ({ ...row, [key]: null })));
+    setNewColumnName(null);
+    setLocalError(null);
+  }, [newColumnName, columns, tableData, commitTable]);
   
   // 刪除行
   const deleteRow = useCallback((rowIndex) => {
-    if (!selectedTable || tableData.length <= 1) return;
+    if (selectedTable === null || dataRows.length <= 1) return;
     
-    const newTableData = tableData.filter((_, index) => index !== rowIndex);
-    setTableData(newTableData);
-    
-    // 更新到 store
-    if (selectedTable) {
-      const currentJsonData = useJsonStore.getState().jsonData;
-      const updatedJsonData = setNestedValueInObject(currentJsonData, selectedTable, newTableData);
-      updateJsonData(updatedJsonData, 'table-editor');
-    }
+    commitTable(tableData.filter((_, index) => index !== rowIndex));
     
     // 如果正在編輯被刪除的行，取消編輯
     if (editingCell && editingCell.row === rowIndex) {
       cancelEdit();
     }
-  }, [selectedTable, tableData, updateJsonData, editingCell, cancelEdit]);
+  }, [selectedTable, tableData, dataRows.length, commitTable, editingCell, cancelEdit]);
   
   // 刪除列
   const deleteColumn = useCallback((colIndex) => {
-    if (!selectedTable) return;
+    if (selectedTable === null) return;
     
-    const newTableData = tableData.map(row => {
-      const newRow = row.filter((_, index) => index !== colIndex);
-      return newRow.length === 0 ? [''] : newRow;
-    });
+    const newTableData = isObjectMode
+      ? tableData.map(row => {
+        const newRow = { ...row };
+        delete newRow[columns[colIndex]];
+        return newRow;
+      })
+      : tableData.map(row => {
+        const newRow = row.filter((_, index) => index !== colIndex);
+        return newRow.length === 0 ? [''] : newRow;
+      });
     
-    setTableData(newTableData);
+    commitTable(newTableData);
     
-    // 更新到 store
-    if (selectedTable) {
-      const currentJsonData = useJsonStore.getState().jsonData;
-      const updatedJsonData = setNestedValueInObject(currentJsonData, selectedTable, newTableData);
-      updateJsonData(updatedJsonData, 'table-editor');
+    // 移除該列的類型聲明，2D 數組中後面各列的聲明前移
+    if (isObjectMode) {
+      if (getDeclaredType(tableSchema, columns[colIndex])) setColumnType(selectedTable, columns[colIndex], null);
+    } else {
+      for (let index = colIndex; index < columns.length; index++) {
+        const next = getDeclaredType(tableSchema, index + 1);
+        if (next || getDeclaredType(tableSchema, index)) setColumnType(selectedTable, index, next);
+      }
+      if (tableSchema?.columnNames) {
+        const names = Object.fromEntries(Object.entries(tableSchema.columnNames)
+          .filter(([index]) => Number(index) !== colIndex)
+          .map(([index, name]) => [Number(index) > colIndex ? Number(index) - 1 : index, name])
+        );
+        updateTableSchema(selectedTable, { columnNames: names });
+      }
     }
+    setColumnMenu(null);
     
     // 如果正在編輯被刪除的列，取消編輯
     if (editingCell && editingCell.col === colIndex) {
       cancelEdit();
     }
-  }, [selectedTable, tableData, updateJsonData, editingCell, cancelEdit]);
+  }, [selectedTable, tableData, isObjectMode, columns, commitTable, editingCell, cancelEdit, tableSchema, setColumnType, updateTableSchema]);
+  
+  // 重命名 2D 數組的列：首行為標題時寫入首行，否則保存到列聲明
+  const renameColumn = useCallback((colIndex, text) => {
+    const name = text.trim();
+    if (name === (columnNames?.[colIndex] ?? '')) return;
+    
+    if (firstDataRow) {
+      updateCell(0, colIndex, name);
+      return;
+    }
+    
+    const names = { ...tableSchema?.columnNames };
+    if (name) {
+      names[colIndex] = name;
+    } else {
+      delete names[colIndex];
+    }
+    updateTableSchema(selectedTable, { columnNames: names });
+  }, [selectedTable, columnNames, firstDataRow, tableSchema, updateCell, updateTableSchema]);
+  
+  // 切換首行標題模式
+  const toggleHeaderRow = useCallback(() => {
+    setSort(null);
+    setFilters(new Map());
+    setSelection(null);
+    updateTableSchema(selectedTable, { headerRow: !firstDataRow });
+  }, [selectedTable, firstDataRow, updateTableSchema]);
+  
+  // 聲明列類型；切換為枚舉時以該列現有的文本值作為初始可選值
+  const changeColumnType = useCallback((colIndex, type) => {
+    const column = columns[colIndex];
+    if (type !== 'enum') {
+      setColumnType(selectedTable, column, { type });
+      return;
+    }
+    
+    const options = [...new Set(dataRows
+      .map(row => readCell(row, colIndex))
+      .filter(value => typeof value === 'string' && value !== '')
+    )].slice(0, 50);
+    setColumnType(selectedTable, column, { type, options });
+  }, [selectedTable, columns, dataRows, readCell, setColumnType]);
+  
+  // 把整列的值轉換為聲明的類型，無法轉換的值設為 null
+  const convertColumn = useCallback((colIndex) => {
+    const spec = columnTypes[colIndex];
+    let failed = 0;
+    const cells = dataRows.map((row, offset) => {
+      const result = convertToType(readCell(row, colIndex), spec);
+      if (!result.ok) failed++;
+      return { rowIndex: firstDataRow + offset, colIndex, value: result.value };
+    });
+    
+    console.log(`[TableEditor] 轉換列 ${columns[colIndex]} 為 ${spec.type}，${failed} 個值無法轉換`);
+    applyCellUpdates(cells);
+    if (failed > 0) {
+      setLocalError(`${failed} 個值無法轉換為${getTypeLabel(spec.type)}，已設為 null`);
+    }
+  }, [columnTypes, dataRows, firstDataRow, columns, readCell, applyCellUpdates]);
+  
+  // 展開或收起嵌套儲存格
+  const toggleExpanded = useCallback((cellId) => {
+    setExpandedCells(prev => {
+      const next = new Set(prev);
+      if (next.has(cellId)) {
+        next.delete(cellId);
+      } else {
+        next.add(cellId);
+      }
+      return next;
+    });
+  }, []);
+  
+  // 點擊列標題：升序 → 降序 → 取消排序
+  const toggleSort = useCallback((column) => {
+    setSort(prev => {
+      if (prev?.column !== column) return { column, direction: 'asc' };
+      return prev.direction === 'asc' ? { column, direction: 'desc' } : null;
+    });
+  }, []);
   
-  // 鍵盤事件處理
-  const handleKeyDown = useCallback((e, rowIndex, colIndex) => {
+  // 把當前排序寫回數組
+  const applySort = useCallback(() => {
+    if (!sort || selectedTable === null) return;
+    
+    // 標題行保持在首行
+    const sortedIndices = sortRowIndices(tableData.map((_, index) => index).slice(firstDataRow), sort);
+    console.log(`[TableEditor] 應用排序: ${sort.column} ${sort.direction}`);
+    commitTable([...tableData.slice(0, firstDataRow), ...sortedIndices.map(index => tableData[index])]);
+    setSort(null);
+    setExpandedCells(new Set());
+  }, [sort, selectedTable, tableData, firstDataRow, sortRowIndices, commitTable]);
+  
+  // 更新某列的篩選條件
+  const updateFilter = useCallback((column, colIndex, patch) => {
+    setFilters(prev => new Map(prev).set(column, {
+      operator: FILTER_OPERATORS[columnKinds[colIndex]][0].id,
+      value: '',
+      ...prev.get(column),
+      ...patch
+    }));
+  }, [columnKinds]);
+  
+  // 收起篩選欄時清除所有篩選
+  const toggleFilters = useCallback(() => {
+    if (showFilters) {
+      setFilters(new Map());
+    }
+    setShowFilters(!showFilters);
+  }, [showFilters]);
+  
+  // 選區的矩形範圍（顯示位置），行列減少後超出的部分被截去
+  const selectionRange = useMemo(() => {
+    if (!selection || viewRows.length === 0 || columns.length === 0) return null;
+    
+    const clampRow = (row) => Math.min(row, viewRows.length - 1);
+    const clampCol = (col) => Math.min(col, columns.length - 1);
+    return {
+      top: clampRow(Math.min(selection.anchorRow, selection.focusRow)),
+      bottom: clampRow(Math.max(selection.anchorRow, selection.focusRow)),
+      left: clampCol(Math.min(selection.anchorCol, selection.focusCol)),
+      right: clampCol(Math.max(selection.anchorCol, selection.focusCol))
+    };
+  }, [selection, viewRows.length, columns.length]);
+  
+  // 選中儲存格，extend 時保留錨點擴展選區
+  const selectCell = useCallback((viewRow, colIndex, extend = false) => {
+    setSelection(prev => (extend && prev
+      ? { ...prev, focusRow: viewRow, focusCol: colIndex }
+      : { anchorRow: viewRow, anchorCol: colIndex, focusRow: viewRow, focusCol: colIndex }
+    ));
+  }, []);
+  
+  // 從當前焦點儲存格移動
+  const moveSelection = useCallback((rowDelta, colDelta, extend = false) => {
+    if (viewRows.length === 0 || columns.length === 0) return;
+    
+    const focusRow = selection ? Math.min(selection.focusRow, viewRows.length - 1) : 0;
+    const focusCol = selection ? Math.min(selection.focusCol, columns.length - 1) : 0;
+    const nextRow = Math.max(0, Math.min(viewRows.length - 1, focusRow + rowDelta));
+    const nextCol = Math.max(0, Math.min(columns.length - 1, focusCol + colDelta));
+    selectCell(nextRow, nextCol, extend);
+  }, [selection, viewRows.length, columns.length, selectCell]);
+  
+  // 讓表格重新獲得鍵盤焦點（等編輯框卸載後，避免觸發其失焦提交）
+  const focusGrid = useCallback(() => {
+    setTimeout(() => gridRef.current?.focus({ preventScroll: true }), 0);
+  }, []);
+  
+  // 選區內的儲存格（原始行索引），按行優先
+  const getRangeCells = useCallback(() => {
+    if (!selectionRange) return [];
+    
+    const cells = [];
+    for (let viewRow = selectionRange.top; viewRow <= selectionRange.bottom; viewRow++) {
+      for (let colIndex = selectionRange.left; colIndex <= selectionRange.right; colIndex++) {
+        cells.push({ rowIndex: viewRows[viewRow], colIndex });
+      }
+    }
+    return cells;
+  }, [selectionRange, viewRows]);
+  
+  // 清除選區，對象數組模式下移除對應的鍵
+  const clearRange = useCallback(() => {
+    const cells = getRangeCells();
+    console.log(`[TableEditor] 清除 ${cells.length} 個儲存格`);
+    applyCellUpdates(cells.map(cell => ({ ...cell, value: isObjectMode ? undefined : '' })));
+  }, [getRangeCells, applyCellUpdates, isObjectMode]);
+  
+  // 向下填充：選區第一行的值複製到選區其餘各行
+  const fillDown = useCallback(() => {
+    if (!selectionRange || selectionRange.top === selectionRange.bottom) return;
+    
+    const sourceRow = tableData[viewRows[selectionRange.top]];
+    const cells = getRangeCells()
+      .filter(cell => cell.rowIndex !== viewRows[selectionRange.top])
+      .map(cell => ({ ...cell, value: readCell(sourceRow, cell.colIndex) }));
+    console.log(`[TableEditor] 向下填充 ${cells.length} 個儲存格`);
+    applyCellUpdates(cells);
+  }, [selectionRange, tableData, viewRows, getRangeCells, readCell, applyCellUpdates]);
+  
+  // 選區轉換為 TSV，可直接粘貼到電子表格
+  const copyRange = useCallback(() => {
+    if (!selectionRange) return '';
+    
+    const rows = [];
+    for (let viewRow = selectionRange.top; viewRow <= selectionRange.bottom; viewRow++) {
+      const row = tableData[viewRows[viewRow]];
+      const texts = [];
+      for (let colIndex = selectionRange.left; colIndex <= selectionRange.right; colIndex++) {
+        texts.push(formatCellText(readCell(row, colIndex)));
+      }
+      rows.push(texts);
+    }
+    return toDelimitedText(rows);
+  }, [selectionRange, tableData, viewRows, readCell]);
+  
+  // 從選區左上角粘貼 TSV / CSV，超出表格時追加行和列，值的轉換與編輯儲存格相同
+  const pasteText = useCallback((text) => {
+    const matrix = parseDelimitedText(text);
+    if (matrix.length === 0) return;
+    
+    const top = selectionRange?.top ?? 0;
+    const left = selectionRange?.left ?? 0;
+    const cells = [];
+    let skipped = 0;
+    matrix.forEach((texts, rowOffset) => {
+      const viewRow = top + rowOffset;
+      // 超出顯示行時寫入數組末尾的新行
+      const rowIndex = viewRow < viewRows.length ? viewRows[viewRow] : tableData.length + viewRow - viewRows.length;
+      texts.forEach((cellText, colOffset) => {
+        const colIndex = left + colOffset;
+        const previous = readCell(tableData[rowIndex], colIndex);
+        // 對象數組中缺少的鍵粘貼空文本時保持缺少
+        if (isObjectMode && previous === undefined && cellText === '') {
+          cells.push({ rowIndex, colIndex, value: undefined });
+          return;
+        }
+        // 不符合列類型的文本跳過，不寫入儲存格
+        try {
+          cells.push({ rowIndex, colIndex, value: parseInput(cellText, colIndex) });
+        } catch {
+          skipped++;
+        }
+      });
+    });
+    
+    const width = Math.max(...matrix.map(texts => texts.length));
+    console.log(`[TableEditor] 粘貼 ${matrix.length} × ${width}，跳過 ${skipped} 個`);
+    applyCellUpdates(cells);
+    setSelection({ anchorRow: top, anchorCol: left, focusRow: top + matrix.length - 1, focusCol: left + width - 1 });
+    if (skipped > 0) {
+      setLocalError(`${skipped} 個儲存格不符合列類型，已跳過`);
+    }
+  }, [selectionRange, viewRows, tableData, readCell, isObjectMode, applyCellUpdates, parseInput]);
+  
+  // 表格獲得焦點且不在編輯時處理複製和粘貼
+  useEffect(() => {
+    const isGridFocused = () => gridRef.current && document.activeElement === gridRef.current;
+    
+    const handleCopy = (e) => {
+      if (!isGridFocused() || !selectionRange) return;
+      e.preventDefault();
+      e.clipboardData.setData('text/plain', copyRange());
+    };
+    
+    const handlePaste = (e) => {
+      if (!isGridFocused()) return;
+      e.preventDefault();
+      pasteText(e.clipboardData.getData('text/plain'));
+    };
+    
+    document.addEventListener('copy', handleCopy);
+    document.addEventListener('paste', handlePaste);
+    return () => {
+      document.removeEventListener('copy', handleCopy);
+      document.removeEventListener('paste', handlePaste);
+    };
+  }, [selectionRange, copyRange, pasteText]);
+  
+  // 焦點儲存格移出可見範圍時滾動表格（儲存格可能尚未渲染，按固定尺寸計算位置）
+  useEffect(() => {
+    const grid = gridRef.current;
+    if (!selection || !grid) return;
+    
+    const bodyHeight = grid.clientHeight - headerHeight - FOOTER_HEIGHT;
+    const bodyWidth = grid.clientWidth - ROW_HEADER_WIDTH;
+    const top = selection.focusRow * ROW_HEIGHT;
+    const left = selection.focusCol * COLUMN_WIDTH;
+    
+    if (top < grid.scrollTop) {
+      grid.scrollTop = top;
+    } else if (top + ROW_HEIGHT > grid.scrollTop + bodyHeight) {
+      grid.scrollTop = top + ROW_HEIGHT - bodyHeight;
+    }
+    if (left < grid.scrollLeft) {
+      grid.scrollLeft = left;
+    } else if (left + COLUMN_WIDTH > grid.scrollLeft + bodyWidth) {
+      grid.scrollLeft = left + COLUMN_WIDTH - bodyWidth;
+    }
+  }, [selection, headerHeight]);
+  
+  // 表格鍵盤事件處理（編輯框和篩選輸入框自行處理按鍵）
+  const handleGridKeyDown = useCallback((e) => {
+    if (e.target !== e.currentTarget || editingCell) return;
+    
+    const isCtrl = e.ctrlKey || e.metaKey;
+    
+    // 移動按鍵，移動距離超出表格時停在邊緣；Ctrl+Home / End 跳到首行或末行
+    const moves = {
+      ArrowUp: [-1, 0],
+      ArrowDown: [1, 0],
+      ArrowLeft: [0, -1],
+      ArrowRight: [0, 1],
+      PageUp: [-pageRows, 0],
+      PageDown: [pageRows, 0],
+      Home: isCtrl ? [-viewRows.length, -columns.length] : [0, -columns.length],
+      End: isCtrl ? [viewRows.length, columns.length] : [0, columns.length]
+    };
+    if (moves[e.key]) {
+      e.preventDefault();
+      moveSelection(...moves[e.key], e.shiftKey);
+      return;
+    }
+    if (!selectionRange) return;
+    
+    const focusRowIndex = viewRows[Math.min(selection.focusRow, viewRows.length - 1)];
+    const focusCol = Math.min(selection.focusCol, columns.length - 1);
+    
     switch (e.key) {
       case 'Enter':
-        if (editingCell) {
-          e.preventDefault();
-          finishEdit();
-          // 移動到下一行
-          if (rowIndex + 1 < tableData.length) {
-            startEdit(rowIndex + 1, colIndex);
-          }
-        } else {
-          e.preventDefault();
-          startEdit(rowIndex, colIndex);
-        }
+      case 'F2':
+        e.preventDefault();
+        startEdit(focusRowIndex, focusCol);
         break;
       case 'Tab':
-        if (editingCell) {
-          e.preventDefault();
-          finishEdit();
-          // 移動到下一列
-          const nextCol = colIndex + 1;
-          const maxCols = Math.max(...tableData.map(row => row.length));
-          if (nextCol < maxCols) {
-            startEdit(rowIndex, nextCol);
-          }
-        }
+        e.preventDefault();
+        moveSelection(0, e.shiftKey ? -1 : 1);
         break;
       case 'Escape':
-        if (editingCell) {
-          e.preventDefault();
-          cancelEdit();
-        }
+        // 收起選區為焦點儲存格
+        selectCell(selection.focusRow, selection.focusCol);
         break;
       case 'Delete':
       case 'Backspace':
-        if (!editingCell) {
-          e.preventDefault();
-          updateCell(rowIndex, colIndex, '');
-        }
+        e.preventDefault();
+        clearRange();
         break;
       default:
-        if (!editingCell && e.key.length === 1) {
+        if (isCtrl && e.key.toLowerCase() === 'd') {
+          e.preventDefault();
+          fillDown();
+        } else if (!isCtrl && !e.altKey && e.key.length === 1) {
           // 開始編輯並輸入字符
-          startEdit(rowIndex, colIndex);
+          e.preventDefault();
+          startEdit(focusRowIndex, focusCol);
           setCellValue(e.key);
         }
         break;
     }
-  }, [editingCell, finishEdit, cancelEdit, startEdit, updateCell, tableData]);
+  }, [editingCell, selection, selectionRange, viewRows, columns.length, pageRows, moveSelection, selectCell, startEdit, clearRange, fillDown]);
   
   // 計算表格統計信息
   const tableStats = useMemo(() => {
-    if (!tableData.length) return { rows: 0, cols: 0, cells: 0, filled: 0 };
+    if (!tableData.length) return { rows: 0, cols: 0, cells: 0, filled: 0, visible: 0, columns: [] };
     
-    const rows = tableData.length;
-    const cols = Math.max(...tableData.map(row => row.length));
+    const rows = dataRows.length;
+    const cols = columns.length;
     const totalCells = rows * cols;
-    const filledCells = tableData.reduce((sum, row) => {
-      return sum + row.filter(cell => cell !== '' && cell != null).length;
+    const filledCells = dataRows.reduce((sum, row) => {
+      return sum + Object.values(row).filter(cell => cell !== '' && cell != null).length;
     }, 0);
     
-    return { rows, cols, cells: totalCells, filled: filledCells };
-  }, [tableData]);
+    // 每列的統計只計算篩選後顯示的行
+    const columnStats = columns.map((_, colIndex) => {
+      return computeColumnStats(viewRows.map(index => readCell(tableData[index], colIndex)));
+    });
+    
+    return { rows, cols, cells: totalCells, filled: filledCells, visible: viewRows.length, columns: columnStats };
+  }, [tableData, dataRows, columns, viewRows, readCell]);
   
   // 渲染儲存格
   const renderCell = useCallback((cellData, rowIndex, colIndex) => {
@@ -304,9 +839,19 @@ const TableEditor = () => {
             if (e.key === 'Enter') {
               e.preventDefault();
               finishEdit();
+              // 移動到下一行
+              moveSelection(1, 0);
+              focusGrid();
+            } else if (e.key === 'Tab') {
+              e.preventDefault();
+              finishEdit();
+              // 移動到下一列
+              moveSelection(0, e.shiftKey ? -1 : 1);
+              focusGrid();
             } else if (e.key === 'Escape') {
               e.preventDefault();
               cancelEdit();
+              focusGrid();
             }
           }}
           className="w-full h-full px-2 py-1 border-2 border-blue-500 outline-none bg-white"
@@ -314,11 +859,46 @@ const TableEditor = () => {
       );
     }
     
+    // 不符合列類型的值標紅
+    const spec = columnTypes[colIndex];
+    const typeError = spec && !isValidForType(cellData, spec) ? `不符合列類型: ${getTypeLabel(spec.type)}` : null;
+    
+    // 嵌套的對象或數組顯示為可展開的摘要，編輯時按 JSON 編輯
+    if (isNestedValue(cellData)) {
+      const cellId = `${rowIndex}:${columns[colIndex]}`;
+      const isExpanded = expandedCells.has(cellId);
+      
+      return (
+        <div className={`h-full px-2 flex items-center cursor-cell ${typeError ? 'bg-red-50' : ''}`} title={typeError ?? undefined}>
+          <button
+            onClick={() => toggleExpanded(cellId)}
+            onDoubleClick={(e) => e.stopPropagation()}
+            className="text-xs font-mono text-indigo-600 hover:text-indigo-800"
+            title={isExpanded ? '收起' : '展開'}
+          >
+            {isExpanded ? '▾' : '▸'} {summarizeNestedValue(cellData)}
+          </button>
+          {/* 展開內容浮在表格上方，保持行高固定 */}
+          {isExpanded && (
+            <pre className="absolute left-0 top-full z-30 w-72 max-h-48 overflow-auto p-2 bg-white border border-gray-300 rounded shadow-lg text-xs font-mono text-gray-700 whitespace-pre-wrap">
+              {JSON.stringify(cellData, null, 2)}
+            </pre>
+          )}
+        </div>
+      );
+    }
+    
     // 顯示模式
     let displayValue = cellData;
     let cellClass = "px-2 py-1 text-gray-900";
+    let title;
     
-    if (cellData === null) {
+    if (cellData === undefined) {
+      // 對象中缺少該鍵，與 null 區分
+      displayValue = '';
+      cellClass += " bg-[repeating-linear-gradient(135deg,transparent,transparent_4px,#f3f4f6_4px,#f3f4f6_8px)]";
+      title = '缺少此鍵';
+    } else if (cellData === null) {
       displayValue = 'null';
       cellClass += " text-gray-400 italic";
     } else if (cellData === '') {
@@ -333,28 +913,43 @@ const TableEditor = () => {
       cellClass += " text-gray-800";
     }
     
+    if (typeError) {
+      cellClass += " bg-red-50 !text-red-600";
+      title = `${typeError}（${String(displayValue)}）`;
+    }
+    
     return (
       <div
-        className={`${cellClass} cursor-text h-full flex items-center min-h-[32px]`}
-        onClick={() => startEdit(rowIndex, colIndex)}
-        onKeyDown={(e) => handleKeyDown(e, rowIndex, colIndex)}
-        tabIndex={0}
+        className={`${cellClass} cursor-cell h-full flex items-center`}
+        title={title ?? String(displayValue)}
       >
-        {String(displayValue)}
+        <span className="truncate">{String(displayValue)}</span>
       </div>
     );
-  }, [editingCell, cellValue, finishEdit, cancelEdit, startEdit, handleKeyDown]);
+  }, [editingCell, cellValue, finishEdit, cancelEdit, moveSelection, focusGrid, columns, columnTypes, expandedCells, toggleExpanded]);
   
   // 當前錯誤
   const currentError = localError || globalError;
   
-  if (!selectedTable) {
+  // 表格總寬度和可見範圍內的列索引
+  const totalWidth = ROW_HEADER_WIDTH + columns.length * COLUMN_WIDTH;
+  const visibleColumns = [];
+  for (let colIndex = visibleRange.colStart; colIndex < visibleRange.colEnd; colIndex++) {
+    visibleColumns.push(colIndex);
+  }
+  
+  // 選中對象時顯示屬性表
+  if (selectedType === 'object') {
+    return <PropertyGrid />;
+  }
+  
+  if (selectedTable === null) {
     return (
       <div className="h-full flex items-center justify-center bg-gray-50">
         <div className="text-center">
           <div className="text-6xl mb-4">📊</div>
-          <p className="text-gray-600 text-lg mb-2">選擇一個2D數組節點開始編輯</p>
-          <p className="text-gray-400 text-sm">點擊圖形視圖中的表格節點</p>
+          <p className="text-gray-600 text-lg mb-2">選擇一個數組或對象節點開始編輯</p>
+          <p className="text-gray-400 text-sm">點擊圖形視圖中的數組或對象節點</p>
         </div>
       </div>
     );
@@ -366,20 +961,94 @@ const TableEditor = () => {
       <div className="p-3 border-b bg-gray-50">
         <div className="flex justify-between items-center">
           <div className="text-xs text-gray-600">
-            <span className="font-medium">{selectedTable || '無選擇'}</span>
+            <PathBreadcrumb path={selectedTable} />
+            {isObjectMode && (
+              <span className="ml-2 inline-flex items-center px-1.5 py-0.5 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800">
+                對象數組
+              </span>
+            )}
             {activeEditor === 'table-editor' && (
               <span className="ml-2 inline-flex items-center px-1.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
                 同步中
               </span>
             )}
             <div className="mt-1 text-gray-500">
+              {tableStats.visible !== tableStats.rows && `顯示 ${tableStats.visible} / `}
               {tableStats.rows} 行 × {tableStats.cols} 列 | 
               {tableStats.filled}/{tableStats.cells} 儲存格已填充 |
               {editingCell ? '編輯中' : '查看模式'}
+              {selectionRange && ` | 選區 ${selectionRange.bottom - selectionRange.top + 1} × ${selectionRange.right - selectionRange.left + 1}`}
             </div>
           </div>
           
           <div className="flex space-x-2">
+            {selectionRange && (selectionRange.top !== selectionRange.bottom || selectionRange.left !== selectionRange.right) && (
+              <>
+                <button
+                  onClick={fillDown}
+                  disabled={selectionRange.top === selectionRange.bottom}
+                  className="px-3 py-1 bg-white border border-gray-300 text-gray-700 text-sm rounded hover:bg-gray-100 disabled:opacity-50 transition-colors"
+                  title="把選區第一行複製到其餘行 (Ctrl+D)"
+                >
+                  向下填充
+                </button>
+                <button
+                  onClick={clearRange}
+                  className="px-3 py-1 bg-white border border-gray-300 text-gray-700 text-sm rounded hover:bg-gray-100 transition-colors"
+                  title="清除選區 (Delete)"
+                >
+                  清除
+                </button>
+              </>
+            )}
+            {!isObjectMode && (
+              <button
+                onClick={toggleHeaderRow}
+                className={`px-3 py-1 text-sm rounded border transition-colors ${
+                  firstDataRow ? 'bg-gray-700 border-gray-700 text-white' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-100'
+                }`}
+                title={firstDataRow ? '首行作為數據顯示' : '把首行作為列標題'}
+              >
+                首行標題
+              </button>
+            )}
+            {sort && (
+              <button
+                onClick={applySort}
+                className="px-3 py-1 bg-white border border-blue-500 text-blue-600 text-sm rounded hover:bg-blue-50 transition-colors"
+                title="按當前排序重新排列數組"
+              >
+                應用排序
+              </button>
+            )}
+            <button
+              onClick={toggleFilters}
+              className={`px-3 py-1 text-sm rounded border transition-colors ${
+                showFilters ? 'bg-gray-700 border-gray-700 text-white' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-100'
+              }`}
+              title={showFilters ? '收起並清除篩選' : '按列篩選'}
+            >
+              篩選
+            </button>
+            {newColumnName !== null && (
+              <input
+                autoFocus
+                value={newColumnName}
+                onChange={(e) => setNewColumnName(e.target.value)}
+                onBlur={confirmNewColumn}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') {
+                    e.preventDefault();
+                    confirmNewColumn();
+                  } else if (e.key === 'Escape') {
+                    e.preventDefault();
+                    setNewColumnName(null);
+                  }
+                }}
+                placeholder="新列名"
+                className="w-28 px-2 py-1 text-sm border border-green-500 rounded outline-none"
+              />
+            )}
             <button
               onClick={addRow}
               className="px-3 py-1 bg-blue-500 text-white text-sm rounded hover:bg-blue-600 transition-colors"
@@ -406,76 +1075,300 @@ const TableEditor = () => {
         )}
       </div>
       
-      {/* 表格主體 */}
-      <div className="flex-1 overflow-auto">
+      {/* 表格主體：只渲染可見範圍內的行和列，標題行、行號列和統計行固定 */}
+      <div
+        ref={gridCallbackRef}
+        className="flex-1 overflow-auto outline-none"
+        tabIndex={0}
+        onKeyDown={handleGridKeyDown}
+        onScroll={updateViewport}
+      >
         {tableData.length === 0 ? (
           <div className="h-full flex items-center justify-center text-gray-500">
             <p>沒有可編輯的數據</p>
           </div>
         ) : (
-          <div className="p-4">
-            <table className="border-collapse border border-gray-300 bg-white">
-              <thead>
-                <tr className="bg-gray-100">
-                  <th className="w-8 border border-gray-300 px-2 py-1 text-xs text-gray-500">#</th>
-                  {Array.from({ length: Math.max(...tableData.map(row => row.length)) }).map((_, colIndex) => (
-                    <th 
-                      key={colIndex} 
-                      className="border border-gray-300 px-2 py-1 text-xs text-gray-500 min-w-[100px] relative group"
+          <div className="text-sm" style={{ width: totalWidth }}>
+            {/* 標題行和篩選欄 */}
+            <div className="sticky top-0 z-20" style={{ width: totalWidth }}>
+              <div className="flex bg-gray-100" style={{ height: ROW_HEIGHT }}>
+                <div
+                  className="sticky left-0 z-10 shrink-0 flex items-center justify-center border-r border-b border-gray-300 bg-gray-100 text-xs text-gray-500"
+                  style={{ width: ROW_HEADER_WIDTH }}
+                >
+                  #
+                </div>
+                <div className="shrink-0" style={{ width: visibleRange.colStart * COLUMN_WIDTH }} />
+                {visibleColumns.map((colIndex) => {
+                  const column = columns[colIndex];
+                  const spec = columnTypes[colIndex];
+                  return (
+                    <div
+                      key={column}
+                      className="relative shrink-0 flex items-center justify-between px-2 border-r border-b border-gray-300 text-xs text-gray-500 font-bold group/header"
+                      style={{ width: COLUMN_WIDTH }}
                     >
-                      <div className="flex items-center justify-between">
-                        <span>列 {colIndex + 1}</span>
+                      <button
+                        onClick={() => toggleSort(column)}
+                        className="flex items-center min-w-0 hover:text-gray-900"
+                        title="點擊排序"
+                      >
+                        {isObjectMode ? (
+                          <span className="font-mono text-gray-700 truncate" title={column}>{column}</span>
+                        ) : columnNames?.[colIndex] ? (
+                          <span className="text-gray-700 truncate" title={`列 ${colIndex + 1}: ${columnNames[colIndex]}`}>{columnNames[colIndex]}</span>
+                        ) : (
+                          <span>{getColumnLabel(colIndex)}</span>
+                        )}
+                        {sort?.column === column && (
+                          <span className="ml-1 text-blue-600">{sort.direction === 'asc' ? '▲' : '▼'}</span>
+                        )}
+                      </button>
+                      <div className="flex items-center shrink-0">
+                        <button
+                          onClick={() => setColumnMenu(columnMenu === column ? null : column)}
+                          className={`ml-1 px-1 rounded font-normal hover:bg-gray-200 ${
+                            invalidCounts[colIndex] > 0 ? 'text-red-600' : spec.declared ? 'text-gray-700' : 'text-gray-400'
+                          }`}
+                          title={`${spec.declared ? '列類型' : '推斷類型'}: ${getTypeLabel(spec.type)}${
+                            invalidCounts[colIndex] > 0 ? `，${invalidCounts[colIndex]} 個值不符合` : ''
+                          }`}
+                        >
+                          {getTypeLabel(spec.type)} ▾
+                        </button>
                         <button
                           onClick={() => deleteColumn(colIndex)}
-                          className="opacity-0 group-hover:opacity-100 ml-1 text-red-500 hover:text-red-700 text-xs"
+                          className="opacity-0 group-hover/header:opacity-100 ml-1 text-red-500 hover:text-red-700 text-xs"
                           title="刪除列"
                         >
                           ×
                         </button>
                       </div>
-                    </th>
-                  ))}
-                </tr>
-              </thead>
-              <tbody>
-                {tableData.map((row, rowIndex) => (
-                  <tr key={rowIndex} className="hover:bg-gray-50 group">
-                    <td className="border border-gray-300 px-2 py-1 text-xs text-gray-500 bg-gray-100 relative">
-                      <div className="flex items-center justify-between">
-                        <span>{rowIndex + 1}</span>
-                        {tableData.length > 1 && (
-                          <button
-                            onClick={() => deleteRow(rowIndex)}
-                            className="opacity-0 group-hover:opacity-100 ml-1 text-red-500 hover:text-red-700 text-xs"
-                            title="刪除行"
-                          >
-                            ×
-                          </button>
+                      
+                      {/* 列類型菜單 */}
+                      {columnMenu === column && (
+                        <div className="absolute right-0 top-full z-30 w-56 p-2 space-y-2 bg-white border border-gray-300 rounded shadow-lg font-normal text-gray-700">
+                          {!isObjectMode && (
+                            <div className="flex items-center space-x-2">
+                              <span className="shrink-0 text-gray-500">列名</span>
+                              <input
+                                key={columnNames?.[colIndex] ?? ''}
+                                defaultValue={columnNames?.[colIndex] ?? ''}
+                                onBlur={(e) => renameColumn(colIndex, e.target.value)}
+                                onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+                                placeholder={`列 ${colIndex + 1}`}
+                                className="w-full px-1 py-0.5 text-xs border border-gray-300 rounded outline-none focus:border-blue-400"
+                                title={firstDataRow ? '修改首行中的標題' : '列名隨文檔的視圖狀態保存'}
+                                spellCheck={false}
+                              />
+                            </div>
+                          )}
+                          <div className="flex items-center space-x-2">
+                            <span className="shrink-0 text-gray-500">類型</span>
+                            <select
+                              value={spec.type}
+                              onChange={(e) => changeColumnType(colIndex, e.target.value)}
+                              className="w-full py-0.5 text-xs border border-gray-300 rounded bg-white"
+                            >
+                              {COLUMN_TYPES.map(({ id, label }) => (
+                                <option key={id} value={id}>{label}</option>
+                              ))}
+                            </select>
+                          </div>
+                          {spec.type === 'enum' && (
+                            <input
+                              key={(spec.options || []).join(',')}
+                              defaultValue={(spec.options || []).join(', ')}
+                              onBlur={(e) => setColumnType(selectedTable, column, { type: 'enum', options: parseEnumOptions(e.target.value) })}
+                              onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+                              placeholder="可選值，以逗號分隔"
+                              className="w-full px-1 py-0.5 text-xs border border-gray-300 rounded outline-none focus:border-blue-400"
+                              spellCheck={false}
+                            />
+                          )}
+                          <div className="text-gray-500">
+                            {spec.declared ? '已聲明' : '按數據推斷'}
+                            {invalidCounts[colIndex] > 0 && (
+                              <span className="ml-1 text-red-600">· {invalidCounts[colIndex]} 個值不符合</span>
+                            )}
+                          </div>
+                          <div className="flex justify-between">
+                            <button
+                              onClick={() => convertColumn(colIndex)}
+                              disabled={invalidCounts[colIndex] === 0}
+                              className="px-2 py-0.5 border border-blue-500 text-blue-600 rounded hover:bg-blue-50 disabled:opacity-50"
+                              title="把不符合類型的值轉換為此類型，無法轉換的設為 null"
+                            >
+                              轉換列數據
+                            </button>
+                            {spec.declared ? (
+                              <button
+                                onClick={() => setColumnType(selectedTable, column, null)}
+                                className="px-2 py-0.5 text-gray-500 hover:text-gray-800"
+                              >
+                                恢復推斷
+                              </button>
+                            ) : (
+                              <button
+                                onClick={() => setColumnMenu(null)}
+                                className="px-2 py-0.5 text-gray-500 hover:text-gray-800"
+                              >
+                                關閉
+                              </button>
+                            )}
+                          </div>
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+              {showFilters && (
+                <div className="flex bg-gray-50" style={{ height: ROW_HEIGHT }}>
+                  <div
+                    className="sticky left-0 z-10 shrink-0 flex items-center justify-center border-r border-b border-gray-300 bg-gray-50 text-xs text-gray-400"
+                    style={{ width: ROW_HEADER_WIDTH }}
+                  >
+                    篩選
+                  </div>
+                  <div className="shrink-0" style={{ width: visibleRange.colStart * COLUMN_WIDTH }} />
+                  {visibleColumns.map((colIndex) => {
+                    const column = columns[colIndex];
+                    const filter = filters.get(column);
+                    const operators = FILTER_OPERATORS[columnKinds[colIndex]];
+                    const operator = filter?.operator ?? operators[0].id;
+                    return (
+                      <div
+                        key={column}
+                        className="shrink-0 flex items-center space-x-1 px-1 border-r border-b border-gray-300"
+                        style={{ width: COLUMN_WIDTH }}
+                      >
+                        <select
+                          value={operator}
+                          onChange={(e) => updateFilter(column, colIndex, { operator: e.target.value })}
+                          className="py-0.5 text-xs border border-gray-300 rounded bg-white text-gray-600"
+                        >
+                          {operators.map(({ id, label }) => (
+                            <option key={id} value={id}>{label}</option>
+                          ))}
+                        </select>
+                        {operator !== 'isNull' && (
+                          <input
+                            value={filter?.value ?? ''}
+                            onChange={(e) => updateFilter(column, colIndex, { value: e.target.value })}
+                            className={`w-full min-w-0 px-1 py-0.5 text-xs border rounded outline-none ${
+                              isFilterActive(filter) ? 'border-blue-400 bg-blue-50' : 'border-gray-300'
+                            }`}
+                            spellCheck={false}
+                          />
                         )}
                       </div>
-                    </td>
-                    {Array.from({ length: Math.max(...tableData.map(r => r.length)) }).map((_, colIndex) => (
-                      <td 
-                        key={colIndex}
+                    );
+                  })}
+                </div>
+              )}
+            </div>
+            
+            {/* 數據行：可見範圍之前和之後的行用空白佔位 */}
+            {viewRows.length === 0 && (
+              <div
+                className="sticky left-0 px-2 py-3 text-xs text-gray-400 text-center"
+                style={{ width: viewport.width || undefined }}
+              >
+                {columns.some(column => isFilterActive(filters.get(column))) ? '沒有符合篩選條件的行' : '沒有數據行'}
+              </div>
+            )}
+            <div style={{ height: visibleRange.rowStart * ROW_HEIGHT }} />
+            {viewRows.slice(visibleRange.rowStart, visibleRange.rowEnd).map((rowIndex, offset) => {
+              const viewRow = visibleRange.rowStart + offset;
+              const row = tableData[rowIndex];
+              return (
+                <div key={rowIndex} className="flex hover:bg-gray-50 group" style={{ height: ROW_HEIGHT }}>
+                  <div
+                    className="sticky left-0 z-10 shrink-0 flex items-center justify-between px-2 border-r border-b border-gray-300 bg-gray-100 text-xs text-gray-500"
+                    style={{ width: ROW_HEADER_WIDTH }}
+                  >
+                    <span>{rowIndex - firstDataRow + 1}</span>
+                    {dataRows.length > 1 && (
+                      <button
+                        onClick={() => deleteRow(rowIndex)}
+                        className="opacity-0 group-hover:opacity-100 ml-1 text-red-500 hover:text-red-700 text-xs"
+                        title="刪除行"
+                      >
+                        ×
+                      </button>
+                    )}
+                  </div>
+                  <div className="shrink-0" style={{ width: visibleRange.colStart * COLUMN_WIDTH }} />
+                  {visibleColumns.map((colIndex) => {
+                    const isEditing = editingCell?.row === rowIndex && editingCell?.col === colIndex;
+                    const isSelected = selectionRange &&
+                      viewRow >= selectionRange.top && viewRow <= selectionRange.bottom &&
+                      colIndex >= selectionRange.left && colIndex <= selectionRange.right;
+                    const isFocus = selection?.focusRow === viewRow && selection?.focusCol === colIndex;
+                    return (
+                      <div
+                        key={columns[colIndex]}
                         className={`
-                          border border-gray-300 min-w-[100px] h-8
-                          ${editingCell?.row === rowIndex && editingCell?.col === colIndex ? 'bg-blue-50' : ''}
+                          relative shrink-0 border-r border-b border-gray-300 select-none
+                          ${isEditing || isSelected ? 'bg-blue-50' : ''}
+                          ${isFocus && !isEditing ? 'outline outline-2 -outline-offset-2 outline-blue-500' : ''}
                         `}
+                        style={{ width: COLUMN_WIDTH }}
+                        onMouseDown={(e) => e.button === 0 && !isEditing && selectCell(viewRow, colIndex, e.shiftKey)}
+                        onMouseEnter={(e) => e.buttons === 1 && !editingCell && selectCell(viewRow, colIndex, true)}
+                        onDoubleClick={() => startEdit(rowIndex, colIndex)}
+                      >
+                        {renderCell(readCell(row, colIndex), rowIndex, colIndex)}
+                      </div>
+                    );
+                  })}
+                </div>
+              );
+            })}
+            <div style={{ height: (viewRows.length - Math.max(visibleRange.rowEnd, visibleRange.rowStart)) * ROW_HEIGHT }} />
+            
+            {/* 列統計 */}
+            <div
+              className="sticky bottom-0 z-20 flex bg-gray-50 text-xs text-gray-500"
+              style={{ width: totalWidth, height: FOOTER_HEIGHT }}
+            >
+              <div
+                className="sticky left-0 z-10 shrink-0 flex items-center justify-center border-r border-t border-gray-300 bg-gray-50 text-gray-400"
+                style={{ width: ROW_HEADER_WIDTH }}
+              >
+                Σ
+              </div>
+              <div className="shrink-0 border-t border-gray-300" style={{ width: visibleRange.colStart * COLUMN_WIDTH }} />
+              {visibleColumns.map((colIndex) => {
+                const stats = tableStats.columns[colIndex];
+                return (
+                  <div
+                    key={columns[colIndex]}
+                    className="shrink-0 px-2 py-0.5 border-r border-t border-gray-300 whitespace-nowrap overflow-hidden"
+                    style={{ width: COLUMN_WIDTH }}
+                  >
+                    <div className="truncate">計數 {stats.count} · 去重 {stats.distinct}</div>
+                    {stats.avg !== null && (
+                      <div
+                        className="font-mono text-blue-600 truncate"
+                        title={`最小 ${formatStat(stats.min)} · 最大 ${formatStat(stats.max)} · 平均 ${formatStat(stats.avg)}`}
                       >
-                        {renderCell(row[colIndex] ?? '', rowIndex, colIndex)}
-                      </td>
-                    ))}
-                  </tr>
-                ))}
-              </tbody>
-            </table>
+                        {formatStat(stats.min)} ~ {formatStat(stats.max)} · 平均 {formatStat(stats.avg)}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
           </div>
         )}
       </div>
       
       {/* 底部幫助信息 */}
       <div className="px-4 py-2 bg-gray-50 border-t text-xs text-gray-500">
-        操作提示: 點擊儲存格編輯 | Enter 確認並移至下一行 | Tab 移至下一列 | Esc 取消編輯
+        操作提示: 點擊選擇，雙擊或 Enter 編輯 | Shift+點擊/方向鍵擴展選區 | PageUp/PageDown 翻頁 | Ctrl+C/V 複製粘貼 | Ctrl+D 向下填充 | Delete 清除 | 點擊列標題排序 | ▾ 設置列類型，紅色儲存格不符合類型
+        {isObjectMode && ' | 斜紋儲存格表示缺少該鍵，Delete 移除鍵'}
       </div>
     </div>
   );
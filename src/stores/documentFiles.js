@@ -0,0 +1,153 @@
+import { useJsonStore } from './jsonStore_v2';
+import {
+  openJsonFile,
+  readDroppedJsonFile,
+  readFileHandle,
+  writeFileHandle,
+  saveJsonFileAs,
+  addRecentFile
+} from '../utils/fileAccess';
+import { parseJsonDocument, formatParseError } from '../utils/jsonParser';
+import { hasComments, stringifyWithComments } from '../utils/jsonComments';
+
+/**
+ * 文檔文件操作 - 打開/保存本地文件並同步到 store
+ * 所有操作失敗時把錯誤寫入 errors.file 並返回 false
+ */
+
+const DEFAULT_FILE_NAME = 'data.json';
+
+/**
+ * 序列化活躍文檔；選擇保留原格式時寫回注釋（JSON5 另外保留 Infinity / NaN）
+ */
+const serializeDocument = ({ jsonData, sourceFormat }) => {
+  const keepOriginal = sourceFormat.saveAs === 'original' &&
+    (sourceFormat.dialect !== 'json' || hasComments(sourceFormat.comments));
+  const text = keepOriginal
+    ? stringifyWithComments(jsonData, sourceFormat.comments, { json5: sourceFormat.dialect === 'json5' })
+    : JSON.stringify(jsonData, null, 2);
+  return `${text}\n`;
+};
+
+// 寫入開始時的文檔和版本，寫入完成後只把這個版本標記為已保存
+const getSaveTarget = (state) => ({
+  documentId: state.activeDocumentId,
+  revisionId: state.history.entries[state.history.index].id
+});
+
+const reportFileError = (error) => {
+  console.error('[DocumentFiles] 文件操作失敗:', error);
+  useJsonStore.getState().setError('file', error.message);
+  return false;
+};
+
+/**
+ * 解析文件內容（JSON、JSONC 或 JSON5）並在新標籤中打開
+ * @param {Object} fileResult - { name, text, handle }
+ */
+const loadFileResult = async ({ name, text, handle }) => {
+  const { value, dialect, comments, errors } = parseJsonDocument(text, name);
+  if (errors.length > 0) {
+    throw new Error(`無法解析 ${name}: ${formatParseError(errors[0])}`);
+  }
+
+  if (dialect !== 'json') {
+    console.log(`[DocumentFiles] 📄 ${name} 識別為 ${dialect.toUpperCase()}，${Object.keys(comments).length} 處注釋`);
+  }
+  useJsonStore.getState().openDocument(value, { name, handle }, { dialect, comments });
+  await addRecentFile({ name, handle });
+  return true;
+};
+
+/**
+ * 通過文件選擇框打開 JSON 文件
+ * @returns {Promise<Boolean>} 是否成功打開
+ */
+export const openDocumentFile = async () => {
+  try {
+    const result = await openJsonFile();
+    return result ? await loadFileResult(result) : false;
+  } catch (error) {
+    return reportFileError(error);
+  }
+};
+
+/**
+ * 打開拖放到頁面上的 JSON 文件
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<Boolean>} 是否成功打開
+ */
+export const openDroppedDocument = async (dataTransfer) => {
+  try {
+    const result = await readDroppedJsonFile(dataTransfer);
+    if (!result) {
+      throw new Error('請拖放 .json、.jsonc 或 .json5 文件');
+    }
+    return await loadFileResult(result);
+  } catch (error) {
+    return reportFileError(error);
+  }
+};
+
+/**
+ * 重新打開最近文件列表中的文件
+ * @param {Object} entry - { name, handle }
+ * @returns {Promise<Boolean>} 是否成功打開
+ */
+export const openRecentDocument = async (entry) => {
+  try {
+    if (!entry.handle) {
+      throw new Error(`無法直接重新打開 ${entry.name}，請使用「打開」選擇文件`);
+    }
+    return await loadFileResult(await readFileHandle(entry.handle));
+  } catch (error) {
+    return reportFileError(error);
+  }
+};
+
+/**
+ * 另存為新文件
+ * @returns {Promise<Boolean>} 是否已保存
+ */
+export const saveDocumentAs = async () => {
+  const state = useJsonStore.getState();
+  const { file, markSaved, clearError } = state;
+  const target = getSaveTarget(state);
+
+  try {
+    const result = await saveJsonFileAs(serializeDocument(state), file.name || DEFAULT_FILE_NAME);
+    if (!result) return false;
+
+    markSaved(result, target);
+    clearError('file');
+    await addRecentFile(result);
+    return true;
+  } catch (error) {
+    return reportFileError(error);
+  }
+};
+
+/**
+ * 保存到當前文件；尚未關聯文件時改為另存為
+ * @returns {Promise<Boolean>} 是否已保存
+ */
+export const saveDocument = async () => {
+  const state = useJsonStore.getState();
+  const { file, markSaved, clearError } = state;
+
+  if (!file.handle) {
+    return saveDocumentAs();
+  }
+
+  const target = getSaveTarget(state);
+
+  try {
+    await writeFileHandle(file.handle, serializeDocument(state));
+    markSaved(undefined, target);
+    clearError('file');
+    console.log(`[DocumentFiles] 💾 已保存 ${file.name}`);
+    return true;
+  } catch (error) {
+    return reportFileError(error);
+  }
+};
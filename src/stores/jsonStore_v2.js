@@ -1,7 +1,21 @@
 import { create } from 'zustand'
 import { immer } from 'zustand/middleware/immer'
 import { subscribeWithSelector } from 'zustand/middleware'
-// Removed lodash isEqual to allow all data updates including duplicates
+import { getValueAtPointer, getParentPointer } from '../utils/jsonPointer'
+import { getCollapsiblePathsAtDepth } from '../utils/graphUtils'
+import { diffJson, buildDiffStatusMap, mergeDiffData } from '../utils/diffUtils'
+import {
+  addChildAt,
+  insertBeforeAt,
+  duplicateAt,
+  removeAt,
+  renameKeyAt,
+  convertAt
+} from '../utils/jsonMutations'
+import { replaceInJson } from '../utils/searchUtils'
+import { applyBulkOperation, getBulkSelectionTarget } from '../utils/bulkTransforms'
+import { remapComments } from '../utils/jsonComments'
+import { isEqual } from 'lodash-es'
 
 // 初始數據
 const initialData = {
@@ -32,35 +46,177 @@ const initialData = {
   booleanValue: true
 };
 
+// 歷史記錄設定
+const HISTORY_LIMIT = 100; // 最多保留的歷史條目數
+const HISTORY_GROUP_WINDOW = 1000; // 同一來源在此時間內（毫秒）的連續更新合併為一條
+
+let historyIdCounter = 0;
+
+/**
+ * 建立歷史條目
+ * @param {Object} data - 該版本的JSON數據
+ * @param {String} source - 更新來源標識
+ */
+const createHistoryEntry = (data, source) => ({
+  id: ++historyIdCounter,
+  source,
+  timestamp: Date.now(),
+  count: 1, // 合併的更新次數
+  data
+});
+
+const createInitialHistory = (data, source = 'initial') => ({
+  entries: [createHistoryEntry(data, source)],
+  index: 0
+});
+
+// 預設面板順序
+const DEFAULT_VISIBLE_PANELS = ['graph', 'table', 'json'];
+
+const createInitialViewState = () => ({
+  nodePositions: {}, // { [節點路徑]: { x, y } }
+  zoomTransform: null, // { x, y, k }
+  collapsedPaths: {}, // { [節點路徑]: true } 圖形中摺疊的節點
+  tableSchemas: {} // { [表格路徑]: { types: { [列]: { type, options } }, headerRow, columnNames: { [列索引]: 名稱 } } } 表格的列聲明
+});
+
+const createErrorState = () => ({
+  jsonEditor: null,
+  tableEditor: null,
+  graphViewer: null,
+  file: null
+});
+
+// 每個文檔各自擁有的狀態字段；活躍文檔的字段直接位於 store 頂層，
+// 其他文檔的字段暫存在 documents[id].state 中
+const DOCUMENT_FIELDS = [
+  'jsonData',
+  'selectedTable',
+  'selectedTableData',
+  'selectedPath',
+  'selectedData',
+  'selectedType',
+  'errors',
+  'stats',
+  'history',
+  'viewState',
+  'editorScope',
+  'sourceFormat',
+  'savedRevisionId',
+  'file'
+];
+
+/**
+ * 文檔的源格式
+ * @param {Object} format - { dialect, comments, saveAs }
+ */
+const createSourceFormat = (format = {}) => ({
+  dialect: format.dialect || 'json', // 'json' | 'jsonc' | 'json5'
+  comments: format.comments || {}, // 按路徑保存的注釋，見 jsonComments.js
+  saveAs: format.saveAs || 'original' // 保存時輸出 'original'（原方言和注釋）或 'json'（標準 JSON）
+});
+
+/**
+ * 建立一個文檔的初始狀態
+ * @param {*} data - JSON數據
+ * @param {Object} options - { source: 歷史來源, file: { name, handle }, format: 源格式 }
+ */
+const createDocumentState = (data, { source = 'initial', file = null, format } = {}) => {
+  const history = createInitialHistory(data, source);
+  
+  return {
+    jsonData: data,
+    selectedTable: null, // 保留向後兼容
+    selectedTableData: [], // 保留向後兼容
+    
+    // 新的通用路徑選擇系統（JSON Pointer，'' 為整個文檔，null 為未選中）
+    selectedPath: null,
+    selectedData: null,
+    selectedType: null, // 'array' | 'object' | 'primitive'
+    
+    // 錯誤狀態
+    errors: createErrorState(),
+    
+    // 性能統計
+    stats: {
+      updateCount: 0,
+      lastUpdate: null
+    },
+    
+    // 歷史記錄（撤銷/重做）
+    history,
+    
+    // 視圖狀態（隨工作區一起保存）
+    viewState: createInitialViewState(),
+    
+    // JSON 編輯器只顯示和編輯的子樹路徑，null 為整個文檔
+    editorScope: null,
+    
+    // 打開時的方言（JSONC / JSON5）和注釋
+    sourceFormat: createSourceFormat(format),
+    
+    // 最後一次明確保存時的歷史版本
+    savedRevisionId: history.entries[0].id,
+    
+    // 文檔對應的本地文件
+    file: {
+      name: file?.name || null,
+      handle: file?.handle || null // FileSystemFileHandle，不支持時為 null
+    }
+  };
+};
+
+let documentIdCounter = 0;
+let untitledCounter = 0;
+
+const createDocumentId = () => `doc-${Date.now().toString(36)}-${++documentIdCounter}`;
+
+const createDocumentMeta = (id, title) => ({
+  id,
+  title,
+  state: null // 非活躍時暫存的文檔狀態
+});
+
+const initialDocumentId = createDocumentId();
+
 // 簡化的狀態管理器 - 移除複雜的同步邏輯
 export const useJsonStore = create(
   subscribeWithSelector(
     immer((set, get) => ({
-      // 核心數據狀態
-      jsonData: initialData,
-      selectedTable: '', // 保留向後兼容
-      selectedTableData: [], // 保留向後兼容
+      // 活躍文檔的狀態（jsonData、選擇、錯誤、統計、歷史等）
+      ...createDocumentState(initialData),
       
-      // 新的通用路徑選擇系統
-      selectedPath: '',
-      selectedData: null,
-      selectedType: null, // 'array' | 'object' | 'primitive'
+      // 多文檔管理
+      documents: {
+        [initialDocumentId]: createDocumentMeta(initialDocumentId, '示例數據')
+      },
+      documentOrder: [initialDocumentId],
+      activeDocumentId: initialDocumentId,
       
       // 簡化的編輯器狀態
       activeEditor: null, // 'json-editor' | 'table-editor' | 'graph-viewer' | null
       
-      // 錯誤狀態
-      errors: {
-        jsonEditor: null,
-        tableEditor: null,
-        graphViewer: null
-      },
+      // 面板順序（所有文檔共用）
+      visiblePanels: DEFAULT_VISIBLE_PANELS,
       
-      // 性能統計
-      stats: {
-        updateCount: 0,
-        lastUpdate: null
-      },
+      // 每次整體替換視圖狀態時遞增（恢復工作區、切換文檔），通知視圖重新載入
+      viewStateRevision: 0,
+      
+      // 最後一次明確保存的時間
+      lastSavedAt: null,
+      
+      // 差異比較的基準，null 表示未處於比較模式
+      // { kind: 'document' | 'revision', documentId, revisionId, label, data }
+      diffBase: null,
+      
+      // 請求視圖定位到某個路徑（nonce 遞增以便重複定位同一路徑）
+      focusRequest: null, // { path, nonce }
+      
+      // 查詢面板的匹配路徑，在圖形中一併高亮；null 表示沒有查詢
+      highlightedPaths: null,
+      
+      // 批量操作的目標路徑（在圖形中 Shift+點擊選擇）
+      bulkSelection: [],
       
       // Actions
       
@@ -74,6 +230,17 @@ export const useJsonStore = create(
         console.log(`[JsonStore] 來源: ${source}`);
         console.log(`[JsonStore] 當前時間: ${new Date().toLocaleTimeString()}`);
         
+        // 內容沒有變化時（例如 JSON 編輯器僅獲得又失去焦點）不產生新的歷史版本；
+        // 數組中的重複項目仍然照常接受
+        if (isEqual(newData, get().jsonData)) {
+          console.log(`[JsonStore] ⏭️ 數據未變化，跳過更新`);
+          return;
+        }
+        
+        // 注釋跟隨原來的鍵移動（需要更新前的原始數據，而不是 immer 的草稿）
+        const { jsonData: previousData, sourceFormat } = get();
+        const comments = remapComments(sourceFormat.comments, previousData, newData);
+        
         set((state) => {
           const oldData = state.jsonData;
           
@@ -84,11 +251,15 @@ export const useJsonStore = create(
           
           // 更新數據
           state.jsonData = newData;
+          state.sourceFormat.comments = comments;
           state.stats.updateCount += 1;
           state.stats.lastUpdate = Date.now();
           
           console.log(`[JsonStore] ✅ 主數據已更新`);
           
+          // 記錄歷史
+          recordHistory(state.history, newData, source, state.savedRevisionId);
+          
           // 清除來源編輯器的錯誤
           if (source === 'json-editor') {
             state.errors.jsonEditor = null;
@@ -99,9 +270,9 @@ export const useJsonStore = create(
           }
           
           // ⚠️ 檢查表格數據更新邏輯 - 這可能是問題所在！
-          if (state.selectedTable) {
+          if (state.selectedTable !== null) {
             console.log(`[JsonStore] 🔍 檢查選中表格: ${state.selectedTable}`);
-            const updatedTableData = getNestedValue(newData, state.selectedTable);
+            const updatedTableData = getValueAtPointer(newData, state.selectedTable);
             
             if (updatedTableData && Array.isArray(updatedTableData)) {
               console.log(`[JsonStore] 📊 更新表格數據 (${updatedTableData.length} 項)`);
@@ -113,10 +284,576 @@ export const useJsonStore = create(
             console.log(`[JsonStore] 📊 無選中表格，跳過表格數據更新`);
           }
           
+          // 編輯範圍被刪除或改名時恢復為整個文檔
+          if (state.editorScope !== null && getValueAtPointer(newData, state.editorScope) === undefined) {
+            console.log(`[JsonStore] ⚠️ 編輯範圍 ${state.editorScope} 已不存在，恢復為整個文檔`);
+            state.editorScope = null;
+          }
+          
           console.log(`[JsonStore] === 更新完成 ===\n`);
         });
       },
       
+      /**
+       * 撤銷到上一個歷史版本
+       */
+      undo: () => {
+        const { history } = get();
+        if (history.index <= 0) return;
+        get().jumpToHistory(history.index - 1);
+      },
+      
+      /**
+       * 重做到下一個歷史版本
+       */
+      redo: () => {
+        const { history } = get();
+        if (history.index >= history.entries.length - 1) return;
+        get().jumpToHistory(history.index + 1);
+      },
+      
+      /**
+       * 跳轉到指定的歷史版本
+       * @param {Number} index - 歷史條目索引
+       */
+      jumpToHistory: (index) => {
+        const { history } = get();
+        const entry = history.entries[index];
+        if (!entry || index === history.index) return;
+        
+        console.log(`[JsonStore] ⏪ 跳轉歷史: ${history.index} → ${index} (${entry.source})`);
+        
+        const { jsonData: previousData, sourceFormat } = get();
+        const comments = remapComments(sourceFormat.comments, previousData, entry.data);
+        
+        set((state) => {
+          state.history.index = index;
+          state.jsonData = entry.data;
+          state.sourceFormat.comments = comments;
+          state.stats.updateCount += 1;
+          state.stats.lastUpdate = Date.now();
+          syncSelectionData(state, entry.data);
+          
+          // 撤銷到編輯範圍創建之前時恢復為整個文檔
+          if (state.editorScope !== null && getValueAtPointer(entry.data, state.editorScope) === undefined) {
+            console.log(`[JsonStore] ⚠️ 編輯範圍 ${state.editorScope} 已不存在，恢復為整個文檔`);
+            state.editorScope = null;
+          }
+        });
+      },
+      
+      /**
+       * 清空歷史記錄，以當前數據作為起點
+       */
+      clearHistory: () => {
+        set((state) => {
+          state.history = createInitialHistory(get().jsonData);
+        });
+      },
+      
+      /**
+       * 設置可見面板及其順序
+       * @param {Array|Function} panels - 面板id數組，或接收當前數組並返回新數組的函數
+       */
+      setVisiblePanels: (panels) => {
+        const current = get().visiblePanels;
+        const next = typeof panels === 'function' ? panels(current) : panels;
+        set((state) => {
+          state.visiblePanels = next;
+        });
+      },
+      
+      /**
+       * 保存圖形節點位置
+       * @param {Object} positions - { [節點路徑]: { x, y } }
+       */
+      setNodePositions: (positions) => {
+        set((state) => {
+          state.viewState.nodePositions = positions;
+        });
+      },
+      
+      /**
+       * 保存圖形縮放狀態
+       * @param {Object|null} transform - { x, y, k }
+       */
+      setZoomTransform: (transform) => {
+        set((state) => {
+          state.viewState.zoomTransform = transform;
+        });
+      },
+      
+      /**
+       * 切換圖形節點的摺疊狀態
+       * @param {String} path - 節點路徑
+       */
+      toggleCollapsed: (path) => {
+        set((state) => {
+          if (state.viewState.collapsedPaths[path]) {
+            delete state.viewState.collapsedPaths[path];
+          } else {
+            state.viewState.collapsedPaths[path] = true;
+          }
+        });
+      },
+      
+      /**
+       * 摺疊指定深度上的所有節點，更淺的節點全部展開
+       * @param {Number} depth - 根節點的子節點深度為 1
+       */
+      collapseToDepth: (depth) => {
+        const paths = getCollapsiblePathsAtDepth(get().jsonData, depth);
+        console.log(`[JsonStore] 摺疊到深度 ${depth} (${paths.length} 個節點)`);
+        set((state) => {
+          state.viewState.collapsedPaths = Object.fromEntries(paths.map(path => [path, true]));
+        });
+      },
+      
+      /**
+       * 展開所有節點
+       */
+      expandAll: () => {
+        set((state) => {
+          state.viewState.collapsedPaths = {};
+        });
+      },
+      
+      /**
+       * 聲明表格某列的類型，傳入 null 時移除聲明（恢復按內容推斷）
+       * @param {String} tablePath - 表格路徑
+       * @param {String|Number} column - 鍵名或列索引
+       * @param {Object|null} spec - { type, options }
+       */
+      setColumnType: (tablePath, column, spec) => {
+        console.log(`[JsonStore] 列類型 ${tablePath || '/'}[${column}] →`, spec?.type ?? '推斷');
+        set((state) => {
+          const schemas = state.viewState.tableSchemas;
+          if (spec) {
+            schemas[tablePath] = schemas[tablePath] || { types: {} };
+            schemas[tablePath].types[column] = spec;
+          } else if (schemas[tablePath]) {
+            delete schemas[tablePath].types[column];
+          }
+        });
+      },
+      
+      /**
+       * 更新表格的列聲明（如首行標題、列名）
+       * @param {String} tablePath - 表格路徑
+       * @param {Object} patch - 要合併的字段，如 { headerRow: true } 或 { columnNames: { 0: '名稱' } }
+       */
+      updateTableSchema: (tablePath, patch) => {
+        console.log(`[JsonStore] 更新表格聲明 ${tablePath || '/'}:`, Object.keys(patch).join(', '));
+        set((state) => {
+          const schemas = state.viewState.tableSchemas;
+          schemas[tablePath] = { types: {}, ...schemas[tablePath], ...patch };
+        });
+      },
+      
+      /**
+       * 設置 JSON 編輯器的編輯範圍
+       * @param {String|null} path - 子樹路徑，null 或不存在的路徑恢復為整個文檔
+       */
+      setEditorScope: (path) => {
+        const scope = path && getValueAtPointer(get().jsonData, path) !== undefined ? path : null;
+        set((state) => {
+          if (state.editorScope !== scope) {
+            console.log(`[JsonStore] JSON 編輯範圍: ${scope ?? '整個文檔'}`);
+            state.editorScope = scope;
+          }
+        });
+      },
+      
+      /**
+       * 設置文檔的輸入方言；切換為標準 JSON 時刪除注釋
+       * @param {String} dialect - 'json' | 'jsonc' | 'json5'
+       */
+      setSourceDialect: (dialect) => {
+        set((state) => {
+          console.log(`[JsonStore] 文檔方言: ${state.sourceFormat.dialect} → ${dialect}`);
+          state.sourceFormat.dialect = dialect;
+          if (dialect === 'json') {
+            state.sourceFormat.comments = {};
+          }
+        });
+      },
+      
+      /**
+       * 替換文檔的注釋（JSON 編輯器提交文本時從文本中解析）
+       * @param {Object} comments - 注釋表
+       */
+      setSourceComments: (comments) => {
+        set((state) => {
+          state.sourceFormat.comments = comments;
+        });
+      },
+      
+      /**
+       * 設置保存時的輸出格式
+       * @param {String} saveAs - 'original' 保留原方言和注釋 | 'json' 標準 JSON
+       */
+      setSaveFormat: (saveAs) => {
+        set((state) => {
+          state.sourceFormat.saveAs = saveAs;
+        });
+      },
+      
+      /**
+       * 展開路徑的所有祖先節點，使該路徑在圖形中可見
+       * 基本類型的值顯示為所屬節點中的一行，只需展開該節點的祖先
+       * @param {String} path - 目標路徑
+       */
+      expandToPath: (path) => {
+        const value = getValueAtPointer(get().jsonData, path);
+        const isContainer = value !== null && typeof value === 'object';
+        let ancestor = getParentPointer(path);
+        if (!isContainer && ancestor !== null) {
+          ancestor = getParentPointer(ancestor);
+        }
+        
+        const collapsed = get().viewState.collapsedPaths;
+        const toExpand = [];
+        while (ancestor !== null) {
+          if (collapsed[ancestor]) toExpand.push(ancestor);
+          ancestor = getParentPointer(ancestor);
+        }
+        if (toExpand.length === 0) return;
+        
+        set((state) => {
+          toExpand.forEach((ancestorPath) => {
+            delete state.viewState.collapsedPaths[ancestorPath];
+          });
+        });
+      },
+      
+      /**
+       * 標記版本為已明確保存
+       * 異步寫入文件時應傳入寫入開始時的文檔和版本，寫入期間的編輯或切換標籤不會被誤標為已保存
+       * @param {Object} fileInfo - 可選，保存到的文件 { name, handle }
+       * @param {Object} target - 可選，{ documentId, revisionId }，默認為活躍文檔的當前版本
+       */
+      markSaved: (fileInfo, { documentId, revisionId } = {}) => {
+        set((state) => {
+          const docState = getDocumentState(state, documentId ?? state.activeDocumentId);
+          if (!docState) {
+            console.log(`[JsonStore] ⚠️ 文檔 ${documentId} 已關閉，跳過保存標記`);
+            return;
+          }
+          docState.savedRevisionId = revisionId ?? docState.history.entries[docState.history.index].id;
+          state.lastSavedAt = Date.now();
+          if (fileInfo) {
+            docState.file = { name: fileInfo.name, handle: fileInfo.handle || null };
+          }
+        });
+      },
+      
+      /**
+       * 進入差異比較模式，將活躍文檔與基準比較
+       * @param {Object} base - { kind: 'document', documentId } 與另一個打開的文檔比較（實時跟隨其內容），
+       *                        或 { kind: 'revision', revisionId } 與當前文檔的某個歷史版本比較
+       */
+      startDiff: (base) => {
+        const state = get();
+        let diffBase = null;
+        
+        if (base.kind === 'document') {
+          if (!state.documents[base.documentId] || base.documentId === state.activeDocumentId) return;
+          diffBase = {
+            kind: 'document',
+            documentId: base.documentId,
+            revisionId: null,
+            label: getDocumentTitle(state, base.documentId),
+            data: null
+          };
+        } else if (base.kind === 'revision') {
+          const entry = state.history.entries.find(e => e.id === base.revisionId);
+          if (!entry) return;
+          const isSaved = entry.id === state.savedRevisionId;
+          diffBase = {
+            kind: 'revision',
+            documentId: state.activeDocumentId,
+            revisionId: entry.id,
+            label: `${getDocumentTitle(state, state.activeDocumentId)} · ${isSaved ? '已保存版本' : new Date(entry.timestamp).toLocaleTimeString()}`,
+            data: entry.data
+          };
+        } else {
+          return;
+        }
+        
+        console.log(`[JsonStore] ⇄ 開始比較: ${diffBase.label}`);
+        set((state) => {
+          state.diffBase = diffBase;
+        });
+      },
+      
+      /**
+       * 退出差異比較模式
+       */
+      stopDiff: () => {
+        if (!get().diffBase) return;
+        console.log('[JsonStore] 退出比較');
+        set((state) => {
+          state.diffBase = null;
+        });
+      },
+      
+      /**
+       * 選中路徑並請求視圖定位到該位置
+       * 路徑不存在於當前數據時（如比較模式中已刪除的項）只進行定位
+       * @param {String} path - JSON Pointer
+       */
+      focusPath: (path) => {
+        const data = getValueAtPointer(get().jsonData, path);
+        set((state) => {
+          if (data !== undefined) {
+            applyPathSelection(state, path, data);
+          }
+          state.focusRequest = { path, nonce: (state.focusRequest?.nonce || 0) + 1 };
+        });
+      },
+      
+      /**
+       * 設置需要在圖形中高亮的路徑
+       * @param {Array|null} paths - JSON Pointer 列表，null 清除高亮
+       */
+      setHighlightedPaths: (paths) => {
+        set((state) => {
+          state.highlightedPaths = paths;
+        });
+      },
+      
+      // 結構化編輯 - 基於路徑修改數據，成功時選中受影響的路徑並返回該路徑，
+      // 失敗時把錯誤寫入 errors.graphViewer 並返回 null
+      
+      /**
+       * 向對象或數組添加子項
+       * @param {String} path - 容器路徑
+       * @param {String} key - 對象的新鍵名，省略時自動生成
+       * @param {*} value - 新值
+       */
+      addChild: (path, key, value = '', source = 'graph-viewer') => {
+        return commitStructuralEdit(get, '添加子項', (data) => addChildAt(data, path, key, value), source);
+      },
+      
+      /**
+       * 在指定項之前插入兄弟項
+       * @param {String} path - 參照項路徑
+       * @param {String} key - 父容器為對象時的新鍵名，省略時自動生成
+       * @param {*} value - 新值
+       */
+      insertBefore: (path, key, value = '', source = 'graph-viewer') => {
+        return commitStructuralEdit(get, '插入', (data) => insertBeforeAt(data, path, key, value), source);
+      },
+      
+      /**
+       * 複製指定項並插入到其後
+       */
+      duplicateNode: (path, source = 'graph-viewer') => {
+        return commitStructuralEdit(get, '複製', (data) => duplicateAt(data, path), source);
+      },
+      
+      /**
+       * 刪除指定項及其子樹
+       */
+      deleteNode: (path, source = 'graph-viewer') => {
+        return commitStructuralEdit(get, '刪除', (data) => removeAt(data, path), source);
+      },
+      
+      /**
+       * 重命名對象的鍵
+       * @param {String} path - 要重命名的項
+       * @param {String} newKey - 新鍵名
+       */
+      renameKey: (path, newKey, source = 'graph-viewer') => {
+        return commitStructuralEdit(get, '重命名', (data) => renameKeyAt(data, path, newKey), source);
+      },
+      
+      /**
+       * 轉換結構類型
+       * @param {String} path - 要轉換的項
+       * @param {String} target - 'array' | 'object' | 'wrap'
+       */
+      convertNode: (path, target, source = 'graph-viewer') => {
+        return commitStructuralEdit(get, '轉換類型', (data) => convertAt(data, path, target), source);
+      },
+      
+      /**
+       * 切換路徑是否在批量操作的目標中
+       * @param {String} path - JSON Pointer
+       */
+      toggleBulkSelection: (path) => {
+        set((state) => {
+          const index = state.bulkSelection.indexOf(path);
+          if (index >= 0) {
+            state.bulkSelection.splice(index, 1);
+          } else {
+            state.bulkSelection.push(path);
+          }
+        });
+      },
+      
+      /**
+       * 清空批量操作的目標
+       */
+      clearBulkSelection: () => {
+        set((state) => {
+          state.bulkSelection = [];
+        });
+      },
+      
+      /**
+       * 對一組路徑應用批量操作，作為一次可撤銷的更新提交
+       * 出錯的路徑被跳過；全部出錯時不修改數據
+       * @param {Array} paths - 目標路徑
+       * @param {Object} operation - 見 bulkTransforms.applyBulkOperation
+       */
+      applyBulkTransform: (paths, operation, source = 'bulk-transform') => {
+        const result = commitStructuralEdit(get, '批量操作', (data) => {
+          const { data: newData, changes } = applyBulkOperation(data, paths, operation);
+          const failed = changes.filter(change => change.error);
+          if (failed.length === changes.length) {
+            throw new Error(failed[0]?.error || '沒有可應用的修改');
+          }
+          return { data: newData, path: getBulkSelectionTarget(newData, paths, operation) };
+        }, source);
+        
+        if (result !== null) {
+          get().clearBulkSelection();
+        }
+        return result;
+      },
+      
+      /**
+       * 查找並替換鍵名或字符串值，作為一次可撤銷的更新提交
+       * @param {String} query - 查找文本
+       * @param {String} replacement - 替換文本
+       * @param {Object} options - 見 replaceInJson；scopePath 為替換範圍，完成後選中該路徑
+       */
+      replaceAll: (query, replacement, options = {}, source = 'find-replace') => {
+        const scopePath = options.scopePath ?? '';
+        return commitStructuralEdit(get, '替換', (data) => ({
+          data: replaceInJson(data, query, replacement, options).data,
+          path: scopePath
+        }), source);
+      },
+      
+      /**
+       * 新建文檔並切換到該文檔
+       * @param {*} data - JSON數據，預設為空對象
+       * @param {Object} options - { title, file: { name, handle }, source: 歷史來源, format: 源格式 }
+       * @returns {String} 新文檔id
+       */
+      createDocument: (data = {}, { title, file, source = 'new-document', format } = {}) => {
+        const id = createDocumentId();
+        const documentTitle = title || file?.name || `未命名 ${++untitledCounter}`;
+        console.log(`[JsonStore] 📄 新建文檔: ${documentTitle}`);
+        
+        set((state) => {
+          stashActiveDocument(state);
+          state.documents[id] = createDocumentMeta(id, documentTitle);
+          state.documents[id].state = createDocumentState(data, { source, file, format });
+          state.documentOrder.push(id);
+          activateDocument(state, id);
+        });
+        
+        return id;
+      },
+      
+      /**
+       * 在新標籤中打開文件內容
+       * @param {*} data - JSON數據
+       * @param {Object} fileInfo - { name, handle }
+       * @param {Object} format - 源格式 { dialect, comments }，省略時為標準 JSON
+       * @returns {String} 新文檔id
+       */
+      openDocument: (data, fileInfo, format) => {
+        return get().createDocument(data, { file: fileInfo, source: 'file-open', format });
+      },
+      
+      /**
+       * 切換活躍文檔
+       * @param {String} id - 文檔id
+       */
+      switchDocument: (id) => {
+        const { activeDocumentId, documents } = get();
+        if (id === activeDocumentId || !documents[id]) return;
+        
+        console.log(`[JsonStore] 🔀 切換文檔: ${activeDocumentId} → ${id}`);
+        
+        set((state) => {
+          stashActiveDocument(state);
+          activateDocument(state, id);
+        });
+      },
+      
+      /**
+       * 關閉文檔；關閉最後一個文檔時自動新建空白文檔
+       * @param {String} id - 文檔id
+       */
+      closeDocument: (id) => {
+        const { activeDocumentId, documents, documentOrder } = get();
+        if (!documents[id]) return;
+        
+        console.log(`[JsonStore] ✖️ 關閉文檔: ${id}`);
+        
+        if (documentOrder.length === 1) {
+          get().createDocument();
+        } else if (id === activeDocumentId) {
+          // 切換到右側（或左側）相鄰的文檔
+          const index = documentOrder.indexOf(id);
+          const nextId = documentOrder[index + 1] ?? documentOrder[index - 1];
+          get().switchDocument(nextId);
+        }
+        
+        set((state) => {
+          if (state.diffBase?.kind === 'document' && state.diffBase.documentId === id) {
+            state.diffBase = null;
+          }
+          delete state.documents[id];
+          state.documentOrder = state.documentOrder.filter(docId => docId !== id);
+        });
+      },
+      
+      /**
+       * 從保存的工作區快照恢復所有文檔
+       * @param {Object} snapshot - { documents, activeDocumentId, visiblePanels }
+       */
+      restoreWorkspace: (snapshot) => {
+        console.log(`[JsonStore] 📂 恢復工作區 (${snapshot.documents.length} 個文檔)`);
+        
+        set((state) => {
+          const documents = {};
+          
+          snapshot.documents.forEach((doc) => {
+            const docState = createDocumentState(doc.jsonData, { source: 'restore', file: doc.file, format: doc.sourceFormat });
+            
+            const path = doc.selectedPath ?? null;
+            const selected = path !== null ? getValueAtPointer(doc.jsonData, path) : undefined;
+            if (selected !== undefined) {
+              applyPathSelection(docState, path, selected);
+            }
+            
+            docState.viewState = { ...createInitialViewState(), ...doc.viewState };
+            if (doc.dirty) {
+              // 未保存的文檔沒有對應的已保存版本
+              docState.savedRevisionId = null;
+            }
+            
+            documents[doc.id] = createDocumentMeta(doc.id, doc.title);
+            documents[doc.id].state = docState;
+          });
+          
+          const documentOrder = snapshot.documents.map(doc => doc.id);
+          const activeId = documents[snapshot.activeDocumentId] ? snapshot.activeDocumentId : documentOrder[0];
+          
+          state.documents = documents;
+          state.documentOrder = documentOrder;
+          state.visiblePanels = snapshot.visiblePanels || DEFAULT_VISIBLE_PANELS;
+          state.diffBase = null;
+          activateDocument(state, activeId);
+        });
+      },
+      
       /**
        * 設置活躍編輯器
        */
@@ -152,28 +889,9 @@ export const useJsonStore = create(
         set((state) => {
           console.log(`[JsonStore] 選中路徑: ${path}`);
           
-          let dataType = null;
-          let processedData = null;
-          
-          if (Array.isArray(data)) {
-            dataType = 'array';
-            processedData = [...data];
-            // 為了向後兼容，也更新舊的表格狀態
-            state.selectedTable = path;
-            state.selectedTableData = processedData;
-          } else if (data && typeof data === 'object') {
-            dataType = 'object';
-            processedData = { ...data };
-          } else {
-            dataType = 'primitive';
-            processedData = data;
-          }
-          
-          state.selectedPath = path;
-          state.selectedData = processedData;
-          state.selectedType = dataType;
+          applyPathSelection(state, path, data);
           
-          console.log(`[JsonStore] 路徑類型: ${dataType}, 數據:`, processedData);
+          console.log(`[JsonStore] 路徑類型: ${state.selectedType}, 數據:`, state.selectedData);
         });
       },
       
@@ -204,45 +922,166 @@ export const useJsonStore = create(
        */
       reset: () => {
         console.log('[JsonStore] 重置所有狀態');
+        const id = createDocumentId();
         set((state) => {
-          state.jsonData = initialData;
-          state.selectedTable = '';
-          state.selectedTableData = [];
+          state.documents = { [id]: createDocumentMeta(id, '示例數據') };
+          state.documentOrder = [id];
+          state.documents[id].state = createDocumentState(initialData);
+          activateDocument(state, id);
           state.activeEditor = null;
-          state.errors = {
-            jsonEditor: null,
-            tableEditor: null,
-            graphViewer: null
-          };
-          state.stats = {
-            updateCount: 0,
-            lastUpdate: null
-          };
+          state.visiblePanels = DEFAULT_VISIBLE_PANELS;
+          state.lastSavedAt = null;
+          state.diffBase = null;
+          state.focusRequest = null;
+          state.highlightedPaths = null;
         });
       }
     }))
   )
 );
 
+
 /**
- * 輔助函數：根據路徑獲取嵌套對象的值
+ * 輔助函數：把活躍文檔的狀態暫存到 documents 中
  */
-function getNestedValue(obj, path) {
-  if (!path) return obj;
+function stashActiveDocument(state) {
+  const meta = state.documents[state.activeDocumentId];
+  if (!meta) return;
   
-  const keys = path.split('.');
-  let current = obj;
+  const docState = {};
+  DOCUMENT_FIELDS.forEach((field) => {
+    docState[field] = state[field];
+  });
+  meta.state = docState;
+}
+
+/**
+ * 輔助函數：把暫存的文檔狀態載入到頂層，成為活躍文檔
+ */
+function activateDocument(state, id) {
+  const meta = state.documents[id];
+  DOCUMENT_FIELDS.forEach((field) => {
+    state[field] = meta.state[field];
+  });
+  meta.state = null;
   
-  for (const key of keys) {
-    if (current == null || typeof current !== 'object') {
-      return undefined;
+  state.activeDocumentId = id;
+  state.activeEditor = null;
+  state.bulkSelection = []; // 目標路徑只對原文檔有效
+  state.viewStateRevision += 1;
+}
+
+/**
+ * 輔助函數：將一次數據更新寫入歷史記錄
+ * 同一來源在短時間內的連續更新會合併為一條，避免逐字撤銷；
+ * 已保存的版本不參與合併，以便撤銷和比較時仍能回到該版本
+ */
+function recordHistory(history, data, source, savedRevisionId) {
+  // 在歷史中間進行新的更新時，丟棄之後的重做分支
+  if (history.index < history.entries.length - 1) {
+    history.entries.splice(history.index + 1);
+  }
+  
+  const last = history.entries[history.entries.length - 1];
+  const now = Date.now();
+  
+  if (last && history.entries.length > 1 && last.source === source &&
+      last.id !== savedRevisionId && now - last.timestamp < HISTORY_GROUP_WINDOW) {
+    // 合併後視為新版本，以便與已保存版本正確比較
+    last.id = ++historyIdCounter;
+    last.data = data;
+    last.timestamp = now;
+    last.count += 1;
+  } else {
+    history.entries.push(createHistoryEntry(data, source));
+    if (history.entries.length > HISTORY_LIMIT) {
+      history.entries.splice(0, history.entries.length - HISTORY_LIMIT);
     }
-    current = current[key];
   }
   
-  return current;
+  history.index = history.entries.length - 1;
+}
+
+/**
+ * 輔助函數：執行一次結構化編輯並寫入歷史，成功後選中受影響的路徑
+ * @param {Function} get - store 的 get
+ * @param {String} label - 操作名稱（用於日誌和錯誤信息）
+ * @param {Function} mutate - (data) => { data, path }
+ * @param {String} source - 更新來源標識
+ * @returns {String|null} 受影響的路徑，失敗時為 null
+ */
+function commitStructuralEdit(get, label, mutate, source) {
+  const { jsonData, updateJsonData, updateTableSelection, updatePathSelection, setError, clearError } = get();
+  
+  let result;
+  try {
+    result = mutate(jsonData);
+  } catch (error) {
+    console.error(`[JsonStore] ❌ ${label}失敗:`, error.message);
+    setError('graphViewer', `${label}失敗: ${error.message}`);
+    return null;
+  }
+  
+  console.log(`[JsonStore] 🧩 ${label}: ${result.path || '/'}`);
+  updateJsonData(result.data, source);
+  
+  // 選中的表格被刪除或改名時取消表格選擇，避免表格編輯器寫回舊路徑
+  const { selectedTable } = get();
+  if (selectedTable !== null && !Array.isArray(getValueAtPointer(result.data, selectedTable))) {
+    updateTableSelection(null, []);
+  }
+  
+  updatePathSelection(result.path, getValueAtPointer(result.data, result.path));
+  clearError('graphViewer');
+  return result.path;
 }
 
+/**
+ * 輔助函數：更新選中路徑及其數據類型
+ */
+function applyPathSelection(state, path, data) {
+  let dataType = null;
+  let processedData = null;
+  
+  if (Array.isArray(data)) {
+    dataType = 'array';
+    processedData = [...data];
+    // 為了向後兼容，也更新舊的表格狀態
+    state.selectedTable = path;
+    state.selectedTableData = processedData;
+  } else if (data && typeof data === 'object') {
+    dataType = 'object';
+    processedData = { ...data };
+  } else {
+    dataType = 'primitive';
+    processedData = data;
+  }
+  
+  state.selectedPath = path;
+  state.selectedData = processedData;
+  state.selectedType = dataType;
+}
+
+/**
+ * 輔助函數：數據整體替換後，刷新選中路徑對應的數據
+ */
+function syncSelectionData(state, data) {
+  if (state.selectedTable !== null) {
+    const tableData = getValueAtPointer(data, state.selectedTable);
+    state.selectedTableData = Array.isArray(tableData) ? [...tableData] : [];
+  }
+  
+  if (state.selectedPath !== null) {
+    const selected = getValueAtPointer(data, state.selectedPath);
+    if (Array.isArray(selected)) {
+      state.selectedData = [...selected];
+    } else if (selected && typeof selected === 'object') {
+      state.selectedData = { ...selected };
+    } else {
+      state.selectedData = selected ?? null;
+    }
+  }
+}
 
 // 選擇器函數 - 用於組件訂閱特定狀態
 export const selectJsonData = (state) => state.jsonData;
@@ -251,6 +1090,78 @@ export const selectSelectedTableData = (state) => state.selectedTableData;
 export const selectActiveEditor = (state) => state.activeEditor;
 export const selectErrors = (state) => state.errors;
 export const selectStats = (state) => state.stats;
+export const selectHistory = (state) => state.history;
+export const selectCanUndo = (state) => state.history.index > 0;
+export const selectCanRedo = (state) => state.history.index < state.history.entries.length - 1;
+export const selectViewState = (state) => state.viewState;
+export const selectVisiblePanels = (state) => state.visiblePanels;
+export const selectFile = (state) => state.file;
+
+/**
+ * 判斷文檔狀態是否有未保存的修改
+ * @param {Object} docState - 活躍文檔傳入 store 狀態，其他文檔傳入暫存的狀態
+ */
+export const isDocumentDirty = (docState) =>
+  docState.history.entries[docState.history.index].id !== docState.savedRevisionId;
+
+export const selectIsDirty = (state) => isDocumentDirty(state);
+
+/**
+ * 獲取文檔的當前狀態（活躍文檔位於 store 頂層）
+ * @param {Object} state - store 狀態
+ * @param {String} id - 文檔id
+ */
+export const getDocumentState = (state, id) => {
+  return id === state.activeDocumentId ? state : state.documents[id]?.state;
+};
+
+/**
+ * 獲取文檔標籤顯示的標題
+ */
+export const getDocumentTitle = (state, id) => {
+  return getDocumentState(state, id)?.file?.name || state.documents[id]?.title || '';
+};
+
+/**
+ * 獲取差異比較基準的數據；比較另一個文檔時跟隨其最新內容
+ */
+export const selectDiffBaseData = (state) => {
+  const { diffBase } = state;
+  if (!diffBase) return undefined;
+  if (diffBase.kind === 'document') {
+    return getDocumentState(state, diffBase.documentId)?.jsonData;
+  }
+  return diffBase.data;
+};
+
+// 差異結果緩存，基準和當前數據都未變化時返回同一對象
+let diffCache = { baseData: undefined, targetData: undefined, result: null };
+
+/**
+ * 計算活躍文檔相對基準的差異
+ * @returns {Object|null} { changes, statusMap, mergedData, baseData, targetData }，未處於比較模式時為 null
+ */
+export const selectDiffResult = (state) => {
+  const baseData = selectDiffBaseData(state);
+  if (baseData === undefined) return null;
+  
+  if (diffCache.baseData !== baseData || diffCache.targetData !== state.jsonData) {
+    const changes = diffJson(baseData, state.jsonData);
+    diffCache = {
+      baseData,
+      targetData: state.jsonData,
+      result: {
+        changes,
+        statusMap: buildDiffStatusMap(changes),
+        mergedData: mergeDiffData(baseData, state.jsonData),
+        baseData,
+        targetData: state.jsonData
+      }
+    };
+  }
+  
+  return diffCache.result;
+};
 
 // 新的通用路徑選擇器
 export const selectSelectedPath = (state) => state.selectedPath;
@@ -0,0 +1,132 @@
+import { shallow } from 'zustand/shallow';
+import { useJsonStore, getDocumentState, isDocumentDirty } from './jsonStore_v2';
+import { readRecord, writeRecord } from '../utils/workspaceStorage';
+
+/**
+ * 工作區持久化 - 自動保存到 IndexedDB，並在載入時恢復
+ *
+ * 兩條記錄：
+ * - autosave: 每次變化後延遲寫入的最新狀態
+ * - saved: 最後一次明確保存（Ctrl+S）時的狀態
+ */
+
+const AUTOSAVE_KEY = 'autosave';
+const SAVED_KEY = 'saved';
+const AUTOSAVE_DELAY = 1000; // 毫秒
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * 從 store 狀態建立可存儲的快照（包含所有打開的文檔）
+ */
+const createSnapshot = (state) => {
+  const documents = state.documentOrder.map((id) => {
+    const docState = getDocumentState(state, id);
+    return {
+      id,
+      title: state.documents[id].title,
+      dirty: isDocumentDirty(docState),
+      jsonData: docState.jsonData,
+      selectedPath: docState.selectedPath,
+      viewState: docState.viewState,
+      sourceFormat: docState.sourceFormat,
+      file: docState.file // 文件句柄可結構化複製，恢復後仍能直接寫回
+    };
+  });
+
+  return {
+    version: SNAPSHOT_VERSION,
+    updatedAt: Date.now(),
+    dirty: documents.some(doc => doc.dirty),
+    activeDocumentId: state.activeDocumentId,
+    visiblePanels: state.visiblePanels,
+    documents
+  };
+};
+
+const isValidSnapshot = (snapshot) => {
+  return Boolean(snapshot) && snapshot.version === SNAPSHOT_VERSION &&
+    Array.isArray(snapshot.documents) && snapshot.documents.length > 0;
+};
+
+/**
+ * 讀取已存儲的工作區
+ * @returns {Promise<Object>} { autosave, saved, hasUnsavedSession }
+ */
+export const loadWorkspace = async () => {
+  try {
+    const [autosave, saved] = await Promise.all([
+      readRecord(AUTOSAVE_KEY),
+      readRecord(SAVED_KEY)
+    ]);
+
+    const validAutosave = isValidSnapshot(autosave) ? autosave : null;
+    const validSaved = isValidSnapshot(saved) ? saved : null;
+
+    // 自動保存的副本比最後一次明確保存更新，且有文檔包含未保存的修改
+    const hasUnsavedSession = Boolean(validAutosave) && validAutosave.dirty &&
+      validAutosave.updatedAt > (validSaved?.updatedAt ?? 0);
+
+    return { autosave: validAutosave, saved: validSaved, hasUnsavedSession };
+  } catch (error) {
+    console.error('[WorkspacePersistence] 讀取工作區失敗:', error);
+    return { autosave: null, saved: null, hasUnsavedSession: false };
+  }
+};
+
+/**
+ * 開始自動保存，返回停止函數
+ * @returns {Function} 取消訂閱
+ */
+export const startWorkspaceAutosave = () => {
+  let timer = null;
+
+  const writeAutosave = () => {
+    timer = null;
+    writeRecord(AUTOSAVE_KEY, createSnapshot(useJsonStore.getState()))
+      .catch((error) => console.error('[WorkspacePersistence] 自動保存失敗:', error));
+  };
+
+  const scheduleAutosave = () => {
+    clearTimeout(timer);
+    timer = setTimeout(writeAutosave, AUTOSAVE_DELAY);
+  };
+
+  const unsubscribeAutosave = useJsonStore.subscribe(
+    (state) => [
+      state.jsonData,
+      state.selectedPath,
+      state.viewState,
+      state.sourceFormat,
+      state.savedRevisionId,
+      state.file,
+      state.documentOrder,
+      state.activeDocumentId,
+      state.visiblePanels
+    ],
+    scheduleAutosave,
+    { equalityFn: shallow }
+  );
+
+  // 明確保存時立即寫入 saved 記錄
+  const unsubscribeSaved = useJsonStore.subscribe(
+    (state) => state.lastSavedAt,
+    (lastSavedAt) => {
+      if (!lastSavedAt) return;
+      const snapshot = createSnapshot(useJsonStore.getState());
+      Promise.all([writeRecord(SAVED_KEY, snapshot), writeRecord(AUTOSAVE_KEY, snapshot)])
+        .catch((error) => console.error('[WorkspacePersistence] 保存工作區失敗:', error));
+    }
+  );
+
+  console.log('[WorkspacePersistence] 自動保存已啟動');
+
+  return () => {
+    // 停止前寫入尚未完成的自動保存
+    if (timer) {
+      clearTimeout(timer);
+      writeAutosave();
+    }
+    unsubscribeAutosave();
+    unsubscribeSaved();
+  };
+};
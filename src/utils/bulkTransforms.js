@@ -0,0 +1,184 @@
+import {
+  parsePointer,
+  compilePointer,
+  getParentPointer,
+  getPointerLastToken,
+  getValueAtPointer,
+  setValueAtPointer
+} from './jsonPointer';
+import { removeAt, renameKeyAt } from './jsonMutations';
+
+/**
+ * 批量操作 - 對一組路徑應用同一個操作，不修改原數據
+ *
+ * operation:
+ *   { type: 'set', value }                     設置為指定值
+ *   { type: 'delete' }                         刪除
+ *   { type: 'rename', key }                    重命名鍵
+ *   { type: 'map', values: { [path]: value }, errors: { [path]: message } }
+ *                                              使用預先計算的新值（JS 表達式在 worker 中的結果）
+ *   { type: 'sort', field, order: 'asc' | 'desc' } 按字段排序數組，field 為空時按元素本身排序
+ */
+
+const compareTokens = (a, b) => {
+  const bothIndices = /^\d+$/.test(a) && /^\d+$/.test(b);
+  if (bothIndices) return Number(a) - Number(b);
+  return 0;
+};
+
+/**
+ * 把路徑按文檔順序排序（同一容器內按數組索引排序，對象鍵保持原順序）
+ * @param {*} data - JSON數據
+ * @param {Array} paths - JSON Pointer 列表
+ */
+export const sortPathsInDocumentOrder = (data, paths) => {
+  const keyOrder = (parentPath, token) => {
+    const parent = getValueAtPointer(data, parentPath);
+    return parent && typeof parent === 'object' && !Array.isArray(parent)
+      ? Object.keys(parent).indexOf(token)
+      : -1;
+  };
+
+  return [...paths].sort((pathA, pathB) => {
+    const a = parsePointer(pathA);
+    const b = parsePointer(pathB);
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      if (a[i] === b[i]) continue;
+      const byIndex = compareTokens(a[i], b[i]);
+      if (byIndex !== 0) return byIndex;
+      const parentPath = compilePointer(a.slice(0, i));
+      return keyOrder(parentPath, a[i]) - keyOrder(parentPath, b[i]);
+    }
+    return a.length - b.length;
+  });
+};
+
+const isAncestorPath = (ancestor, path) => path.startsWith(`${ancestor}/`);
+
+/**
+ * 路徑的最近公共祖先
+ * @param {Array} paths - JSON Pointer 列表
+ * @returns {String} 公共祖先路徑，沒有路徑時返回根路徑
+ */
+export const getCommonAncestor = (paths) => {
+  if (paths.length === 0) return '';
+  const tokenLists = paths.map(parsePointer);
+  const common = [];
+  for (let i = 0; i < tokenLists[0].length; i++) {
+    const token = tokenLists[0][i];
+    if (!tokenLists.every(tokens => tokens[i] === token)) break;
+    common.push(token);
+  }
+  return compilePointer(common);
+};
+
+export const compareValues = (a, b) => {
+  if (a === undefined) return b === undefined ? 0 : 1;
+  if (b === undefined) return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+};
+
+/**
+ * 按字段排序數組，缺少該字段的元素排在最後
+ */
+const sortArray = (array, field, order) => {
+  const read = (item) => (field ? (item !== null && typeof item === 'object' ? item[field] : undefined) : item);
+  const direction = order === 'desc' ? -1 : 1;
+  return [...array].sort((a, b) => {
+    const valueA = read(a);
+    const valueB = read(b);
+    // 缺少字段的元素無論升序降序都排在最後
+    if (valueA === undefined || valueB === undefined) return compareValues(valueA, valueB);
+    return compareValues(valueA, valueB) * direction;
+  });
+};
+
+/**
+ * 對一組路徑應用批量操作
+ * @param {*} data - JSON數據
+ * @param {Array} paths - 目標路徑
+ * @param {Object} operation - 見文件頂部說明
+ * @returns {Object} { data, changes: [{ path, before, after, error }] }，changes 按文檔順序
+ *   before / after 為修改前後的值（重命名時為鍵名，刪除後 after 為 undefined）
+ */
+export const applyBulkOperation = (data, paths, operation) => {
+  const unique = sortPathsInDocumentOrder(data, [...new Set(paths)]);
+  const changes = [];
+
+  // 設置、刪除和表達式會覆蓋整個子樹，祖先已在目標中的路徑直接跳過；
+  // 重命名和排序只影響自身一層，各層路徑互不干擾
+  const replacesSubtree = ['set', 'delete', 'map'].includes(operation.type);
+  const targets = replacesSubtree
+    ? unique.filter(path => !unique.some(other => other !== path && isAncestorPath(other, path)))
+    : unique;
+
+  // 倒序處理：刪除數組元素時較大的索引先刪，子路徑先於父路徑處理
+  let result = data;
+  [...targets].reverse().forEach((path) => {
+    const before = getValueAtPointer(data, path);
+    const change = { path, before, after: undefined, error: null };
+
+    try {
+      if (getValueAtPointer(result, path) === undefined) {
+        throw new Error('路徑不存在');
+      }
+
+      switch (operation.type) {
+        case 'set':
+          result = setValueAtPointer(result, path, operation.value);
+          change.after = operation.value;
+          break;
+        case 'delete':
+          result = removeAt(result, path).data;
+          break;
+        case 'rename':
+          change.before = getPointerLastToken(path);
+          result = renameKeyAt(result, path, operation.key).data;
+          change.after = operation.key;
+          break;
+        case 'map':
+          if (operation.errors?.[path]) {
+            throw new Error(operation.errors[path]);
+          }
+          if (!Object.prototype.hasOwnProperty.call(operation.values, path)) {
+            throw new Error('缺少表達式結果');
+          }
+          result = setValueAtPointer(result, path, operation.values[path]);
+          change.after = operation.values[path];
+          break;
+        case 'sort': {
+          // 使用當前結果中的數組，保留已排序的子數組
+          const current = getValueAtPointer(result, path);
+          if (!Array.isArray(current)) throw new Error('不是數組');
+          const sorted = sortArray(current, operation.field, operation.order);
+          result = setValueAtPointer(result, path, sorted);
+          change.after = sorted;
+          break;
+        }
+        default:
+          throw new Error(`不支持的操作: ${operation.type}`);
+      }
+    } catch (error) {
+      change.error = error.message;
+    }
+
+    changes.unshift(change);
+  });
+
+  return { data: result, changes };
+};
+
+/**
+ * 操作完成後應選中的路徑：目標的公共祖先（刪除或重命名時取其父路徑）
+ */
+export const getBulkSelectionTarget = (data, paths, operation) => {
+  let path = getCommonAncestor(paths);
+  if ((operation.type === 'delete' || operation.type === 'rename') && paths.includes(path)) {
+    path = getParentPointer(path) ?? '';
+  }
+  while (path !== '' && getValueAtPointer(data, path) === undefined) {
+    path = getParentPointer(path);
+  }
+  return path;
+};
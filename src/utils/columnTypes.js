@@ -0,0 +1,179 @@
+import { parseCellText } from './tableUtils';
+
+/**
+ * 表格列類型 - 每列可聲明一個類型，編輯和粘貼時按類型轉換和校驗
+ *
+ * 類型聲明: { type, options }，options 僅用於 enum（允許的值列表）
+ * 'auto' 沿用按內容猜測的轉換（true / false / null / 數字），是混合類型列的推斷結果
+ * 空儲存格（缺少的鍵、null、空字符串）對任何類型都有效
+ */
+
+export const COLUMN_TYPES = [
+  { id: 'auto', label: '自動' },
+  { id: 'string', label: '字串' },
+  { id: 'integer', label: '整數' },
+  { id: 'number', label: '數字' },
+  { id: 'boolean', label: '布林' },
+  { id: 'date', label: '日期' },
+  { id: 'enum', label: '枚舉' },
+  { id: 'json', label: 'JSON' }
+];
+
+// ISO 8601 日期，可帶時間
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const isEmptyValue = (value) => value === undefined || value === null || value === '';
+
+const isDateText = (value) => typeof value === 'string' && DATE_PATTERN.test(value) && !isNaN(Date.parse(value));
+
+/**
+ * 表格聲明的列類型；列名可能是 constructor 等與原型同名的鍵，只讀取自身屬性
+ * @param {Object|null} schema - 表格的列聲明 { types }
+ * @param {String|Number} column - 鍵名或列索引
+ * @returns {Object|null} 類型聲明，未聲明時為 null
+ */
+export const getDeclaredType = (schema, column) => {
+  if (!schema?.types || !Object.prototype.hasOwnProperty.call(schema.types, column)) return null;
+  return schema.types[column];
+};
+
+/**
+ * 根據列中已有的值推斷類型
+ * @param {Array} values - 該列儲存格的值
+ * @returns {Object} 類型聲明 { type }
+ */
+export const inferColumnType = (values) => {
+  const filled = values.filter(value => !isEmptyValue(value));
+  if (filled.length === 0) return { type: 'auto' };
+
+  if (filled.every(value => typeof value === 'number')) {
+    return { type: filled.every(Number.isInteger) ? 'integer' : 'number' };
+  }
+  if (filled.every(value => typeof value === 'boolean')) return { type: 'boolean' };
+  if (filled.every(isDateText)) return { type: 'date' };
+  if (filled.every(value => typeof value === 'string')) return { type: 'string' };
+  if (filled.every(value => value !== null && typeof value === 'object')) return { type: 'json' };
+  return { type: 'auto' };
+};
+
+/**
+ * 值是否符合列類型
+ * @param {*} value - 儲存格的值
+ * @param {Object} spec - 類型聲明
+ * @returns {Boolean}
+ */
+export const isValidForType = (value, spec) => {
+  if (isEmptyValue(value)) return true;
+
+  switch (spec.type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'date':
+      return isDateText(value);
+    case 'enum':
+      return !spec.options?.length || spec.options.includes(value);
+    default:
+      return true;
+  }
+};
+
+/**
+ * 按列類型把編輯框中的文本轉換為值
+ * 字串列保留原文（如郵編 "00123"）；其他類型的空文本轉換為 null
+ * @param {String} text - 編輯框或剪貼板中的文本
+ * @param {Object} spec - 類型聲明
+ * @param {*} previous - 儲存格原來的值（自動類型使用）
+ * @returns {*} 轉換後的值
+ * @throws {Error} 文本不符合列類型時
+ */
+export const parseTypedText = (text, spec, previous) => {
+  if (spec.type === 'auto') return parseCellText(text, previous);
+  if (spec.type === 'string') return text;
+
+  const trimmed = text.trim();
+  if (trimmed === '') return null;
+
+  switch (spec.type) {
+    case 'integer':
+      if (!/^[-+]?\d+$/.test(trimmed)) throw new Error(`「${text}」不是整數`);
+      return Number(trimmed);
+    case 'number': {
+      const number = Number(trimmed);
+      if (!Number.isFinite(number)) throw new Error(`「${text}」不是有效的數字`);
+      return number;
+    }
+    case 'boolean':
+      if (/^true$/i.test(trimmed)) return true;
+      if (/^false$/i.test(trimmed)) return false;
+      throw new Error(`「${text}」不是 true 或 false`);
+    case 'date':
+      if (!isDateText(trimmed)) throw new Error(`「${text}」不是有效的日期（YYYY-MM-DD）`);
+      return trimmed;
+    case 'enum':
+      if (spec.options?.length && !spec.options.includes(trimmed)) {
+        throw new Error(`「${text}」不在可選值中: ${spec.options.join(', ')}`);
+      }
+      return trimmed;
+    case 'json':
+      try {
+        return JSON.parse(trimmed);
+      } catch (error) {
+        throw new Error(`無效的 JSON: ${error.message}`);
+      }
+    default:
+      throw new Error(`不支持的列類型: ${spec.type}`);
+  }
+};
+
+// 非 ISO 格式的日期文本按本地時間解析，日期也按本地時間輸出，避免跨時區後差一天
+const formatDate = (date) => [
+  String(date.getFullYear()).padStart(4, '0'),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+/**
+ * 把已有的值轉換為列類型，用於批量轉換整列
+ * @param {*} value - 儲存格的值
+ * @param {Object} spec - 類型聲明
+ * @returns {Object} { value, ok }，無法轉換時 value 為 null、ok 為 false
+ */
+export const convertToType = (value, spec) => {
+  if (isEmptyValue(value) || isValidForType(value, spec)) return { value, ok: true };
+
+  const failed = { value: null, ok: false };
+  switch (spec.type) {
+    case 'string':
+      return { value: typeof value === 'object' ? JSON.stringify(value) : String(value), ok: true };
+    case 'integer':
+    case 'number': {
+      const number = typeof value === 'boolean' ? Number(value) : Number(String(value).trim());
+      // 非整數不四捨五入，與其他無法轉換的值一樣計入警告
+      if (typeof value === 'object' || !Number.isFinite(number)) return failed;
+      if (spec.type === 'integer' && !Number.isInteger(number)) return failed;
+      return { value: number, ok: true };
+    }
+    case 'boolean':
+      if (value === 1 || /^(true|1)$/i.test(String(value).trim())) return { value: true, ok: true };
+      if (value === 0 || /^(false|0)$/i.test(String(value).trim())) return { value: false, ok: true };
+      return failed;
+    case 'date': {
+      // 數字視為時間戳，字符串交給 Date 解析
+      if (typeof value !== 'number' && typeof value !== 'string') return failed;
+      const date = new Date(value);
+      return isNaN(date.getTime()) ? failed : { value: formatDate(date), ok: true };
+    }
+    case 'enum': {
+      const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      return spec.options?.length && !spec.options.includes(text) ? failed : { value: text, ok: true };
+    }
+    default:
+      return { value, ok: true };
+  }
+};
@@ -0,0 +1,331 @@
+import { isEqual } from 'lodash-es';
+import { appendPointer, getParentPointer } from './jsonPointer';
+
+/**
+ * 文檔差異工具 - 結構化差異、合併顯示數據和逐行文本差異
+ */
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * 比較兩個JSON值，列出所有差異
+ * @param {*} base - 基準數據（舊）
+ * @param {*} target - 目標數據（新）
+ * @returns {Array} [{ path, type: 'added' | 'removed' | 'changed', before, after }]
+ */
+export const diffJson = (base, target) => {
+  const changes = [];
+
+  const walk = (before, after, path) => {
+    if (before === after) return;
+
+    if (isPlainObject(before) && isPlainObject(after)) {
+      Object.keys(after).forEach((key) => {
+        const childPath = appendPointer(path, key);
+        if (!Object.prototype.hasOwnProperty.call(before, key)) {
+          changes.push({ path: childPath, type: 'added', before: undefined, after: after[key] });
+        } else {
+          walk(before[key], after[key], childPath);
+        }
+      });
+      Object.keys(before).forEach((key) => {
+        if (!Object.prototype.hasOwnProperty.call(after, key)) {
+          changes.push({ path: appendPointer(path, key), type: 'removed', before: before[key], after: undefined });
+        }
+      });
+      return;
+    }
+
+    if (Array.isArray(before) && Array.isArray(after)) {
+      const length = Math.max(before.length, after.length);
+      for (let index = 0; index < length; index++) {
+        const childPath = appendPointer(path, index);
+        if (index >= before.length) {
+          changes.push({ path: childPath, type: 'added', before: undefined, after: after[index] });
+        } else if (index >= after.length) {
+          changes.push({ path: childPath, type: 'removed', before: before[index], after: undefined });
+        } else {
+          walk(before[index], after[index], childPath);
+        }
+      }
+      return;
+    }
+
+    if (!isEqual(before, after)) {
+      changes.push({ path, type: 'changed', before, after });
+    }
+  };
+
+  walk(base, target, '');
+  return changes;
+};
+
+/**
+ * 建立路徑到差異狀態的映射
+ * 發生變化路徑的祖先標記為 'modified'（包含變化）
+ * @param {Array} changes - diffJson 的結果
+ * @returns {Map<String, String>} path → 'added' | 'removed' | 'changed' | 'modified'
+ */
+export const buildDiffStatusMap = (changes) => {
+  const statusMap = new Map();
+
+  changes.forEach(({ path, type }) => {
+    statusMap.set(path, type);
+
+    let parent = getParentPointer(path);
+    while (parent !== null && !statusMap.has(parent)) {
+      statusMap.set(parent, 'modified');
+      parent = getParentPointer(parent);
+    }
+  });
+
+  return statusMap;
+};
+
+/**
+ * 獲取路徑的差異狀態；整體新增、刪除或替換的子樹中的路徑繼承祖先的狀態
+ * @param {Map} statusMap - buildDiffStatusMap 的結果
+ * @param {String} path - JSON Pointer
+ * @returns {String|null} 差異狀態，無變化時為 null
+ */
+export const getDiffStatus = (statusMap, path) => {
+  if (statusMap.has(path)) {
+    const status = statusMap.get(path);
+    if (status !== 'modified') return status;
+  }
+
+  let parent = getParentPointer(path);
+  while (parent !== null) {
+    const status = statusMap.get(parent);
+    if (status && status !== 'modified') return status;
+    parent = getParentPointer(parent);
+  }
+
+  return statusMap.get(path) || null;
+};
+
+/**
+ * 合併兩個版本用於顯示：以目標數據為主，補回被刪除的鍵和元素
+ * 使圖形同時包含新增和刪除的節點
+ * @param {*} base - 基準數據
+ * @param {*} target - 目標數據
+ * @returns {*} 合併後的數據
+ */
+export const mergeDiffData = (base, target) => {
+  if (isPlainObject(base) && isPlainObject(target)) {
+    const merged = {};
+    Object.keys(target).forEach((key) => {
+      merged[key] = Object.prototype.hasOwnProperty.call(base, key)
+        ? mergeDiffData(base[key], target[key])
+        : target[key];
+    });
+    Object.keys(base).forEach((key) => {
+      if (!Object.prototype.hasOwnProperty.call(target, key)) {
+        merged[key] = base[key];
+      }
+    });
+    return merged;
+  }
+
+  if (Array.isArray(base) && Array.isArray(target)) {
+    const length = Math.max(base.length, target.length);
+    return Array.from({ length }, (_, index) => {
+      if (index >= target.length) return base[index];
+      if (index >= base.length) return target[index];
+      return mergeDiffData(base[index], target[index]);
+    });
+  }
+
+  return target;
+};
+
+/**
+ * 以與 JSON.stringify(data, null, 2) 相同的格式輸出文本，
+ * 同時記錄每個路徑所在的行號（從 0 開始）
+ * @param {*} data - JSON數據
+ * @returns {Object} { lines: Array<String>, lineMap: Map<String, Number> }
+ */
+export const formatJsonWithLineMap = (data) => {
+  const lines = [];
+  const lineMap = new Map();
+
+  const write = (value, path, indent, prefix, suffix) => {
+    lineMap.set(path, lines.length);
+    const pad = '  '.repeat(indent);
+
+    if (Array.isArray(value) && value.length > 0) {
+      lines.push(`${pad}${prefix}[`);
+      value.forEach((item, index) => {
+        write(item, appendPointer(path, index), indent + 1, '', index < value.length - 1 ? ',' : '');
+      });
+      lines.push(`${pad}]${suffix}`);
+    } else if (isPlainObject(value) && Object.keys(value).length > 0) {
+      const keys = Object.keys(value);
+      lines.push(`${pad}${prefix}{`);
+      keys.forEach((key, index) => {
+        write(value[key], appendPointer(path, key), indent + 1, `${JSON.stringify(key)}: `, index < keys.length - 1 ? ',' : '');
+      });
+      lines.push(`${pad}}${suffix}`);
+    } else {
+      lines.push(`${pad}${prefix}${JSON.stringify(value) ?? 'null'}${suffix}`);
+    }
+  };
+
+  write(data, '', 0, '', '');
+  return { lines, lineMap };
+};
+
+// 編輯距離超過此值時不再尋找最短編輯腳本，中間部分整體顯示為替換
+const MAX_EDIT_DISTANCE = 1000;
+
+/**
+ * Myers 差異算法：計算兩組行之間的最短編輯腳本
+ * 先去掉相同的開頭和結尾；每一步只保存 v 中 [-d, d] 範圍的值用於回溯，
+ * 編輯距離過大時退化為整塊替換，避免大文檔佔用過多內存
+ * @param {Array<String>} a - 舊行
+ * @param {Array<String>} b - 新行
+ * @returns {Array} [{ type: 'equal' | 'delete' | 'insert', aIndex, bIndex }]
+ */
+const myersDiff = (a, b) => {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [];
+  for (let i = 0; i < start; i++) {
+    ops.push({ type: 'equal', aIndex: i, bIndex: i });
+  }
+  ops.push(...diffMiddle(a, b, start, endA, endB));
+  for (let i = 0; i < a.length - endA; i++) {
+    ops.push({ type: 'equal', aIndex: endA + i, bIndex: endB + i });
+  }
+  return ops;
+};
+
+// 對 a[start, endA) 和 b[start, endB) 執行 Myers 算法
+const diffMiddle = (a, b, start, endA, endB) => {
+  const n = endA - start;
+  const m = endB - start;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  // trace[d] 保存第 d 步開始前 v 在 [-d - 1, d + 1] 範圍的值
+  const trace = [];
+  let reached = false;
+
+  for (let d = 0; d <= max && !reached; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+      while (x < n && y < m && a[start + x] === b[start + y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        reached = true;
+        break;
+      }
+    }
+  }
+
+  if (!reached) {
+    console.log(`[DiffUtils] 編輯距離超過 ${MAX_EDIT_DISTANCE}，顯示為整塊替換`);
+    const ops = [];
+    for (let i = start; i < endA; i++) ops.push({ type: 'delete', aIndex: i, bIndex: -1 });
+    for (let i = start; i < endB; i++) ops.push({ type: 'insert', aIndex: -1, bIndex: i });
+    return ops;
+  }
+
+  // 回溯得到編輯腳本
+  const ops = [];
+  let x = n;
+  let y = m;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const vd = trace[d];
+    const at = (k) => vd[k + d + 1];
+    const k = x - y;
+    let prevK;
+    if (k === -d || (k !== d && at(k - 1) < at(k + 1))) {
+      prevK = k + 1;
+    } else {
+      prevK = k - 1;
+    }
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      x--;
+      y--;
+      ops.push({ type: 'equal', aIndex: start + x, bIndex: start + y });
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        y--;
+        ops.push({ type: 'insert', aIndex: -1, bIndex: start + y });
+      } else {
+        x--;
+        ops.push({ type: 'delete', aIndex: start + x, bIndex: -1 });
+      }
+    }
+  }
+
+  return ops.reverse();
+};
+
+/**
+ * 計算並排顯示的逐行差異
+ * 連續的刪除和插入配對為修改行
+ * @param {Array<String>} leftLines - 基準文本行
+ * @param {Array<String>} rightLines - 目標文本行
+ * @returns {Array} [{ type: 'equal' | 'added' | 'removed' | 'changed', left: Number|null, right: Number|null }]
+ */
+export const diffLines = (leftLines, rightLines) => {
+  const ops = myersDiff(leftLines, rightLines);
+  const rows = [];
+  let deletes = [];
+  let inserts = [];
+
+  const flush = () => {
+    const paired = Math.max(deletes.length, inserts.length);
+    for (let i = 0; i < paired; i++) {
+      const left = i < deletes.length ? deletes[i] : null;
+      const right = i < inserts.length ? inserts[i] : null;
+      rows.push({
+        type: left !== null && right !== null ? 'changed' : left !== null ? 'removed' : 'added',
+        left,
+        right
+      });
+    }
+    deletes = [];
+    inserts = [];
+  };
+
+  ops.forEach((op) => {
+    if (op.type === 'equal') {
+      flush();
+      rows.push({ type: 'equal', left: op.aIndex, right: op.bIndex });
+    } else if (op.type === 'delete') {
+      deletes.push(op.aIndex);
+    } else {
+      inserts.push(op.bIndex);
+    }
+  });
+  flush();
+
+  return rows;
+};
@@ -0,0 +1,45 @@
+/**
+ * 在沙箱 worker 中執行 JS 表達式
+ * 每次執行使用新的 worker，完成或超時後立即終止，避免死循環卡住頁面
+ */
+
+const EXPRESSION_TIMEOUT = 3000; // 毫秒
+
+/**
+ * 對一組輸入執行表達式
+ * @param {String} expression - 函數表達式，如 x => x * 1.1；第二個參數為 { path, key }
+ * @param {Array} inputs - [{ path, key, value }]
+ * @param {Number} timeout - 超時時間（毫秒）
+ * @returns {Promise<Array>} 與 inputs 一一對應的 [{ value } | { error }]
+ */
+export const runExpression = (expression, inputs, timeout = EXPRESSION_TIMEOUT) => new Promise((resolve, reject) => {
+  const worker = new Worker(new URL('./expressionWorker.js', import.meta.url), { type: 'module' });
+
+  const finish = () => {
+    clearTimeout(timer);
+    worker.terminate();
+  };
+
+  const timer = setTimeout(() => {
+    worker.terminate();
+    reject(new Error(`表達式執行超過 ${timeout / 1000} 秒，已中止`));
+  }, timeout);
+
+  worker.onmessage = ({ data }) => {
+    finish();
+    if (data.error) {
+      reject(new Error(data.error));
+    } else {
+      resolve(data.results);
+    }
+  };
+
+  worker.onerror = (event) => {
+    event.preventDefault();
+    finish();
+    reject(new Error(event.message || '表達式執行失敗'));
+  };
+
+  console.log(`[ExpressionSandbox] 執行表達式 (${inputs.length} 個輸入)`);
+  worker.postMessage({ expression, inputs });
+});
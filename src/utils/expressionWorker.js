@@ -0,0 +1,70 @@
+/**
+ * JS 表達式沙箱 worker - 在獨立線程中對每個輸入值執行用戶表達式
+ * worker 無法訪問頁面、store 和 DOM；網絡和存儲 API 在執行前被移除
+ *
+ * 輸入消息: { expression: 'x => x * 1.1', inputs: [{ path, key, value }] }
+ * 輸出消息: { results: [{ value } | { error }] } 或 { error }（表達式本身無效時）
+ */
+
+const reply = self.postMessage.bind(self);
+
+const BLOCKED_GLOBALS = [
+  'fetch',
+  'XMLHttpRequest',
+  'WebSocket',
+  'EventSource',
+  'importScripts',
+  'indexedDB',
+  'caches',
+  'BroadcastChannel',
+  'Worker',
+  'postMessage'
+];
+
+BLOCKED_GLOBALS.forEach((name) => {
+  try {
+    Object.defineProperty(self, name, { value: undefined, writable: false, configurable: false });
+  } catch {
+    // 不可重定義的屬性保持原樣
+  }
+});
+
+// 把返回值轉換為純 JSON 值
+const toJsonValue = (value) => {
+  if (value === undefined) {
+    throw new Error('返回值為 undefined');
+  }
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    throw new Error(`返回值 ${value} 不是有效的 JSON 數字`);
+  }
+  const text = JSON.stringify(value);
+  if (text === undefined) {
+    throw new Error('返回值不是有效的 JSON');
+  }
+  return JSON.parse(text);
+};
+
+self.onmessage = ({ data: { expression, inputs } }) => {
+  let transform;
+  try {
+    transform = new Function(`"use strict"; return (${expression});`)();
+  } catch (error) {
+    reply({ error: `表達式語法錯誤: ${error.message}` });
+    return;
+  }
+
+  if (typeof transform !== 'function') {
+    reply({ error: '表達式必須是函數，例如 x => x * 1.1' });
+    return;
+  }
+
+  const results = inputs.map(({ path, key, value }) => {
+    try {
+      return { value: toJsonValue(transform(value, { path, key })) };
+    } catch (error) {
+      return { error: error.message };
+    }
+  });
+
+  reply({ results });
+};
@@ -0,0 +1,215 @@
+import { readRecord, writeRecord } from './workspaceStorage';
+
+/**
+ * 本地文件讀寫工具
+ * 優先使用 File System Access API（可保留文件句柄直接寫回），
+ * 不支持時退回 <input type="file"> 和下載鏈接
+ */
+
+const JSON_FILE_TYPES = [
+  {
+    description: 'JSON 文件',
+    accept: { 'application/json': ['.json', '.jsonc', '.json5'] }
+  }
+];
+
+const RECENT_FILES_KEY = 'recentFiles';
+const RECENT_FILES_LIMIT = 10;
+
+export const supportsFileSystemAccess = () => {
+  return typeof window !== 'undefined' && 'showOpenFilePicker' in window;
+};
+
+/**
+ * 判斷文件是否為 JSON 文件（包括 JSONC 和 JSON5）
+ * @param {File} file
+ */
+export const isJsonFile = (file) => {
+  return /\.json[c5]?$/i.test(file.name) || file.type === 'application/json';
+};
+
+const isAbortError = (error) => error?.name === 'AbortError';
+
+// 選擇框關閉後等待 change 事件的時間，超時仍未選擇文件則視為取消
+const INPUT_CANCEL_DELAY = 500;
+
+/**
+ * 使用傳統文件選擇框選擇文件
+ * 取消時通過 cancel 事件結束；不支持 cancel 事件的瀏覽器在窗口重新獲得焦點後判斷
+ * @returns {Promise<File|null>} 用戶取消時為 null
+ */
+const pickFileWithInput = () => {
+  return new Promise((resolve) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,.jsonc,.json5,application/json';
+
+    let settled = false;
+    const finish = (file) => {
+      if (settled) return;
+      settled = true;
+      window.removeEventListener('focus', handleWindowFocus);
+      resolve(file);
+    };
+    const handleWindowFocus = () => {
+      setTimeout(() => finish(input.files?.[0] ?? null), INPUT_CANCEL_DELAY);
+    };
+
+    input.addEventListener('change', () => finish(input.files?.[0] ?? null));
+    input.addEventListener('cancel', () => finish(null));
+    window.addEventListener('focus', handleWindowFocus);
+    input.click();
+  });
+};
+
+/**
+ * 打開文件選擇框並讀取 JSON 文件
+ * @returns {Promise<Object|null>} { name, text, handle }，用戶取消時為 null
+ */
+export const openJsonFile = async () => {
+  if (supportsFileSystemAccess()) {
+    try {
+      const [handle] = await window.showOpenFilePicker({ types: JSON_FILE_TYPES, multiple: false });
+      const file = await handle.getFile();
+      return { name: file.name, text: await file.text(), handle };
+    } catch (error) {
+      if (isAbortError(error)) return null;
+      throw error;
+    }
+  }
+
+  const file = await pickFileWithInput();
+  if (!file) return null;
+  return { name: file.name, text: await file.text(), handle: null };
+};
+
+/**
+ * 從拖放事件讀取第一個 JSON 文件
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<Object|null>} { name, text, handle }
+ */
+export const readDroppedJsonFile = async (dataTransfer) => {
+  const items = Array.from(dataTransfer.items || []).filter(item => item.kind === 'file');
+
+  for (const item of items) {
+    const file = item.getAsFile();
+    if (!file || !isJsonFile(file)) continue;
+
+    // 支持時同時取得文件句柄，以便之後直接寫回
+    let handle = null;
+    if (typeof item.getAsFileSystemHandle === 'function') {
+      try {
+        const fsHandle = await item.getAsFileSystemHandle();
+        handle = fsHandle?.kind === 'file' ? fsHandle : null;
+      } catch (error) {
+        console.warn('[FileAccess] 無法取得文件句柄:', error);
+      }
+    }
+
+    return { name: file.name, text: await file.text(), handle };
+  }
+
+  return null;
+};
+
+/**
+ * 確認對文件句柄擁有讀寫權限
+ * @param {FileSystemFileHandle} handle
+ * @param {String} mode - 'read' | 'readwrite'
+ * @returns {Promise<Boolean>}
+ */
+const ensurePermission = async (handle, mode) => {
+  if (typeof handle.queryPermission !== 'function') return true;
+  if (await handle.queryPermission({ mode }) === 'granted') return true;
+  return await handle.requestPermission({ mode }) === 'granted';
+};
+
+/**
+ * 讀取文件句柄的內容
+ * @param {FileSystemFileHandle} handle
+ * @returns {Promise<Object>} { name, text, handle }
+ */
+export const readFileHandle = async (handle) => {
+  if (!await ensurePermission(handle, 'read')) {
+    throw new Error(`沒有讀取 ${handle.name} 的權限`);
+  }
+  const file = await handle.getFile();
+  return { name: file.name, text: await file.text(), handle };
+};
+
+/**
+ * 寫入文件句柄
+ * @param {FileSystemFileHandle} handle
+ * @param {String} text - 文件內容
+ */
+export const writeFileHandle = async (handle, text) => {
+  if (!await ensurePermission(handle, 'readwrite')) {
+    throw new Error(`沒有寫入 ${handle.name} 的權限`);
+  }
+  const writable = await handle.createWritable();
+  await writable.write(text);
+  await writable.close();
+};
+
+/**
+ * 另存為：選擇保存位置並寫入
+ * 不支持 File System Access API 時以下載方式保存
+ * @param {String} text - 文件內容
+ * @param {String} suggestedName - 建議文件名
+ * @returns {Promise<Object|null>} { name, handle }，用戶取消時為 null
+ */
+export const saveJsonFileAs = async (text, suggestedName = 'data.json') => {
+  if ('showSaveFilePicker' in window) {
+    try {
+      const handle = await window.showSaveFilePicker({ suggestedName, types: JSON_FILE_TYPES });
+      await writeFileHandle(handle, text);
+      return { name: handle.name, handle };
+    } catch (error) {
+      if (isAbortError(error)) return null;
+      throw error;
+    }
+  }
+
+  const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = suggestedName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+
+  return { name: suggestedName, handle: null };
+};
+
+/**
+ * 讀取最近打開的文件列表
+ * @returns {Promise<Array>} [{ name, openedAt, handle }]
+ */
+export const loadRecentFiles = async () => {
+  try {
+    return (await readRecord(RECENT_FILES_KEY)) || [];
+  } catch (error) {
+    console.error('[FileAccess] 讀取最近文件失敗:', error);
+    return [];
+  }
+};
+
+/**
+ * 將文件加入最近打開列表（同名文件只保留最新一條）
+ * @param {Object} entry - { name, handle }
+ * @returns {Promise<Array>} 更新後的列表
+ */
+export const addRecentFile = async ({ name, handle }) => {
+  const recentFiles = await loadRecentFiles();
+  const updated = [
+    { name, handle: handle || null, openedAt: Date.now() },
+    ...recentFiles.filter(entry => entry.name !== name)
+  ].slice(0, RECENT_FILES_LIMIT);
+
+  try {
+    await writeRecord(RECENT_FILES_KEY, updated);
+  } catch (error) {
+    console.error('[FileAccess] 保存最近文件失敗:', error);
+  }
+
+  return updated;
+};
@@ -1,4 +1,6 @@
 import { isEqual } from 'lodash-es';
+import { appendPointer } from './jsonPointer';
+import { getColumnNames } from './tableUtils';
 
 /**
  * 圖形工具函數集合
@@ -25,40 +27,62 @@ export const isComplexStructure = (obj) => {
   return false;
 };
 
+/**
+ * 計算一個值在圖形中會生成多少個節點（用於顯示摺疊後隱藏的數量）
+ * 基本類型顯示為所屬節點中的一行，不計入
+ */
+const countGraphNodes = (value) => {
+  if (Array.isArray(value)) {
+    if (is2DArray(value)) return 1;
+    return value.reduce((sum, item) => sum + countGraphNodes(item), 1);
+  }
+  if (typeof value === 'object' && value !== null) {
+    return Object.values(value).reduce((sum, item) => sum + countGraphNodes(item), 1);
+  }
+  return 0;
+};
+
 /**
  * 從JSON數據提取圖形節點和連接
+ * 節點 id 為該節點的 JSON Pointer，根節點為 ''
  * @param {Object} data - JSON數據
+ * @param {Object} options - {
+ *   collapsedPaths: { [路徑]: true } 摺疊的節點，不展開其子節點,
+ *   tableSchemas: { [路徑]: 列聲明 } 2D 數組節點據此顯示列名
+ * }
  * @returns {Object} { nodes, links }
  */
-export const extractGraphData = (data) => {
+export const extractGraphData = (data, { collapsedPaths = {}, tableSchemas = {} } = {}) => {
   const nodes = [];
   const links = [];
   
-  const extractNodes = (obj, path = '', depth = 0, parentId = null) => {
-    const currentId = path || 'JSON';
+  const extractNodes = (obj, path = '', depth = 0, parentId = null, name = 'JSON', order = 0) => {
+    const currentId = path;
     
-    if (path === '') {
+    if (parentId === null) {
       // 根節點
       nodes.push({
-        id: 'JSON',
+        id: '',
         name: 'JSON',
         data: obj,
         type: 'root',
         depth: 0,
         parentId: null,
+        order: 0,
         x: 0,
         y: 0
       });
       
       // 處理根對象的屬性
       if (typeof obj === 'object' && obj !== null && !Array.isArray(obj)) {
-        Object.keys(obj).forEach(key => {
-          extractNodes(obj[key], key, 1, 'JSON');
+        Object.keys(obj).forEach((key, keyIndex) => {
+          const childId = appendPointer('', key);
+          extractNodes(obj[key], childId, 1, '', key, keyIndex);
           
           // 為根節點的每個屬性添加連接
           links.push({
-            sourceId: 'JSON',
-            targetId: key,
+            sourceId: '',
+            targetId: childId,
             type: 'root-child'
           });
         });
@@ -70,11 +94,14 @@ export const extractGraphData = (data) => {
           // 2D數組 - 可編輯的表格
           nodes.push({
             id: currentId,
-            name: path.split('.').pop(),
+            name: name,
             data: obj,
             type: '2d-array',
+            columnNames: getColumnNames(tableSchemas[currentId], obj), // 沒有列名時為 null
+            headerRow: Boolean(tableSchemas[currentId]?.headerRow), // 首行作為標題顯示
             depth: depth,
             parentId: parentId,
+            order: order,
             x: 0,
             y: 0
           });
@@ -82,16 +109,19 @@ export const extractGraphData = (data) => {
           // 其他數組 - complex-box
           const slots = [];
           const simpleProps = [];
+          const isCollapsed = collapsedPaths[currentId] === true;
+          let hiddenCount = 0;
           
           obj.forEach((item, index) => {
-            const slotId = `${currentId}[${index}]`;
+            const slotId = appendPointer(currentId, index);
             
             if (typeof item !== 'object' || item === null) {
               // 基本類型元素
               simpleProps.push({
                 key: `[${index}]`,
                 value: String(item),
-                type: typeof item
+                type: typeof item,
+                path: slotId
               });
             } else {
               // 複雜元素
@@ -106,8 +136,13 @@ export const extractGraphData = (data) => {
                 type: itemType
               });
               
+              if (isCollapsed) {
+                hiddenCount += countGraphNodes(item);
+                return;
+              }
+              
               // 遞歸處理複雜元素
-              extractNodes(item, slotId, depth + 1, currentId);
+              extractNodes(item, slotId, depth + 1, currentId, `${name}[${index}]`, index);
               
               // 添加slot連接
               links.push({
@@ -121,14 +156,17 @@ export const extractGraphData = (data) => {
           
           nodes.push({
             id: currentId,
-            name: path.split('.').pop(),
+            name: name,
             data: obj,
             type: 'complex-box',
             subtype: 'array',
             depth: depth,
             parentId: parentId,
+            order: order,
             slots: slots,
             properties: simpleProps,
+            collapsed: isCollapsed && slots.length > 0,
+            hiddenCount: hiddenCount,
             x: 0,
             y: 0
           });
@@ -137,10 +175,12 @@ export const extractGraphData = (data) => {
         // 對象 - complex-box
         const slots = [];
         const simpleProps = [];
+        const isCollapsed = collapsedPaths[currentId] === true;
+        let hiddenCount = 0;
         
-        Object.keys(obj).forEach(key => {
+        Object.keys(obj).forEach((key, keyIndex) => {
           const value = obj[key];
-          const slotId = `${currentId}.${key}`;
+          const slotId = appendPointer(currentId, key);
           
           if (Array.isArray(value) || (typeof value === 'object' && value !== null)) {
             // 複雜屬性
@@ -155,7 +195,12 @@ export const extractGraphData = (data) => {
               type: valueType
             });
             
-            extractNodes(value, slotId, depth + 1, currentId);
+            if (isCollapsed) {
+              hiddenCount += countGraphNodes(value);
+              return;
+            }
+            
+            extractNodes(value, slotId, depth + 1, currentId, key, keyIndex);
             
             links.push({
               sourceId: currentId,
@@ -168,21 +213,25 @@ export const extractGraphData = (data) => {
             simpleProps.push({
               key: key,
               value: String(value),
-              type: typeof value
+              type: typeof value,
+              path: slotId
             });
           }
         });
         
         nodes.push({
           id: currentId,
-          name: path.split('.').pop(),
+          name: name,
           data: obj,
           type: 'complex-box',
           subtype: 'object',
           depth: depth,
           parentId: parentId,
+          order: order,
           slots: slots,
           properties: simpleProps,
+          collapsed: isCollapsed && slots.length > 0,
+          hiddenCount: hiddenCount,
           x: 0,
           y: 0
         });
@@ -195,17 +244,18 @@ export const extractGraphData = (data) => {
         
         nodes.push({
           id: currentId,
-          name: path.split('.').pop(),
+          name: name,
           data: obj,
           type: nodeType,
           depth: depth,
           parentId: parentId,
+          order: order,
           x: 0,
           y: 0
         });
         
         // 為基本類型節點添加parent-child連接
-        if (parentId) {
+        if (parentId !== null) {
           const parentNode = nodes.find(n => n.id === parentId);
           if (parentNode && parentNode.type !== 'complex-box') {
             links.push({
@@ -224,6 +274,42 @@ export const extractGraphData = (data) => {
   return { nodes, links };
 };
 
+/**
+ * 獲取指定深度上所有可摺疊節點的路徑（用於「摺疊到深度 N」）
+ * 深度與圖形節點一致：根節點的子節點為 1
+ * @param {Object} data - JSON數據
+ * @param {Number} targetDepth - 摺疊此深度的節點，使更深的節點隱藏
+ * @returns {Array<String>} 節點路徑
+ */
+export const getCollapsiblePathsAtDepth = (data, targetDepth) => {
+  const paths = [];
+  
+  const isComplexValue = (value) => typeof value === 'object' && value !== null;
+  
+  const visit = (value, path, depth) => {
+    if (!isComplexValue(value) || is2DArray(value)) return;
+    
+    const children = Array.isArray(value)
+      ? value.map((item, index) => [appendPointer(path, index), item])
+      : Object.keys(value).map(key => [appendPointer(path, key), value[key]]);
+    const complexChildren = children.filter(([, child]) => isComplexValue(child));
+    
+    if (depth === targetDepth) {
+      if (complexChildren.length > 0) paths.push(path);
+      return;
+    }
+    
+    complexChildren.forEach(([childPath, child]) => visit(child, childPath, depth + 1));
+  };
+  
+  // 根節點只展開對象的屬性，與 extractGraphData 一致
+  if (isComplexValue(data) && !Array.isArray(data)) {
+    Object.keys(data).forEach(key => visit(data[key], appendPointer('', key), 1));
+  }
+  
+  return paths;
+};
+
 /**
  * 檢測結構變化類型
  * @param {Object} newData - 新數據
@@ -238,6 +324,10 @@ export const detectStructureChange = (newData, oldData) => {
   const checkStructure = (newObj, oldObj, depth = 0) => {
     if (depth > 3) return 'minor'; // 限制檢查深度
     
+    // 基本類型之間的變化（包含類型切換，如字串改為數字或 null）不影響節點結構
+    const isPrimitive = (value) => value === null || typeof value !== 'object';
+    if (isPrimitive(newObj) && isPrimitive(oldObj)) return 'minor';
+    
     if (typeof newObj !== typeof oldObj) return 'major';
     
     if (Array.isArray(newObj) && Array.isArray(oldObj)) {
@@ -306,7 +396,8 @@ export const calculateNodeDiff = (newNodes, oldNodes) => {
       added.push(newNode);
     } else if (!isEqual(newNode.data, oldNode.data) || 
                !isEqual(newNode.properties, oldNode.properties) ||
-               !isEqual(newNode.slots, oldNode.slots)) {
+               !isEqual(newNode.slots, oldNode.slots) ||
+               !isEqual(newNode.columnNames, oldNode.columnNames)) {
       updated.push({
         ...newNode,
         oldNode: oldNode
@@ -324,6 +415,15 @@ export const calculateNodeDiff = (newNodes, oldNodes) => {
   return { added, updated, removed };
 };
 
+/**
+ * 2D 數組節點顯示的行數：有列名且首行不是標題時，多一行列名
+ * @param {Object} node - 2D 數組節點
+ * @returns {Number}
+ */
+export const getTableNodeRowCount = (node) => {
+  return node.data.length + (node.columnNames && !node.headerRow ? 1 : 0);
+};
+
 /**
  * 獲取節點尺寸
  * @param {Object} node - 節點對象
@@ -340,7 +440,7 @@ export const getNodeDimensions = (node) => {
     if (data && data.length > 0) {
       const maxCols = Math.max(...data.map(row => row.length));
       width = Math.max(200, maxCols * 80 + 40);
-      height = Math.max(80, data.length * 25 + 40);
+      height = Math.max(80, getTableNodeRowCount(node) * 25 + 40);
     }
   } else if (node.type === 'complex-box') {
     const properties = node.properties || [];
@@ -0,0 +1,209 @@
+import { appendPointer, parsePointer, compilePointer } from './jsonPointer';
+
+/**
+ * JSONC / JSON5 注釋工具 - 注釋按路徑保存，隨數據編輯移動，並在輸出時寫回
+ *
+ * 注釋表: { [JSON Pointer]: { before: [], after: [], inner: [] } }，每項是包含定界符的原文
+ * - before: 成員之前單獨成行的注釋
+ * - after: 成員之後的注釋，第一個與成員在同一行
+ * - inner: 容器中最後一個成員之後（或空容器中）的注釋
+ * 根路徑 '' 的 before / after 是文檔開頭和結尾的注釋，輸出時都單獨成行
+ */
+
+const EMPTY_ENTRY = { before: [], after: [], inner: [] };
+
+const isContainer = (value) => value !== null && typeof value === 'object';
+
+/**
+ * 是否有任何注釋
+ * @param {Object} comments - 注釋表
+ * @returns {Boolean}
+ */
+export const hasComments = (comments) => Boolean(comments) && Object.keys(comments).length > 0;
+
+const mergeEntries = (target = EMPTY_ENTRY, source) => ({
+  before: [...target.before, ...source.before],
+  after: [...target.after, ...source.after],
+  inner: [...target.inner, ...source.inner]
+});
+
+// 在數組的新版本中查找元素：對象按引用，基本類型按值，取最接近原位置的一個
+const findMovedIndex = (previous, next, index) => {
+  const item = previous[index];
+  if (isContainer(item)) {
+    const found = next.indexOf(item);
+    if (found !== -1) return found;
+    // 元素本身被修改：長度不變時視為原位修改
+    return previous.length === next.length ? index : -1;
+  }
+
+  for (let distance = 0; distance < Math.max(index + 1, next.length - index); distance++) {
+    if (next[index + distance] === item && index + distance < next.length) return index + distance;
+    if (distance > 0 && next[index - distance] === item) return index - distance;
+  }
+  return previous.length === next.length ? index : -1;
+};
+
+// 在對象的新版本中查找鍵：鍵仍存在時不變，否則查找值相同的新鍵（重命名）
+const findRenamedKey = (previous, next, key) => {
+  if (Object.prototype.hasOwnProperty.call(next, key)) return key;
+  const value = previous[key];
+  return Object.keys(next).find(candidate => (
+    !Object.prototype.hasOwnProperty.call(previous, candidate) && next[candidate] === value
+  )) ?? null;
+};
+
+/**
+ * 路徑在數據的新版本中的位置，被刪除時返回 null
+ * 未變化的子樹共享引用，遇到相同的引用時其餘部分不需要再查找
+ */
+const remapPath = (path, previousData, nextData) => {
+  const tokens = parsePointer(path);
+  const result = [];
+  let previous = previousData;
+  let next = nextData;
+
+  for (let depth = 0; depth < tokens.length; depth++) {
+    if (previous === next) {
+      return compilePointer([...result, ...tokens.slice(depth)]);
+    }
+    if (!isContainer(previous) || !isContainer(next)) return null;
+
+    const token = tokens[depth];
+    let nextToken;
+    if (Array.isArray(previous) && Array.isArray(next)) {
+      const index = findMovedIndex(previous, next, Number(token));
+      nextToken = index === -1 ? null : String(index);
+    } else if (!Array.isArray(previous) && !Array.isArray(next)) {
+      nextToken = findRenamedKey(previous, next, token);
+    } else {
+      // 數組和對象互相轉換時保留相同的鍵
+      nextToken = Object.prototype.hasOwnProperty.call(next, token) ? token : null;
+    }
+    if (nextToken === null || next[nextToken] === undefined) return null;
+
+    previous = previous[token];
+    next = next[nextToken];
+    result.push(nextToken);
+  }
+
+  return compilePointer(result);
+};
+
+/**
+ * 數據更新後移動注釋，使其跟隨原來的鍵和數組元素；被刪除的項的注釋一併刪除
+ * @param {Object} comments - 注釋表
+ * @param {*} previousData - 更新前的數據
+ * @param {*} nextData - 更新後的數據
+ * @returns {Object} 新的注釋表
+ */
+export const remapComments = (comments, previousData, nextData) => {
+  if (!hasComments(comments) || previousData === nextData) return comments;
+
+  const result = {};
+  Object.entries(comments).forEach(([path, entry]) => {
+    const nextPath = path === '' ? '' : remapPath(path, previousData, nextData);
+    if (nextPath !== null) {
+      result[nextPath] = result[nextPath] ? mergeEntries(result[nextPath], entry) : entry;
+    }
+  });
+  return result;
+};
+
+/**
+ * 子樹範圍內的注釋，路徑相對於範圍；範圍本身只保留容器內部的注釋
+ * @param {Object} comments - 注釋表
+ * @param {String|null} scope - 子樹路徑，null 為整個文檔
+ * @returns {Object} 注釋表
+ */
+export const getScopedComments = (comments, scope) => {
+  if (scope === null || !hasComments(comments)) return comments;
+
+  const result = {};
+  Object.entries(comments).forEach(([path, entry]) => {
+    if (path === scope) {
+      if (entry.inner.length > 0) result[''] = { ...EMPTY_ENTRY, inner: entry.inner };
+    } else if (path.startsWith(`${scope}/`)) {
+      result[path.slice(scope.length)] = entry;
+    }
+  });
+  return result;
+};
+
+/**
+ * 用子樹的注釋替換範圍內原有的注釋
+ * @param {Object} comments - 整個文檔的注釋表
+ * @param {String|null} scope - 子樹路徑，null 為整個文檔
+ * @param {Object} scopedComments - 子樹的注釋表（相對路徑）
+ * @returns {Object} 新的注釋表
+ */
+export const mergeScopedComments = (comments, scope, scopedComments) => {
+  if (scope === null) return scopedComments;
+
+  const result = {};
+  Object.entries(comments).forEach(([path, entry]) => {
+    if (path === scope) {
+      // 範圍本身在父容器中的注釋保留
+      result[path] = { ...entry, inner: [] };
+    } else if (!path.startsWith(`${scope}/`)) {
+      result[path] = entry;
+    }
+  });
+
+  Object.entries(scopedComments).forEach(([path, entry]) => {
+    const fullPath = `${scope}${path}`;
+    result[fullPath] = mergeEntries(result[fullPath], entry);
+  });
+  return result;
+};
+
+const formatPrimitive = (value, json5) => {
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    return json5 ? String(value) : 'null';
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * 序列化數據並寫回注釋；沒有注釋時與 JSON.stringify(data, null, 2) 相同
+ * @param {*} data - JSON數據
+ * @param {Object} comments - 注釋表
+ * @param {Object} options - { json5: 是否保留 Infinity / NaN }
+ * @returns {String}
+ */
+export const stringifyWithComments = (data, comments = {}, { json5 = false } = {}) => {
+  const indent = '  ';
+
+  const serialize = (value, path, depth) => {
+    if (!isContainer(value)) return formatPrimitive(value, json5);
+
+    const isArray = Array.isArray(value);
+    const entries = isArray
+      ? value.map((item, index) => [index, item === undefined ? null : item])
+      : Object.entries(value).filter(([, item]) => item !== undefined);
+    const inner = comments[path]?.inner ?? [];
+    const [open, close] = isArray ? ['[', ']'] : ['{', '}'];
+    if (entries.length === 0 && inner.length === 0) return `${open}${close}`;
+
+    const padding = indent.repeat(depth + 1);
+    const lines = [];
+    entries.forEach(([key, item], index) => {
+      const itemPath = appendPointer(path, key);
+      const entry = comments[itemPath] ?? EMPTY_ENTRY;
+      entry.before.forEach(comment => lines.push(padding + comment));
+
+      const prefix = isArray ? '' : `${JSON.stringify(key)}: `;
+      const comma = index < entries.length - 1 ? ',' : '';
+      const [trailing, ...following] = entry.after;
+      lines.push(`${padding}${prefix}${serialize(item, itemPath, depth + 1)}${comma}${trailing ? ` ${trailing}` : ''}`);
+      following.forEach(comment => lines.push(padding + comment));
+    });
+    inner.forEach(comment => lines.push(padding + comment));
+
+    return `${open}\n${lines.join('\n')}\n${indent.repeat(depth)}${close}`;
+  };
+
+  // 文檔開頭和結尾的注釋各自單獨成行
+  const root = comments[''] ?? EMPTY_ENTRY;
+  return [...root.before, serialize(data, '', 0), ...root.after].join('\n');
+};
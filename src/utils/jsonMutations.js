@@ -0,0 +1,234 @@
+import { cloneDeep } from 'lodash-es';
+import {
+  appendPointer,
+  defineMember,
+  getParentPointer,
+  getPointerLastToken,
+  getValueAtPointer,
+  setValueAtPointer
+} from './jsonPointer';
+
+/**
+ * 基於路徑的結構化修改 - 所有函數都不修改原數據
+ * 返回 { data, path }：修改後的數據，以及修改後應選中的路徑
+ */
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * 讀取路徑的值，不存在時拋出錯誤
+ */
+const requireValue = (data, path) => {
+  const value = getValueAtPointer(data, path);
+  if (value === undefined) {
+    throw new Error(`路徑不存在: ${path || '/'}`);
+  }
+  return value;
+};
+
+/**
+ * 讀取路徑的父容器及其在父容器中的位置
+ * @returns {Object} { parentPath, parent, token }
+ */
+const requireParent = (data, path) => {
+  if (path === '') {
+    throw new Error('無法對根節點執行此操作');
+  }
+  const parentPath = getParentPointer(path);
+  requireValue(data, path);
+  return { parentPath, parent: getValueAtPointer(data, parentPath), token: getPointerLastToken(path) };
+};
+
+/**
+ * 在對象中插入鍵並保留鍵的順序
+ * @param {Object} obj - 原對象
+ * @param {String} key - 新鍵
+ * @param {*} value - 新值
+ * @param {String|null} beforeKey - 插入到此鍵之前，null 表示末尾
+ */
+const insertKey = (obj, key, value, beforeKey = null) => {
+  const result = {};
+  Object.keys(obj).forEach((existing) => {
+    if (existing === beforeKey) {
+      defineMember(result, key, value);
+    }
+    defineMember(result, existing, obj[existing]);
+  });
+  if (!Object.prototype.hasOwnProperty.call(result, key)) {
+    defineMember(result, key, value);
+  }
+  return result;
+};
+
+/**
+ * 生成對象中不重複的鍵名
+ * @param {Object} obj - 目標對象
+ * @param {String} base - 鍵名前綴
+ */
+export const createUniqueKey = (obj, base = 'newKey') => {
+  if (!Object.prototype.hasOwnProperty.call(obj, base)) return base;
+  let counter = 1;
+  while (Object.prototype.hasOwnProperty.call(obj, `${base}${counter}`)) {
+    counter++;
+  }
+  return `${base}${counter}`;
+};
+
+const validateNewKey = (obj, key) => {
+  if (typeof key !== 'string' || key === '') {
+    throw new Error('鍵名不能為空');
+  }
+  if (Object.prototype.hasOwnProperty.call(obj, key)) {
+    throw new Error(`鍵 "${key}" 已存在`);
+  }
+};
+
+/**
+ * 在容器末尾添加子項（對象添加鍵，數組追加元素）
+ * @param {*} data - JSON數據
+ * @param {String} path - 容器路徑
+ * @param {String} key - 對象的新鍵名，省略時自動生成；數組忽略
+ * @param {*} value - 新值
+ */
+export const addChildAt = (data, path, key, value) => {
+  const container = requireValue(data, path);
+
+  if (Array.isArray(container)) {
+    return {
+      data: setValueAtPointer(data, path, [...container, value]),
+      path: appendPointer(path, container.length)
+    };
+  }
+
+  if (isPlainObject(container)) {
+    const newKey = key ?? createUniqueKey(container);
+    validateNewKey(container, newKey);
+    return {
+      data: setValueAtPointer(data, path, insertKey(container, newKey, value)),
+      path: appendPointer(path, newKey)
+    };
+  }
+
+  throw new Error('只能向對象或數組添加子項');
+};
+
+/**
+ * 在指定項之前插入兄弟項
+ * @param {*} data - JSON數據
+ * @param {String} path - 參照項路徑
+ * @param {String} key - 父容器為對象時的新鍵名，省略時自動生成
+ * @param {*} value - 新值
+ */
+export const insertBeforeAt = (data, path, key, value) => {
+  const { parentPath, parent, token } = requireParent(data, path);
+
+  if (Array.isArray(parent)) {
+    const index = Number(token);
+    const copy = [...parent];
+    copy.splice(index, 0, value);
+    return { data: setValueAtPointer(data, parentPath, copy), path: appendPointer(parentPath, index) };
+  }
+
+  const newKey = key ?? createUniqueKey(parent);
+  validateNewKey(parent, newKey);
+  return {
+    data: setValueAtPointer(data, parentPath, insertKey(parent, newKey, value, token)),
+    path: appendPointer(parentPath, newKey)
+  };
+};
+
+/**
+ * 複製指定項並插入到其後
+ * @param {*} data - JSON數據
+ * @param {String} path - 要複製的項
+ */
+export const duplicateAt = (data, path) => {
+  const { parentPath, parent, token } = requireParent(data, path);
+  const copyValue = cloneDeep(parent[Array.isArray(parent) ? Number(token) : token]);
+
+  if (Array.isArray(parent)) {
+    const index = Number(token) + 1;
+    const copy = [...parent];
+    copy.splice(index, 0, copyValue);
+    return { data: setValueAtPointer(data, parentPath, copy), path: appendPointer(parentPath, index) };
+  }
+
+  // 對象：以 "<鍵>_copy" 命名並放在原鍵之後
+  const newKey = createUniqueKey(parent, `${token}_copy`);
+  const keys = Object.keys(parent);
+  const nextKey = keys[keys.indexOf(token) + 1] ?? null;
+  return {
+    data: setValueAtPointer(data, parentPath, insertKey(parent, newKey, copyValue, nextKey)),
+    path: appendPointer(parentPath, newKey)
+  };
+};
+
+/**
+ * 刪除指定項，選中其父容器
+ * @param {*} data - JSON數據
+ * @param {String} path - 要刪除的項
+ */
+export const removeAt = (data, path) => {
+  const { parentPath, parent, token } = requireParent(data, path);
+
+  if (Array.isArray(parent)) {
+    const copy = [...parent];
+    copy.splice(Number(token), 1);
+    return { data: setValueAtPointer(data, parentPath, copy), path: parentPath };
+  }
+
+  const rest = {};
+  Object.keys(parent).forEach((key) => {
+    if (key !== token) defineMember(rest, key, parent[key]);
+  });
+  return { data: setValueAtPointer(data, parentPath, rest), path: parentPath };
+};
+
+/**
+ * 重命名對象的鍵，保留鍵的順序
+ * @param {*} data - JSON數據
+ * @param {String} path - 要重命名的項
+ * @param {String} newKey - 新鍵名
+ */
+export const renameKeyAt = (data, path, newKey) => {
+  const { parentPath, parent, token } = requireParent(data, path);
+
+  if (!isPlainObject(parent)) {
+    throw new Error('只能重命名對象的鍵');
+  }
+  if (newKey === token) {
+    return { data, path };
+  }
+  validateNewKey(parent, newKey);
+
+  const renamed = {};
+  Object.keys(parent).forEach((key) => {
+    defineMember(renamed, key === token ? newKey : key, parent[key]);
+  });
+  return { data: setValueAtPointer(data, parentPath, renamed), path: appendPointer(parentPath, newKey) };
+};
+
+/**
+ * 轉換值的結構類型
+ * @param {*} data - JSON數據
+ * @param {String} path - 要轉換的項
+ * @param {String} target - 'array'（對象的值組成數組）| 'object'（數組索引作為鍵）| 'wrap'（包裝為單元素數組）
+ */
+export const convertAt = (data, path, target) => {
+  const value = requireValue(data, path);
+  let converted;
+
+  if (target === 'wrap') {
+    converted = [value];
+  } else if (target === 'array') {
+    if (!isPlainObject(value)) throw new Error('只有對象可以轉換為數組');
+    converted = Object.values(value);
+  } else if (target === 'object') {
+    if (!Array.isArray(value)) throw new Error('只有數組可以轉換為對象');
+    converted = Object.fromEntries(value.map((item, index) => [String(index), item]));
+  } else {
+    throw new Error(`不支持的轉換: ${target}`);
+  }
+
+  return { data: setValueAtPointer(data, path, converted), path };
+};
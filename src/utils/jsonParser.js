@@ -0,0 +1,458 @@
+import { getLineStarts, getLineAt } from './jsonSyntax';
+import { appendPointer, defineMember } from './jsonPointer';
+
+/**
+ * 容錯的 JSON 解析器 - 遇到錯誤時記錄位置和原因並繼續解析，一次報告所有錯誤
+ *
+ * 常見的非標準寫法（多餘的逗號、未加引號的鍵、單引號、注釋）按意圖解析，
+ * 同時記錄為錯誤，因此結果值只有在沒有錯誤時才可信
+ *
+ * 支持三種方言：
+ * - json: 標準 JSON
+ * - jsonc: 允許注釋和末尾的逗號
+ * - json5: 另外允許未加引號的鍵、單引號字符串、十六進制和 Infinity / NaN 等數字寫法
+ *
+ * 解析時同時生成源碼映射：每個路徑（JSON Pointer）在文本中的範圍，用於文本和圖形之間的選擇同步；
+ * 注釋按位置附加到路徑上，格式見 jsonComments.js
+ */
+
+export const DIALECTS = [
+  { id: 'json', label: 'JSON' },
+  { id: 'jsonc', label: 'JSONC' },
+  { id: 'json5', label: 'JSON5' }
+];
+
+// 錯誤過多時通常是連鎖錯誤，只保留前面的
+const MAX_ERRORS = 100;
+
+const CLOSER_NAMES = { '}': '閉括號 }', ']': '閉括號 ]' };
+const ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+const JSON5_ESCAPES = { ...ESCAPES, "'": "'", v: '\v', 0: '\0' };
+const IDENTIFIER_PATTERN = /[A-Za-z_$][\w$]*/y;
+const NUMBER_LIKE_PATTERN = /[-+.\d][\w.+-]*/y;
+const STRICT_NUMBER_PATTERN = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+const JSON5_NUMBER_PATTERN = /^[+-]?(?:0[xX][0-9a-fA-F]+|(?:(?:0|[1-9]\d*)(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?|Infinity|NaN)$/;
+
+// 錯誤提示中顯示的字符
+const describeChar = (char) => {
+  if (char === undefined) return '文本結尾';
+  if (char === '\n') return '換行';
+  return `「${char}」`;
+};
+
+/**
+ * 解析 JSON 文本
+ * @param {String} text
+ * @param {Object} options - { dialect: 'json' | 'jsonc' | 'json5' }
+ * @returns {Object} { value, errors: [{ message, offset, length, line, column }], sourceMap, comments }
+ *   line / column 從 1 開始；sourceMap 為 路徑 → { start, end, valueStart }，
+ *   對象成員的範圍從鍵名開始，子路徑先於父路徑加入
+ */
+export const parseJsonText = (text, { dialect = 'json' } = {}) => {
+  const allowComments = dialect !== 'json';
+  const allowTrailingComma = dialect !== 'json';
+  const isJson5 = dialect === 'json5';
+  const errors = [];
+  const sourceMap = new Map();
+  const comments = {};
+  let pendingComments = []; // 尚未附加到路徑的注釋 { text, start }
+  let pos = 0;
+
+  const addError = (message, offset, length = 1) => {
+    if (errors.length < MAX_ERRORS) {
+      errors.push({ message, offset: Math.min(offset, text.length), length: Math.max(1, length) });
+    }
+  };
+
+  const getCommentEntry = (path) => {
+    comments[path] = comments[path] || { before: [], after: [], inner: [] };
+    return comments[path];
+  };
+
+  // 待附加的注釋作為路徑之前的注釋
+  const attachPendingBefore = (path) => {
+    if (pendingComments.length === 0) return;
+    getCommentEntry(path).before.push(...pendingComments.map(comment => comment.text));
+    pendingComments = [];
+  };
+
+  // 跳過空白和注釋（JSON 方言中注釋記錄為錯誤）
+  const skipWhitespace = () => {
+    while (pos < text.length) {
+      const char = text[pos];
+      if (char === ' ' || char === '\t' || char === '\n' || char === '\r' || (isJson5 && /\s/.test(char))) {
+        pos++;
+      } else if (char === '/' && (text[pos + 1] === '/' || text[pos + 1] === '*')) {
+        const isBlock = text[pos + 1] === '*';
+        const end = isBlock ? text.indexOf('*/', pos + 2) : text.indexOf('\n', pos);
+        let commentEnd = end === -1 ? text.length : end + (isBlock ? 2 : 0);
+        if (!isBlock && text[commentEnd - 1] === '\r') commentEnd--;
+        if (isBlock && end === -1) {
+          addError('注釋未閉合', pos, commentEnd - pos);
+        } else if (!allowComments) {
+          addError('JSON 不支持注釋，可切換為 JSONC 或 JSON5', pos, commentEnd - pos);
+        }
+        pendingComments.push({ text: text.slice(pos, commentEnd), start: pos });
+        pos = commentEnd;
+      } else {
+        break;
+      }
+    }
+  };
+
+  const parseString = () => {
+    const quote = text[pos];
+    const start = pos;
+    if (quote === "'" && !isJson5) {
+      addError('字符串必須使用雙引號', start);
+    }
+    pos++;
+
+    let result = '';
+    while (pos < text.length && text[pos] !== quote) {
+      const char = text[pos];
+      if (char === '\n') {
+        addError('字符串未閉合，缺少結尾的引號', start, pos - start);
+        return result;
+      }
+      if (char === '\\') {
+        const escape = text[pos + 1];
+        const escapes = isJson5 ? JSON5_ESCAPES : ESCAPES;
+        if (escape === 'u' && /^[0-9a-fA-F]{4}$/.test(text.slice(pos + 2, pos + 6))) {
+          result += String.fromCharCode(parseInt(text.slice(pos + 2, pos + 6), 16));
+          pos += 6;
+        } else if (escapes[escape] !== undefined) {
+          result += escapes[escape];
+          pos += 2;
+        } else if (isJson5 && escape === 'x' && /^[0-9a-fA-F]{2}$/.test(text.slice(pos + 2, pos + 4))) {
+          result += String.fromCharCode(parseInt(text.slice(pos + 2, pos + 4), 16));
+          pos += 4;
+        } else if (isJson5 && (escape === '\n' || escape === '\r')) {
+          // 行尾的反斜線：字符串延續到下一行
+          pos += escape === '\r' && text[pos + 2] === '\n' ? 3 : 2;
+        } else if (isJson5 && escape !== undefined && !/[1-9u]/.test(escape)) {
+          result += escape;
+          pos += 2;
+        } else {
+          addError(`無效的轉義序列 \\${escape ?? ''}`, pos, 2);
+          result += escape ?? '';
+          pos += 2;
+        }
+        continue;
+      }
+      if (char < ' ') {
+        addError('字符串中不能包含控制字符，請使用轉義序列', pos);
+      }
+      result += char;
+      pos++;
+    }
+
+    if (pos >= text.length) {
+      addError('字符串未閉合，缺少結尾的引號', start, text.length - start);
+      return result;
+    }
+    pos++;
+    return result;
+  };
+
+  const parseNumber = () => {
+    const start = pos;
+    NUMBER_LIKE_PATTERN.lastIndex = pos;
+    const raw = NUMBER_LIKE_PATTERN.exec(text)[0];
+    pos += raw.length;
+
+    if (isJson5 && JSON5_NUMBER_PATTERN.test(raw)) {
+      // Number() 不接受帶符號的十六進制
+      const unsigned = raw.replace(/^[+-]/, '');
+      const number = /^0[xX]/.test(unsigned) ? parseInt(unsigned, 16) : Number(unsigned);
+      return raw.startsWith('-') ? -number : number;
+    }
+
+    if (!STRICT_NUMBER_PATTERN.test(raw)) {
+      let reason = '';
+      if (/^[+-]?0\d/.test(raw)) reason = '（不能有前導零）';
+      else if (raw.startsWith('+')) reason = '（不能以 + 開頭）';
+      else if (/^[-]?\./.test(raw) || /\.$|\.[eE]/.test(raw)) reason = '（小數點前後都需要數字）';
+      addError(`無效的數字 ${raw}${reason}`, start, raw.length);
+    }
+    const number = Number(raw);
+    return Number.isNaN(number) ? null : number;
+  };
+
+  // 未加引號的單詞：true / false / null 以外的都是錯誤
+  const parseWord = () => {
+    const start = pos;
+    IDENTIFIER_PATTERN.lastIndex = pos;
+    const word = IDENTIFIER_PATTERN.exec(text)[0];
+    pos += word.length;
+
+    if (word === 'true') return true;
+    if (word === 'false') return false;
+    if (word === 'null') return null;
+    if (isJson5 && word === 'Infinity') return Infinity;
+    if (isJson5 && word === 'NaN') return NaN;
+
+    const hints = {
+      True: '，布林值應為小寫 true',
+      False: '，布林值應為小寫 false',
+      None: '，空值應為 null',
+      NULL: '，空值應為小寫 null',
+      undefined: '，JSON 沒有 undefined，可使用 null',
+      NaN: '，JSON 不支持 NaN',
+      Infinity: '，JSON 不支持 Infinity'
+    };
+    addError(`無效的值 ${word}${hints[word] ?? '，字符串需要用雙引號包裹'}`, start, word.length);
+    return word;
+  };
+
+  // 解析容器的成員，直到閉括號；處理缺少的逗號、多餘的逗號和缺少的閉括號
+  // parseMember 返回成員的路徑，用於附加同一行末尾的注釋
+  const parseMembers = (path, closer, parseMember) => {
+    const openOffset = pos - 1;
+    let expectMember = true;
+    let lastComma = -1;
+    let lastMember = null; // { path, end }
+
+    for (;;) {
+      skipWhitespace();
+      const char = text[pos];
+
+      // 與上一個成員在同一行的第一個注釋附加在該成員之後
+      if (lastMember && pendingComments.length > 0 && !text.slice(lastMember.end, pendingComments[0].start).includes('\n')) {
+        getCommentEntry(lastMember.path).after.push(pendingComments.shift().text);
+        lastMember = null;
+      }
+
+      if (char === undefined || char === '}' || char === ']') {
+        // 最後一個成員之後的注釋屬於容器內部
+        if (pendingComments.length > 0) {
+          getCommentEntry(path).inner.push(...pendingComments.map(comment => comment.text));
+          pendingComments = [];
+        }
+      }
+
+      if (char === closer) {
+        if (lastComma !== -1 && expectMember && !allowTrailingComma) {
+          addError(`多餘的逗號，${describeChar(closer)}前不能有逗號`, lastComma);
+        }
+        pos++;
+        return;
+      }
+
+      if (char === undefined || char === '}' || char === ']') {
+        const { line } = locate(openOffset);
+        addError(
+          `缺少${CLOSER_NAMES[closer]}（與第 ${line} 行的 ${text[openOffset]} 配對）`,
+          char === undefined ? Math.max(0, text.length - 1) : pos
+        );
+        return;
+      }
+
+      if (char === ',') {
+        if (expectMember) {
+          addError(lastComma === -1 ? '意外的逗號' : '連續的逗號', pos);
+        }
+        lastComma = pos;
+        expectMember = true;
+        pos++;
+        continue;
+      }
+
+      if (!expectMember) {
+        addError('缺少逗號', pos);
+      }
+
+      const before = pos;
+      const memberPath = parseMember();
+      if (pos === before) {
+        // 無法識別的字符，跳過以免死循環
+        addError(`意外的字符 ${describeChar(char)}`, pos);
+        pos++;
+      }
+      lastMember = memberPath === undefined ? null : { path: memberPath, end: pos };
+      expectMember = false;
+    }
+  };
+
+  const parseObject = (path) => {
+    const result = {};
+    pos++;
+
+    parseMembers(path, '}', () => {
+      const keyStart = pos;
+      let key;
+      if (text[pos] === '"' || text[pos] === "'") {
+        key = parseString();
+      } else if (/[A-Za-z_$]/.test(text[pos])) {
+        IDENTIFIER_PATTERN.lastIndex = pos;
+        key = IDENTIFIER_PATTERN.exec(text)[0];
+        if (!isJson5) {
+          addError(`鍵名 ${key} 必須用雙引號包裹`, pos, key.length);
+        }
+        pos += key.length;
+      } else if (/[-\d]/.test(text[pos])) {
+        NUMBER_LIKE_PATTERN.lastIndex = pos;
+        key = NUMBER_LIKE_PATTERN.exec(text)[0];
+        addError(`鍵名 ${key} 必須用雙引號包裹`, pos, key.length);
+        pos += key.length;
+      } else {
+        return undefined;
+      }
+
+      const memberPath = appendPointer(path, key);
+      attachPendingBefore(memberPath);
+      const keyEnd = pos;
+      skipWhitespace();
+      if (text[pos] === ':') {
+        pos++;
+      } else {
+        addError(`鍵名 "${key}" 後缺少冒號`, keyStart, keyEnd - keyStart);
+        // 緊跟閉括號或逗號時沒有值
+        if (text[pos] === '}' || text[pos] === ',' || pos >= text.length) {
+          defineMember(result, key, null);
+          return memberPath;
+        }
+      }
+
+      skipWhitespace();
+      // 鍵名和值之間的注釋也放在成員之前
+      attachPendingBefore(memberPath);
+      if (text[pos] === '}' || text[pos] === ',' || pos >= text.length) {
+        addError(`鍵名 "${key}" 缺少值`, pos >= text.length ? text.length - 1 : pos);
+        defineMember(result, key, null);
+        return memberPath;
+      }
+      // 重複的鍵與 JSON.parse 一致，後面的值覆蓋前面的
+      const valueStart = pos;
+      defineMember(result, key, parseValue(memberPath, keyStart));
+      if (pos === valueStart) {
+        addError(`意外的字符 ${describeChar(text[pos])}，鍵名 "${key}" 缺少值`, pos);
+        defineMember(result, key, null);
+        pos++;
+      }
+      return memberPath;
+    });
+
+    return result;
+  };
+
+  const parseArray = (path) => {
+    const result = [];
+    pos++;
+    parseMembers(path, ']', () => {
+      const memberPath = appendPointer(path, result.length);
+      const before = pos;
+      const value = parseValue(memberPath);
+      if (pos === before) return undefined;
+      result.push(value);
+      return memberPath;
+    });
+    return result;
+  };
+
+  const parseRawValue = (path) => {
+    const char = text[pos];
+
+    if (char === '{') return parseObject(path);
+    if (char === '[') return parseArray(path);
+    if (char === '"' || char === "'") return parseString();
+    if (char !== undefined && /[-+.\d]/.test(char)) return parseNumber();
+    if (char !== undefined && /[A-Za-z_$]/.test(char)) return parseWord();
+    return undefined;
+  };
+
+  // 解析一個值並記錄其範圍；無法識別時不移動位置，由調用方處理
+  const parseValue = (path, memberStart) => {
+    skipWhitespace();
+    if (memberStart === undefined) attachPendingBefore(path);
+    const valueStart = pos;
+    const value = parseRawValue(path);
+    if (pos !== valueStart) {
+      sourceMap.set(path, { start: memberStart ?? valueStart, end: pos, valueStart });
+    }
+    return value;
+  };
+
+  const lineStarts = getLineStarts(text);
+  const locate = (offset) => {
+    const line = getLineAt(lineStarts, offset);
+    return { line: line + 1, column: offset - lineStarts[line] + 1 };
+  };
+
+  skipWhitespace();
+  let value;
+  if (pos >= text.length) {
+    addError('JSON 不能為空', 0);
+  } else {
+    const before = pos;
+    value = parseValue('');
+    if (pos === before) {
+      addError(`意外的字符 ${describeChar(text[pos])}，應為對象、數組、字符串、數字、true、false 或 null`, pos);
+      pos++;
+    }
+    skipWhitespace();
+    if (pos < text.length) {
+      addError(`根值之後有多餘的內容 ${describeChar(text[pos])}`, pos, text.length - pos);
+    }
+  }
+
+  // 根值之後的注釋
+  if (pendingComments.length > 0) {
+    getCommentEntry('').after.push(...pendingComments.map(comment => comment.text));
+  }
+
+  return {
+    value,
+    errors: errors.map(error => ({ ...error, ...locate(error.offset) })),
+    sourceMap,
+    comments
+  };
+};
+
+/**
+ * 解析文件內容並識別方言：依次嘗試標準 JSON、JSONC 和 JSON5
+ * @param {String} text
+ * @param {String} fileName - 擴展名為 .jsonc / .json5 時優先使用該方言
+ * @returns {Object} { value, dialect, comments, errors }，都無法解析時 errors 為標準 JSON 的錯誤
+ */
+export const parseJsonDocument = (text, fileName = '') => {
+  const preferred = /\.json5$/i.test(fileName) ? 'json5' : /\.jsonc$/i.test(fileName) ? 'jsonc' : 'json';
+
+  try {
+    return { value: JSON.parse(text), dialect: preferred, comments: {}, errors: [] };
+  } catch {
+    // 不是標準 JSON，嘗試寬鬆的方言
+  }
+
+  for (const dialect of preferred === 'json5' ? ['json5'] : ['jsonc', 'json5']) {
+    const result = parseJsonText(text, { dialect });
+    if (result.errors.length === 0) {
+      return { value: result.value, dialect, comments: result.comments, errors: [] };
+    }
+  }
+
+  return { value: undefined, dialect: preferred, comments: {}, errors: parseJsonText(text, { dialect: preferred }).errors };
+};
+
+/**
+ * 位置所在的最內層路徑；位置緊跟在值之後也算在該值內
+ * @param {Map} sourceMap - parseJsonText 的 sourceMap
+ * @param {Number} offset
+ * @returns {String|null} JSON Pointer，不在任何值內時為 null
+ */
+export const getPathAtOffset = (sourceMap, offset) => {
+  let result = null;
+  let resultLength = Infinity;
+  sourceMap.forEach(({ start, end }, path) => {
+    if (start <= offset && offset <= end && end - start < resultLength) {
+      result = path;
+      resultLength = end - start;
+    }
+  });
+  return result;
+};
+
+/**
+ * 錯誤的單行描述，如「第 3 行第 5 列: 缺少逗號」
+ */
+export const formatParseError = ({ line, column, message }) => `第 ${line} 行第 ${column} 列: ${message}`;
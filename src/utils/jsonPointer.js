@@ -0,0 +1,189 @@
+/**
+ * JSON Pointer (RFC 6901) 路徑工具
+ *
+ * 路徑格式：'' 代表整個文檔，'/users/0/name' 代表 users[0].name
+ * 鍵中的 '~' 轉義為 '~0'，'/' 轉義為 '~1'，因此任意鍵都能正確往返
+ */
+
+const ARRAY_INDEX_PATTERN = /^(0|[1-9][0-9]*)$/;
+
+/**
+ * 以自身屬性寫入對象成員，與 JSON.parse 一致；
+ * 直接賦值時 "__proto__" 會修改原型而不是成為鍵
+ * @param {Object} object - 目標對象
+ * @param {String} key - 鍵名
+ * @param {*} value - 值
+ */
+export const defineMember = (object, key, value) => {
+  Object.defineProperty(object, key, { value, enumerable: true, writable: true, configurable: true });
+};
+
+/**
+ * 轉義單個路徑片段
+ * @param {String|Number} token - 原始鍵名或數組索引
+ * @returns {String} 轉義後的片段
+ */
+export const escapePointerToken = (token) => {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+};
+
+/**
+ * 還原單個路徑片段
+ * @param {String} token - 轉義後的片段
+ * @returns {String} 原始鍵名
+ */
+export const unescapePointerToken = (token) => {
+  return token.replace(/~1/g, '/').replace(/~0/g, '~');
+};
+
+/**
+ * 解析 JSON Pointer 為片段數組
+ * @param {String} pointer - JSON Pointer
+ * @returns {Array<String>} 未轉義的片段
+ */
+export const parsePointer = (pointer) => {
+  if (pointer === '') return [];
+  if (typeof pointer !== 'string' || pointer[0] !== '/') {
+    throw new Error(`無效的 JSON Pointer: ${pointer}`);
+  }
+  return pointer.substring(1).split('/').map(unescapePointerToken);
+};
+
+/**
+ * 將片段數組組合為 JSON Pointer
+ * @param {Array<String|Number>} tokens - 未轉義的片段
+ * @returns {String} JSON Pointer
+ */
+export const compilePointer = (tokens) => {
+  if (!tokens.length) return '';
+  return '/' + tokens.map(escapePointerToken).join('/');
+};
+
+/**
+ * 在路徑末尾追加一個片段
+ * @param {String} pointer - 父路徑
+ * @param {String|Number} token - 子鍵名或數組索引
+ * @returns {String} 子路徑
+ */
+export const appendPointer = (pointer, token) => {
+  return `${pointer}/${escapePointerToken(token)}`;
+};
+
+/**
+ * 獲取父路徑，根路徑返回 null
+ * @param {String} pointer - JSON Pointer
+ * @returns {String|null} 父路徑
+ */
+export const getParentPointer = (pointer) => {
+  if (!pointer) return null;
+  return pointer.substring(0, pointer.lastIndexOf('/'));
+};
+
+/**
+ * 獲取路徑的最後一個片段（未轉義），根路徑返回 null
+ * @param {String} pointer - JSON Pointer
+ * @returns {String|null} 最後一個片段
+ */
+export const getPointerLastToken = (pointer) => {
+  if (!pointer) return null;
+  return unescapePointerToken(pointer.substring(pointer.lastIndexOf('/') + 1));
+};
+
+/**
+ * 解析數組索引片段
+ * @param {Array} arr - 目標數組
+ * @param {String} token - 路徑片段
+ * @returns {Number} 索引，無效時返回 -1
+ */
+const toArrayIndex = (arr, token) => {
+  if (token === '-') return arr.length;
+  return ARRAY_INDEX_PATTERN.test(token) ? Number(token) : -1;
+};
+
+/**
+ * 根據路徑讀取值
+ * @param {*} data - JSON數據
+ * @param {String} pointer - JSON Pointer
+ * @returns {*} 路徑上的值，不存在時返回 undefined
+ */
+export const getValueAtPointer = (data, pointer) => {
+  if (pointer == null) return undefined;
+
+  let current = data;
+  for (const token of parsePointer(pointer)) {
+    if (Array.isArray(current)) {
+      const index = toArrayIndex(current, token);
+      if (index < 0 || index >= current.length) return undefined;
+      current = current[index];
+    } else if (current !== null && typeof current === 'object') {
+      if (!Object.prototype.hasOwnProperty.call(current, token)) return undefined;
+      current = current[token];
+    } else {
+      return undefined;
+    }
+  }
+
+  return current;
+};
+
+/**
+ * 判斷路徑是否存在
+ * @param {*} data - JSON數據
+ * @param {String} pointer - JSON Pointer
+ * @returns {Boolean}
+ */
+export const hasPointer = (data, pointer) => {
+  if (pointer === '') return true;
+  const parent = getValueAtPointer(data, getParentPointer(pointer));
+  const token = getPointerLastToken(pointer);
+
+  if (Array.isArray(parent)) {
+    const index = toArrayIndex(parent, token);
+    return index >= 0 && index < parent.length;
+  }
+  if (parent !== null && typeof parent === 'object') {
+    return Object.prototype.hasOwnProperty.call(parent, token);
+  }
+  return false;
+};
+
+/**
+ * 根據路徑寫入值（不修改原數據，沿路徑淺拷貝）
+ * @param {*} data - JSON數據
+ * @param {String} pointer - JSON Pointer，數組可使用 '-' 追加元素
+ * @param {*} value - 新值
+ * @returns {*} 更新後的新數據
+ */
+export const setValueAtPointer = (data, pointer, value) => {
+  const tokens = parsePointer(pointer);
+
+  const setIn = (current, depth) => {
+    if (depth === tokens.length) return value;
+
+    const token = tokens[depth];
+
+    if (Array.isArray(current)) {
+      const index = toArrayIndex(current, token);
+      if (index < 0 || index > current.length) {
+        throw new Error(`無效的數組索引 "${token}"：${pointer}`);
+      }
+      const copy = [...current];
+      copy[index] = setIn(current[index], depth + 1);
+      return copy;
+    }
+
+    if (current !== null && typeof current === 'object') {
+      const child = Object.prototype.hasOwnProperty.call(current, token) ? current[token] : undefined;
+      return { ...current, [token]: setIn(child, depth + 1) };
+    }
+
+    if (current === undefined) {
+      // 中間路徑不存在時自動建立對象
+      return { [token]: setIn(undefined, depth + 1) };
+    }
+
+    throw new Error(`無法寫入基本類型的子路徑：${pointer}`);
+  };
+
+  return setIn(data, 0);
+};
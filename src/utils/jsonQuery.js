@@ -0,0 +1,519 @@
+import { isEqual } from 'lodash-es';
+import { appendPointer } from './jsonPointer';
+
+/**
+ * JSON 查詢 - 支持 JSONPath 和 jq 管道的子集，每個結果都保留其 JSON Pointer 路徑
+ *
+ * JSONPath: $.users[*].name、users[0,1]、$..id、$.items[1:3]、$.users[?(@.age > 25 && @.name =~ /^A/)]
+ *           開頭的 $ 可省略（如 users[*].age）
+ * jq:       .users[] | select(.age > 25) | .name、.items[1:3]、.. | .id?
+ *           只支持保留路徑的操作：字段、索引、切片、[]、..、select()
+ */
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNameChar = (char) => char !== undefined && /[^\s.[\]()'"|,=!<>&*?:@$/]/.test(char);
+
+// ---------- 詞法輔助 ----------
+
+const createReader = (text) => ({ text, pos: 0 });
+
+const peek = (r, offset = 0) => r.text[r.pos + offset];
+const isEnd = (r) => r.pos >= r.text.length;
+const startsWith = (r, token) => r.text.startsWith(token, r.pos);
+
+const skipSpaces = (r) => {
+  while (!isEnd(r) && /\s/.test(peek(r))) r.pos++;
+};
+
+const syntaxError = (r, message) => new Error(`${message}（位置 ${r.pos + 1}）`);
+
+const expect = (r, token) => {
+  skipSpaces(r);
+  if (!startsWith(r, token)) {
+    throw syntaxError(r, isEnd(r) ? `缺少 "${token}"` : `應為 "${token}"，實際為 "${peek(r)}"`);
+  }
+  r.pos += token.length;
+};
+
+const readName = (r) => {
+  const start = r.pos;
+  while (isNameChar(peek(r))) r.pos++;
+  if (start === r.pos) throw syntaxError(r, '缺少字段名');
+  return r.text.slice(start, r.pos);
+};
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+
+const readString = (r) => {
+  const quote = peek(r);
+  r.pos++;
+  let result = '';
+  while (!isEnd(r) && peek(r) !== quote) {
+    let char = peek(r);
+    r.pos++;
+    if (char === '\\') {
+      const escaped = peek(r);
+      r.pos++;
+      if (escaped === 'u') {
+        char = String.fromCharCode(parseInt(r.text.slice(r.pos, r.pos + 4), 16));
+        r.pos += 4;
+      } else {
+        char = ESCAPES[escaped] ?? escaped;
+      }
+    }
+    result += char;
+  }
+  if (isEnd(r)) throw syntaxError(r, '字符串未結束');
+  r.pos++;
+  return result;
+};
+
+const readNumber = (r) => {
+  const match = /^-?\d+(\.\d+)?([eE][+-]?\d+)?/.exec(r.text.slice(r.pos));
+  if (!match) throw syntaxError(r, '應為數字');
+  r.pos += match[0].length;
+  return Number(match[0]);
+};
+
+const readInteger = (r) => {
+  const number = readNumber(r);
+  if (!Number.isInteger(number)) throw syntaxError(r, '索引必須是整數');
+  return number;
+};
+
+const readRegex = (r) => {
+  r.pos++; // 跳過開頭的 /
+  let source = '';
+  while (!isEnd(r) && peek(r) !== '/') {
+    if (peek(r) === '\\') {
+      source += peek(r);
+      r.pos++;
+    }
+    source += peek(r);
+    r.pos++;
+  }
+  if (isEnd(r)) throw syntaxError(r, '正則表達式未結束');
+  r.pos++;
+  const flagsStart = r.pos;
+  while (/[a-z]/.test(peek(r) || '')) r.pos++;
+  try {
+    return new RegExp(source, r.text.slice(flagsStart, r.pos));
+  } catch (error) {
+    throw syntaxError(r, `無效的正則表達式: ${error.message}`);
+  }
+};
+
+// ---------- 過濾表達式 ----------
+
+/**
+ * 解析相對路徑：@.a.b / @['a'][0]（JSONPath）或 .a.b / .["a"][0]（jq），單獨的 @ 或 . 表示當前值
+ * @returns {Array} 路徑片段
+ */
+const parseRelativePath = (r) => {
+  const tokens = [];
+  if (peek(r) === '@') {
+    r.pos++;
+  } else if (!isNameChar(peek(r, 1)) && peek(r, 1) !== '[') {
+    r.pos++; // jq 中單獨的 . 表示當前值
+    return tokens;
+  }
+
+  for (;;) {
+    if (peek(r) === '.' && isNameChar(peek(r, 1))) {
+      r.pos++;
+      tokens.push(readName(r));
+    } else if (peek(r) === '.' && peek(r, 1) === '[') {
+      r.pos++;
+    } else if (peek(r) === '[') {
+      r.pos++;
+      skipSpaces(r);
+      tokens.push(peek(r) === '"' || peek(r) === "'" ? readString(r) : String(readInteger(r)));
+      expect(r, ']');
+    } else {
+      return tokens;
+    }
+    if (peek(r) === '?') r.pos++; // jq 的可選訪問，不存在時本來就不報錯
+  }
+};
+
+const resolveRelativePath = (value, tokens) => tokens.reduce((current, token) => {
+  if (Array.isArray(current) && /^-?\d+$/.test(token)) {
+    const index = Number(token);
+    return current[index < 0 ? current.length + index : index];
+  }
+  if (isObject(current) && Object.prototype.hasOwnProperty.call(current, token)) {
+    return current[token];
+  }
+  return undefined;
+}, value);
+
+const parseOperand = (r) => {
+  skipSpaces(r);
+  const char = peek(r);
+
+  if (char === '(') {
+    r.pos++;
+    const inner = parseOrExpression(r);
+    expect(r, ')');
+    return inner;
+  }
+  if (char === '@' || char === '.') {
+    const tokens = parseRelativePath(r);
+    return (value) => resolveRelativePath(value, tokens);
+  }
+  if (char === '"' || char === "'") {
+    const text = readString(r);
+    return () => text;
+  }
+  if (char === '/') {
+    const pattern = readRegex(r);
+    return () => pattern;
+  }
+  if (char === '-' || /\d/.test(char || '')) {
+    const number = readNumber(r);
+    return () => number;
+  }
+  for (const [word, literal] of [['true', true], ['false', false], ['null', null]]) {
+    if (readWord(r, word)) return () => literal;
+  }
+  throw syntaxError(r, isEnd(r) ? '表達式不完整' : `無法識別的內容 "${char}"`);
+};
+
+const COMPARISONS = {
+  '==': (a, b) => isEqual(a, b),
+  '!=': (a, b) => !isEqual(a, b),
+  '<=': (a, b) => typeof a === typeof b && (typeof a === 'number' || typeof a === 'string') && a <= b,
+  '>=': (a, b) => typeof a === typeof b && (typeof a === 'number' || typeof a === 'string') && a >= b,
+  '<': (a, b) => typeof a === typeof b && (typeof a === 'number' || typeof a === 'string') && a < b,
+  '>': (a, b) => typeof a === typeof b && (typeof a === 'number' || typeof a === 'string') && a > b,
+  '=~': (a, b) => typeof a === 'string' && (b instanceof RegExp ? b : new RegExp(String(b))).test(a)
+};
+
+// 沒有比較運算符時，值存在且不為 false / null 即為真
+const isTruthy = (value) => value !== undefined && value !== null && value !== false;
+
+const parseComparison = (r) => {
+  const left = parseOperand(r);
+  skipSpaces(r);
+  const operator = ['==', '!=', '<=', '>=', '=~', '<', '>'].find(op => startsWith(r, op));
+  if (!operator) {
+    return left;
+  }
+  r.pos += operator.length;
+  const right = parseOperand(r);
+  const compare = COMPARISONS[operator];
+  return (value) => compare(left(value), right(value));
+};
+
+// 讀取完整的單詞（如 and、not），避免把字段名的前綴當作關鍵字
+const readWord = (r, word) => {
+  if (startsWith(r, word) && !isNameChar(peek(r, word.length))) {
+    r.pos += word.length;
+    return true;
+  }
+  return false;
+};
+
+// 讀取符號或等價的單詞形式（&& / and）
+const readKeyword = (r, symbol, word) => {
+  skipSpaces(r);
+  if (startsWith(r, symbol)) {
+    r.pos += symbol.length;
+    return true;
+  }
+  return readWord(r, word);
+};
+
+const parseUnary = (r) => {
+  skipSpaces(r);
+  let negated = false;
+  if (peek(r) === '!' && peek(r, 1) !== '=') {
+    r.pos++;
+    negated = true;
+  } else {
+    negated = readWord(r, 'not');
+  }
+  if (!negated) return parseComparison(r);
+
+  const operand = parseUnary(r);
+  return (value) => !isTruthy(operand(value));
+};
+
+const parseAndExpression = (r) => {
+  let left = parseUnary(r);
+  while (readKeyword(r, '&&', 'and')) {
+    const a = left;
+    const b = parseUnary(r);
+    left = (value) => isTruthy(a(value)) && isTruthy(b(value));
+  }
+  return left;
+};
+
+const parseOrExpression = (r) => {
+  let left = parseAndExpression(r);
+  while (readKeyword(r, '||', 'or')) {
+    const a = left;
+    const b = parseAndExpression(r);
+    left = (value) => isTruthy(a(value)) || isTruthy(b(value));
+  }
+  return left;
+};
+
+const parsePredicate = (r) => {
+  const expression = parseOrExpression(r);
+  return (value) => isTruthy(expression(value));
+};
+
+// ---------- 路徑步驟 ----------
+
+/**
+ * 解析方括號內容（已跳過 [）
+ * 支持 *、'名稱'（可用逗號分隔多個）、索引列表、切片 start:end:step 和 JSONPath 過濾 ?(...)
+ */
+const parseBracket = (r) => {
+  skipSpaces(r);
+  let step;
+
+  if (peek(r) === ']') {
+    step = { type: 'wildcard' }; // jq 的 .[]
+  } else if (peek(r) === '*') {
+    r.pos++;
+    step = { type: 'wildcard' };
+  } else if (peek(r) === '?') {
+    r.pos++;
+    step = { type: 'filter', predicate: parsePredicate(r) };
+  } else if (peek(r) === '"' || peek(r) === "'") {
+    const names = [readString(r)];
+    skipSpaces(r);
+    while (peek(r) === ',') {
+      r.pos++;
+      skipSpaces(r);
+      names.push(readString(r));
+      skipSpaces(r);
+    }
+    step = { type: 'child', names };
+  } else {
+    const first = peek(r) === ':' ? null : readInteger(r);
+    skipSpaces(r);
+    if (peek(r) === ':') {
+      const bounds = [first];
+      while (peek(r) === ':' && bounds.length < 3) {
+        r.pos++;
+        skipSpaces(r);
+        bounds.push(peek(r) === ':' || peek(r) === ']' ? null : readInteger(r));
+        skipSpaces(r);
+      }
+      step = { type: 'slice', start: bounds[0], end: bounds[1] ?? null, step: bounds[2] ?? null };
+    } else {
+      const indices = [first];
+      while (peek(r) === ',') {
+        r.pos++;
+        skipSpaces(r);
+        indices.push(readInteger(r));
+        skipSpaces(r);
+      }
+      step = { type: 'index', indices };
+    }
+  }
+
+  expect(r, ']');
+  return step;
+};
+
+const parseJsonPath = (text) => {
+  const r = createReader(text.trim());
+  const steps = [];
+
+  if (peek(r) === '$') {
+    r.pos++;
+  } else if (isNameChar(peek(r))) {
+    steps.push({ type: 'child', names: [readName(r)] });
+  }
+
+  for (skipSpaces(r); !isEnd(r); skipSpaces(r)) {
+    if (startsWith(r, '..')) {
+      r.pos += 2;
+      steps.push({ type: 'descendant' });
+      if (peek(r) === '[') continue;
+    } else if (peek(r) === '.') {
+      r.pos++;
+    } else if (peek(r) === '[') {
+      r.pos++;
+      steps.push(parseBracket(r));
+      continue;
+    } else {
+      throw syntaxError(r, `無法識別的內容 "${peek(r)}"`);
+    }
+
+    if (peek(r) === '*') {
+      r.pos++;
+      steps.push({ type: 'wildcard' });
+    } else {
+      steps.push({ type: 'child', names: [readName(r)] });
+    }
+  }
+
+  return steps;
+};
+
+const parseJq = (text) => {
+  const r = createReader(text.trim());
+  const steps = [];
+
+  for (skipSpaces(r); !isEnd(r); skipSpaces(r)) {
+    if (peek(r) === '|') {
+      r.pos++;
+    } else if (startsWith(r, 'select(')) {
+      r.pos += 'select('.length;
+      steps.push({ type: 'select', predicate: parsePredicate(r) });
+      expect(r, ')');
+    } else if (startsWith(r, '..')) {
+      r.pos += 2;
+      steps.push({ type: 'descendant' });
+    } else if (peek(r) === '.') {
+      r.pos++;
+      if (isNameChar(peek(r))) {
+        steps.push({ type: 'child', names: [readName(r)] });
+      }
+      // 緊接的 [..]、.name 和可選標記 ?
+      for (;;) {
+        if (peek(r) === '?') {
+          r.pos++;
+        } else if (peek(r) === '[') {
+          r.pos++;
+          steps.push(parseBracket(r));
+        } else if (peek(r) === '.' && isNameChar(peek(r, 1))) {
+          r.pos++;
+          steps.push({ type: 'child', names: [readName(r)] });
+        } else {
+          break;
+        }
+      }
+    } else {
+      throw syntaxError(r, `不支持的 jq 語法 "${r.text.slice(r.pos, r.pos + 10)}"`);
+    }
+  }
+
+  return steps;
+};
+
+// ---------- 求值 ----------
+
+const childEntries = (node) => {
+  const { path, value } = node;
+  if (Array.isArray(value)) {
+    return value.map((item, index) => ({ path: appendPointer(path, index), value: item }));
+  }
+  if (isObject(value)) {
+    return Object.keys(value).map(key => ({ path: appendPointer(path, key), value: value[key] }));
+  }
+  return [];
+};
+
+const collectDescendants = (node, out) => {
+  out.push(node);
+  childEntries(node).forEach(child => collectDescendants(child, out));
+};
+
+const sliceIndices = (length, { start, end, step }) => {
+  const stride = step || 1;
+  const normalize = (index, fallback) => {
+    if (index === null) return fallback;
+    return index < 0 ? Math.max(length + index, stride > 0 ? 0 : -1) : Math.min(index, stride > 0 ? length : length - 1);
+  };
+  const indices = [];
+  if (stride > 0) {
+    for (let i = normalize(start, 0); i < normalize(end, length); i += stride) indices.push(i);
+  } else {
+    for (let i = normalize(start, length - 1); i > normalize(end, -1); i += stride) indices.push(i);
+  }
+  return indices;
+};
+
+const applyStep = (node, step, out) => {
+  const { path, value } = node;
+
+  switch (step.type) {
+    case 'child':
+      step.names.forEach((name) => {
+        if (Array.isArray(value) && /^\d+$/.test(name) && Number(name) < value.length) {
+          out.push({ path: appendPointer(path, name), value: value[Number(name)] });
+        } else if (isObject(value) && Object.prototype.hasOwnProperty.call(value, name)) {
+          out.push({ path: appendPointer(path, name), value: value[name] });
+        }
+      });
+      break;
+    case 'index':
+      if (!Array.isArray(value)) break;
+      step.indices.forEach((index) => {
+        const resolved = index < 0 ? value.length + index : index;
+        if (resolved >= 0 && resolved < value.length) {
+          out.push({ path: appendPointer(path, resolved), value: value[resolved] });
+        }
+      });
+      break;
+    case 'slice':
+      if (!Array.isArray(value)) break;
+      sliceIndices(value.length, step).forEach((index) => {
+        out.push({ path: appendPointer(path, index), value: value[index] });
+      });
+      break;
+    case 'wildcard':
+      out.push(...childEntries(node));
+      break;
+    case 'descendant':
+      collectDescendants(node, out);
+      break;
+    case 'filter':
+      childEntries(node).forEach((child) => {
+        if (step.predicate(child.value)) out.push(child);
+      });
+      break;
+    case 'select':
+      if (step.predicate(value)) out.push(node);
+      break;
+    default:
+      break;
+  }
+};
+
+/**
+ * 判斷查詢語言：以 . 或 select( 開頭、或包含管道 | 的是 jq，其餘按 JSONPath 處理
+ * @param {String} query
+ * @returns {String} 'jq' | 'jsonpath'
+ */
+export const detectQueryLanguage = (query) => {
+  const trimmed = query.trim();
+  return trimmed.startsWith('.') || trimmed.startsWith('select(') || /(?<!\|)\|(?!\|)/.test(trimmed)
+    ? 'jq'
+    : 'jsonpath';
+};
+
+/**
+ * 執行查詢
+ * @param {*} data - JSON數據
+ * @param {String} query - JSONPath 或 jq 表達式
+ * @param {String} language - 'auto' | 'jsonpath' | 'jq'
+ * @returns {Array} [{ path, value }]，按查詢順序，同一路徑只出現一次
+ * @throws {Error} 表達式語法錯誤時
+ */
+export const evaluateQuery = (data, query, language = 'auto') => {
+  if (!query.trim()) return [];
+
+  const resolvedLanguage = language === 'auto' ? detectQueryLanguage(query) : language;
+  const steps = resolvedLanguage === 'jq' ? parseJq(query) : parseJsonPath(query);
+
+  let nodes = [{ path: '', value: data }];
+  steps.forEach((step) => {
+    const next = [];
+    nodes.forEach(node => applyStep(node, step, next));
+    nodes = next;
+  });
+
+  const seen = new Set();
+  return nodes.filter(({ path }) => {
+    if (seen.has(path)) return false;
+    seen.add(path);
+    return true;
+  });
+};
@@ -0,0 +1,175 @@
+/**
+ * JSON 語法工具 - 代碼編輯器的詞法分析、括號配對、摺疊範圍和行號換算
+ *
+ * 詞法分析是容錯的：未閉合的字符串到行尾結束，無法識別的字符作為 invalid 標記，
+ * 以便編輯中途的文本也能高亮；同時識別 JSONC / JSON5 的注釋和單引號字符串
+ */
+
+// 代碼編輯器中摺疊內容的佔位字符
+export const FOLD_PLACEHOLDER = '⋯';
+
+const OPENERS = { '{': '}', '[': ']' };
+const CLOSERS = { '}': '{', ']': '[' };
+const LITERALS = ['true', 'false', 'null'];
+const NUMBER_PATTERN = /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+const WORD_PATTERN = /[A-Za-z_$][\w$]*/y;
+
+/**
+ * 把文本拆分為標記
+ * @param {String} text
+ * @returns {Array} [{ type, start, end }]，type 為
+ *   'key' | 'string' | 'number' | 'literal' | 'bracket' | 'punctuation' | 'comment' | 'fold' | 'invalid'（空白不產生標記）
+ */
+export const tokenizeJson = (text) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === ' ' || char === '\t' || char === '\n' || char === '\r') {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    if (char === '/' && (text[i + 1] === '/' || text[i + 1] === '*')) {
+      const end = text[i + 1] === '/' ? text.indexOf('\n', i) : text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + (text[i + 1] === '*' ? 2 : 0);
+      tokens.push({ type: 'comment', start, end: i });
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      i++;
+      while (i < text.length && text[i] !== char && text[i] !== '\n') {
+        i += text[i] === '\\' ? 2 : 1;
+      }
+      if (text[i] === char) i++;
+      tokens.push({ type: 'string', start, end: Math.min(i, text.length) });
+      continue;
+    }
+
+    if (OPENERS[char] || CLOSERS[char]) {
+      tokens.push({ type: 'bracket', start, end: i + 1 });
+      i++;
+      continue;
+    }
+
+    if (char === ':' || char === ',') {
+      // 冒號前的字符串（或 JSON5 中未加引號的名稱）是鍵
+      const previous = tokens[tokens.length - 1];
+      const isName = previous?.type === 'invalid' && /[A-Za-z_$]/.test(text[previous.start]);
+      if (char === ':' && (previous?.type === 'string' || isName)) previous.type = 'key';
+      tokens.push({ type: 'punctuation', start, end: i + 1 });
+      i++;
+      continue;
+    }
+
+    if (char === FOLD_PLACEHOLDER) {
+      tokens.push({ type: 'fold', start, end: i + 1 });
+      i++;
+      continue;
+    }
+
+    NUMBER_PATTERN.lastIndex = i;
+    const number = NUMBER_PATTERN.exec(text);
+    if (number) {
+      i += number[0].length;
+      tokens.push({ type: 'number', start, end: i });
+      continue;
+    }
+
+    WORD_PATTERN.lastIndex = i;
+    const word = WORD_PATTERN.exec(text);
+    if (word) {
+      i += word[0].length;
+      tokens.push({ type: LITERALS.includes(word[0]) ? 'literal' : 'invalid', start, end: i });
+      continue;
+    }
+
+    tokens.push({ type: 'invalid', start, end: i + 1 });
+    i++;
+  }
+
+  return tokens;
+};
+
+/**
+ * 配對括號
+ * @param {Array} tokens - tokenizeJson 的結果
+ * @param {String} text - 產生標記的文本
+ * @returns {Map} 括號位置 → 配對括號的位置（雙向），未配對的括號不在其中
+ */
+export const matchBrackets = (tokens, text) => {
+  const pairs = new Map();
+  const stack = [];
+
+  tokens.forEach(({ type, start }) => {
+    if (type !== 'bracket') return;
+    const char = text[start];
+    if (OPENERS[char]) {
+      stack.push(start);
+      return;
+    }
+    // 類型不匹配的閉括號不配對
+    const open = stack[stack.length - 1];
+    if (open !== undefined && text[open] === CLOSERS[char]) {
+      stack.pop();
+      pairs.set(open, start);
+      pairs.set(start, open);
+    }
+  });
+
+  return pairs;
+};
+
+/**
+ * 每一行的起始位置
+ * @param {String} text
+ * @returns {Array<Number>}
+ */
+export const getLineStarts = (text) => {
+  const starts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') starts.push(i + 1);
+  }
+  return starts;
+};
+
+/**
+ * 位置所在的行（從 0 開始）
+ * @param {Array<Number>} lineStarts - getLineStarts 的結果
+ * @param {Number} offset
+ */
+export const getLineAt = (lineStarts, offset) => {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const middle = (low + high + 1) >> 1;
+    if (lineStarts[middle] <= offset) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return low;
+};
+
+/**
+ * 可摺疊的範圍：跨越多行的成對括號
+ * @param {Map} pairs - matchBrackets 的結果
+ * @param {Array<Number>} lineStarts
+ * @returns {Array} [{ start: 開括號位置, end: 閉括號位置, line: 開括號所在行 }]，按位置排序
+ */
+export const getFoldRanges = (pairs, lineStarts) => {
+  const ranges = [];
+  pairs.forEach((close, open) => {
+    if (open > close) return;
+    const line = getLineAt(lineStarts, open);
+    if (getLineAt(lineStarts, close) > line) {
+      ranges.push({ start: open, end: close, line });
+    }
+  });
+  return ranges.sort((a, b) => a.start - b.start);
+};
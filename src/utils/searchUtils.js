@@ -0,0 +1,204 @@
+import { appendPointer, defineMember, getValueAtPointer, setValueAtPointer } from './jsonPointer';
+
+/**
+ * 搜索工具 - 在JSON數據的鍵、值和路徑中查找匹配項，以及查找替換
+ */
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * 根據查詢建立正則表達式
+ * @param {String} query - 查詢文本
+ * @param {Object} options - { regex: 是否為正則, caseSensitive: 是否區分大小寫, global: 是否全局匹配 }
+ * @returns {RegExp}
+ * @throws {Error} 正則表達式無效時
+ */
+export const createSearchPattern = (query, { regex = false, caseSensitive = false, global = false } = {}) => {
+  const flags = `${global ? 'g' : ''}${caseSensitive ? '' : 'i'}`;
+  try {
+    return new RegExp(regex ? query : escapeRegExp(query), flags);
+  } catch (error) {
+    throw new Error(`無效的正則表達式: ${error.message}`);
+  }
+};
+
+/**
+ * 基本類型值的搜索文本
+ */
+export const toSearchText = (value) => (value === null ? 'null' : String(value));
+
+/**
+ * 按文檔順序遍歷所有路徑
+ * @param {*} data - JSON數據
+ * @param {Function} visit - (path, value, key) => void，key 為對象鍵名，數組元素和根節點為 null
+ * @param {String} rootPath - 起始路徑
+ */
+export const walkJson = (data, visit, rootPath = '') => {
+  const walk = (value, path, key) => {
+    visit(path, value, key);
+
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => walk(item, appendPointer(path, index), null));
+    } else if (value !== null && typeof value === 'object') {
+      Object.keys(value).forEach((childKey) => walk(value[childKey], appendPointer(path, childKey), childKey));
+    }
+  };
+
+  walk(data, rootPath, null);
+};
+
+/**
+ * 搜索JSON數據
+ * @param {*} data - JSON數據
+ * @param {String} query - 查詢文本
+ * @param {Object} options - { regex, caseSensitive, scope: 'all' | 'keys' | 'values' | 'paths' }
+ * @returns {Array} [{ path, matchedOn: Array<'key' | 'value' | 'path'> }]，按文檔順序
+ */
+export const searchJson = (data, query, { regex = false, caseSensitive = false, scope = 'all' } = {}) => {
+  if (!query) return [];
+
+  const pattern = createSearchPattern(query, { regex, caseSensitive });
+  const matches = [];
+
+  walkJson(data, (path, value, key) => {
+    const matchedOn = [];
+
+    if ((scope === 'all' || scope === 'keys') && key !== null && pattern.test(key)) {
+      matchedOn.push('key');
+    }
+    if ((scope === 'all' || scope === 'values') && (value === null || typeof value !== 'object') &&
+        pattern.test(toSearchText(value))) {
+      matchedOn.push('value');
+    }
+    if (scope === 'paths' && path !== '' && pattern.test(path)) {
+      matchedOn.push('path');
+    }
+
+    if (matchedOn.length > 0) {
+      matches.push({ path, matchedOn });
+    }
+  });
+
+  return matches;
+};
+
+/**
+ * 解決同一對象內重命名後的鍵衝突：重名或空鍵名的項保留原鍵名
+ * @param {Array} keys - 原鍵名
+ * @param {Array} renamed - 替換後的鍵名
+ * @returns {Array} [{ key, conflict }]，conflict 為衝突說明或 null
+ */
+const resolveKeyConflicts = (keys, renamed) => {
+  const finalKeys = [...renamed];
+  const conflicts = keys.map(() => null);
+
+  // 保留原鍵名後可能與其他新鍵名衝突，重複檢查直到穩定
+  let changed = true;
+  while (changed) {
+    changed = false;
+    finalKeys.forEach((key, index) => {
+      if (key === keys[index]) return;
+
+      if (key === '') {
+        conflicts[index] = '鍵名不能為空';
+      } else if (finalKeys.some((other, otherIndex) => otherIndex !== index && other === key)) {
+        conflicts[index] = `鍵 "${key}" 已存在`;
+      } else {
+        return;
+      }
+      finalKeys[index] = keys[index];
+      changed = true;
+    });
+  }
+
+  return finalKeys.map((key, index) => ({ key, conflict: conflicts[index] }));
+};
+
+/**
+ * 在解析後的JSON數據中查找並替換鍵名或字符串值
+ * @param {*} data - JSON數據
+ * @param {String} query - 查找文本
+ * @param {String} replacement - 替換文本，正則模式下可使用 $1、$<name> 等捕獲組
+ * @param {Object} options - { regex, caseSensitive, target: 'both' | 'keys' | 'values', scopePath: 只替換此路徑下的內容 }
+ * @returns {Object} { data: 替換後的數據, changes: [{ path, kind: 'key' | 'value', before, after, conflict }] }
+ *   path 為替換前的路徑；conflict 不為 null 的鍵替換會被跳過
+ * @throws {Error} 正則表達式無效或範圍路徑不存在時
+ */
+export const replaceInJson = (data, query, replacement, {
+  regex = false,
+  caseSensitive = false,
+  target = 'both',
+  scopePath = ''
+} = {}) => {
+  if (!query) return { data, changes: [] };
+
+  const pattern = createSearchPattern(query, { regex, caseSensitive, global: true });
+  // 普通文本模式下替換文本按字面插入，不解析 $ 符號
+  const replaceText = (text) => (regex ? text.replace(pattern, replacement) : text.replace(pattern, () => replacement));
+  const replaceKeys = target !== 'values';
+  const replaceValues = target !== 'keys';
+  const changes = [];
+
+  const transform = (value, path) => {
+    if (Array.isArray(value)) {
+      let changed = false;
+      const result = value.map((item, index) => {
+        const next = transform(item, appendPointer(path, index));
+        if (next !== item) changed = true;
+        return next;
+      });
+      return changed ? result : value;
+    }
+
+    if (value !== null && typeof value === 'object') {
+      const keys = Object.keys(value);
+      const renamedKeys = replaceKeys ? keys.map(replaceText) : keys;
+      const resolved = resolveKeyConflicts(keys, renamedKeys);
+      let changed = false;
+      const result = {};
+
+      keys.forEach((key, index) => {
+        const childPath = appendPointer(path, key);
+        const newKey = resolved[index].key;
+
+        if (renamedKeys[index] !== key) {
+          changes.push({
+            path: childPath,
+            kind: 'key',
+            before: key,
+            after: renamedKeys[index],
+            conflict: resolved[index].conflict
+          });
+          if (newKey !== key) changed = true;
+        }
+
+        const next = transform(value[key], childPath);
+        if (next !== value[key]) changed = true;
+        defineMember(result, newKey, next);
+      });
+
+      return changed ? result : value;
+    }
+
+    if (replaceValues && typeof value === 'string') {
+      const next = replaceText(value);
+      if (next !== value) {
+        changes.push({ path, kind: 'value', before: value, after: next, conflict: null });
+        return next;
+      }
+    }
+
+    return value;
+  };
+
+  const scoped = getValueAtPointer(data, scopePath);
+  if (scoped === undefined) {
+    throw new Error(`路徑不存在: ${scopePath || '/'}`);
+  }
+
+  const replaced = transform(scoped, scopePath);
+  return {
+    data: replaced === scoped ? data : setValueAtPointer(data, scopePath, replaced),
+    changes
+  };
+};
@@ -0,0 +1,290 @@
+import { compareValues } from './bulkTransforms';
+
+/**
+ * 表格工具 - 表格編輯器中 2D 數組和對象數組兩種模式共用的判斷和轉換
+ *
+ * 對象數組模式下，所有對象鍵的並集作為列；某行缺少的鍵讀取為 undefined，
+ * 與值為 null 的儲存格區分顯示，寫回時也不會補上缺少的鍵
+ */
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * 儲存格的值是否為嵌套的對象或數組
+ */
+export const isNestedValue = (value) => value !== null && typeof value === 'object';
+
+/**
+ * 是否為對象數組（每一項都是對象）
+ * @param {*} data
+ * @returns {Boolean}
+ */
+export const isObjectArray = (data) => {
+  return Array.isArray(data) && data.length > 0 && data.every(isPlainObject);
+};
+
+/**
+ * 對象數組的列：所有對象鍵的並集，按首次出現的順序
+ * @param {Array} rows - 對象數組
+ * @returns {Array} 鍵名列表
+ */
+export const getObjectColumns = (rows) => {
+  const columns = [];
+  const seen = new Set();
+  rows.forEach((row) => {
+    Object.keys(row).forEach((key) => {
+      if (!seen.has(key)) {
+        seen.add(key);
+        columns.push(key);
+      }
+    });
+  });
+  return columns;
+};
+
+/**
+ * 讀取儲存格，缺少的鍵或索引返回 undefined
+ * @param {Array|Object} row - 行（數組或對象）
+ * @param {Number|String} column - 列索引或鍵名
+ */
+export const getCellValue = (row, column) => {
+  return Object.prototype.hasOwnProperty.call(row, column) ? row[column] : undefined;
+};
+
+/**
+ * 儲存格的編輯文本，嵌套值顯示為 JSON
+ */
+export const formatCellText = (value) => {
+  if (value === undefined) return '';
+  return isNestedValue(value) ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * 把編輯框中的文本轉換為儲存格的值
+ * 原值為嵌套值時按 JSON 解析；其餘情況識別 true / false / null / 數字，
+ * 以 { 或 [ 開頭且是有效 JSON 的文本轉換為嵌套值
+ * @param {String} text - 編輯框中的文本
+ * @param {*} previous - 儲存格原來的值
+ * @returns {*} 轉換後的值
+ * @throws {Error} 嵌套值的文本不是有效 JSON 時
+ */
+export const parseCellText = (text, previous) => {
+  if (isNestedValue(previous)) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`無效的 JSON: ${error.message}`);
+    }
+  }
+
+  if (text === '') return '';
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  if (text === 'null') return null;
+  if (!isNaN(text) && !isNaN(parseFloat(text))) return parseFloat(text);
+
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    try {
+      return JSON.parse(trimmed);
+    } catch {
+      // 不是有效 JSON 時作為字符串
+    }
+  }
+  return text;
+};
+
+/**
+ * 2D 數組的列名：首行為標題時取首行的文本，否則取列聲明中的名稱
+ * @param {Object} schema - 表格的列聲明 { headerRow, columnNames }
+ * @param {Array} rows - 2D 數組
+ * @returns {Array<String>|null} 每列的名稱（未命名的列為空字符串），沒有列名時返回 null
+ */
+export const getColumnNames = (schema, rows) => {
+  const count = rows.reduce((max, row) => Math.max(max, Array.isArray(row) ? row.length : 1), 0);
+
+  if (schema?.headerRow) {
+    const header = Array.isArray(rows[0]) ? rows[0] : [rows[0]];
+    return Array.from({ length: count }, (_, index) => formatCellText(header[index]));
+  }
+
+  const names = schema?.columnNames;
+  if (!names || !Object.values(names).some(Boolean)) return null;
+  return Array.from({ length: count }, (_, index) => names[index] ?? '');
+};
+
+/**
+ * 嵌套值的摘要，如 {3 鍵}、[4 項]
+ */
+export const summarizeNestedValue = (value) => {
+  return Array.isArray(value) ? `[${value.length} 項]` : `{${Object.keys(value).length} 鍵}`;
+};
+
+const isEmptyCell = (value) => value === undefined || value === null || value === '';
+
+/**
+ * 推斷列的類型，用於選擇篩選運算符和統計方式
+ * @param {Array} values - 該列所有儲存格的值
+ * @returns {String} 'number' | 'boolean' | 'text'（空儲存格不參與判斷）
+ */
+export const getColumnKind = (values) => {
+  const filled = values.filter(value => !isEmptyCell(value));
+  if (filled.length > 0 && filled.every(value => typeof value === 'number')) return 'number';
+  if (filled.length > 0 && filled.every(value => typeof value === 'boolean')) return 'boolean';
+  return 'text';
+};
+
+// 各類型列可用的篩選運算符
+export const FILTER_OPERATORS = {
+  number: [
+    { id: '=', label: '=' },
+    { id: '>', label: '>' },
+    { id: '<', label: '<' },
+    { id: 'isNull', label: '為空' }
+  ],
+  boolean: [
+    { id: '=', label: '=' },
+    { id: 'isNull', label: '為空' }
+  ],
+  text: [
+    { id: 'contains', label: '包含' },
+    { id: '=', label: '=' },
+    { id: 'isNull', label: '為空' }
+  ]
+};
+
+/**
+ * 篩選條件是否生效（為空以外的運算符需要輸入值）
+ * @param {Object} filter - { operator, value }
+ */
+export const isFilterActive = (filter) => {
+  return Boolean(filter) && (filter.operator === 'isNull' || filter.value !== '');
+};
+
+/**
+ * 儲存格是否滿足篩選條件
+ * @param {*} value - 儲存格的值，缺少的鍵為 undefined
+ * @param {Object} filter - { operator, value }，value 為輸入的文本
+ * @param {String} kind - 列類型，見 getColumnKind
+ * @returns {Boolean}
+ */
+export const matchesFilter = (value, filter, kind) => {
+  if (!isFilterActive(filter)) return true;
+
+  const text = filter.value.trim();
+  switch (filter.operator) {
+    case 'isNull':
+      return value === null || value === undefined;
+    case 'contains':
+      return formatCellText(value).toLowerCase().includes(text.toLowerCase());
+    case '=':
+      if (kind === 'number') return typeof value === 'number' && value === Number(text);
+      if (kind === 'boolean') return typeof value === 'boolean' && String(value) === text;
+      return formatCellText(value) === filter.value;
+    case '>':
+    case '<': {
+      const target = Number(text);
+      if (typeof value !== 'number' || !Number.isFinite(target)) return false;
+      return filter.operator === '>' ? value > target : value < target;
+    }
+    default:
+      return true;
+  }
+};
+
+/**
+ * 列統計：非空儲存格數、不重複值數，數字列另有最小、最大和平均值
+ * @param {Array} values - 該列儲存格的值
+ * @returns {Object} { count, distinct, min, max, avg }，非數字列的 min / max / avg 為 null
+ */
+export const computeColumnStats = (values) => {
+  const filled = values.filter(value => !isEmptyCell(value));
+  const distinct = new Set(filled.map(value => (isNestedValue(value) ? JSON.stringify(value) : value))).size;
+  const numbers = filled.filter(value => typeof value === 'number');
+
+  if (numbers.length === 0 || numbers.length !== filled.length) {
+    return { count: filled.length, distinct, min: null, max: null, avg: null };
+  }
+
+  // 大表格中避免展開參數，逐個累計
+  const sum = numbers.reduce((total, value) => total + value, 0);
+  return {
+    count: filled.length,
+    distinct,
+    min: numbers.reduce((min, value) => Math.min(min, value)),
+    max: numbers.reduce((max, value) => Math.max(max, value)),
+    avg: sum / numbers.length
+  };
+};
+
+/**
+ * 排序比較：缺少的鍵排在最後，其次為 null；其餘與批量排序相同
+ * @param {*} a
+ * @param {*} b
+ * @returns {Number}
+ */
+export const compareCells = (a, b) => {
+  if (a === undefined || b === undefined) return compareValues(a, b);
+  if (a === null) return b === null ? 0 : 1;
+  if (b === null) return -1;
+  return compareValues(isNestedValue(a) ? JSON.stringify(a) : a, isNestedValue(b) ? JSON.stringify(b) : b);
+};
+
+/**
+ * 解析從電子表格複製的文本（Excel / Google Sheets 複製為 TSV，也支持 CSV）
+ * 含製表符時按 TSV 解析，否則按 CSV；支持雙引號包裹的欄位（可含換行和 "" 轉義）
+ * @param {String} text - 剪貼板文本
+ * @returns {Array<Array<String>>} 行列文本
+ */
+export const parseDelimitedText = (text) => {
+  const delimiter = text.includes('\t') ? '\t' : ',';
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  // 末尾的換行不產生空行
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+/**
+ * 把儲存格文本轉換為 TSV，含製表符、換行或引號的欄位用雙引號包裹
+ * @param {Array<Array<String>>} rows - 行列文本
+ * @returns {String}
+ */
+export const toDelimitedText = (rows) => {
+  const quote = (text) => (/[\t\n\r"]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+  return rows.map(row => row.map(quote).join('\t')).join('\n');
+};
@@ -0,0 +1,89 @@
+/**
+ * JSON 值類型工具 - 判斷類型並把編輯框中的文本轉換為指定類型的值
+ */
+
+// 可直接在圖形中編輯的基本類型
+export const PRIMITIVE_TYPES = [
+  { id: 'string', label: '字串' },
+  { id: 'number', label: '數字' },
+  { id: 'boolean', label: '布林' },
+  { id: 'null', label: 'null' }
+];
+
+/**
+ * 獲取JSON值的類型
+ * @param {*} value
+ * @returns {String} 'string' | 'number' | 'boolean' | 'null' | 'array' | 'object'
+ */
+export const getValueType = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+/**
+ * 把文本轉換為指定的基本類型
+ * @param {String} text - 編輯框中的文本
+ * @param {String} type - 目標類型
+ * @returns {*} 轉換後的值
+ * @throws {Error} 文本無法轉換為目標類型時
+ */
+export const parseValueText = (text, type) => {
+  switch (type) {
+    case 'string':
+      return text;
+    case 'number': {
+      const trimmed = text.trim();
+      const number = Number(trimmed);
+      if (trimmed === '' || !Number.isFinite(number)) {
+        throw new Error(`「${text}」不是有效的數字`);
+      }
+      return number;
+    }
+    case 'boolean':
+      return text.trim() === 'true';
+    case 'null':
+      return null;
+    default:
+      throw new Error(`不支持的類型: ${type}`);
+  }
+};
+
+// 屬性表中可選的所有類型
+export const VALUE_TYPES = [
+  ...PRIMITIVE_TYPES,
+  { id: 'object', label: '對象' },
+  { id: 'array', label: '陣列' }
+];
+
+/**
+ * 把值轉換為另一種類型，盡量保留原內容
+ * 對象 → 陣列取其值，陣列 → 對象以索引為鍵；無法轉換的內容使用該類型的空值
+ * @param {*} value - 原值
+ * @param {String} type - 目標類型，見 VALUE_TYPES
+ * @returns {*} 轉換後的值
+ */
+export const convertValueType = (value, type) => {
+  const currentType = getValueType(value);
+  if (currentType === type) return value;
+
+  switch (type) {
+    case 'string':
+      if (value === null) return '';
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    case 'number': {
+      const number = Number(value);
+      return typeof value !== 'object' && Number.isFinite(number) ? number : 0;
+    }
+    case 'boolean':
+      return value === 'true' || (typeof value === 'number' && value !== 0);
+    case 'null':
+      return null;
+    case 'object':
+      return currentType === 'array' ? Object.fromEntries(value.map((item, index) => [index, item])) : {};
+    case 'array':
+      return currentType === 'object' ? Object.values(value) : [];
+    default:
+      throw new Error(`不支持的類型: ${type}`);
+  }
+};
@@ -0,0 +1,89 @@
+/**
+ * IndexedDB 存儲工具 - 以 Promise 形式讀寫工作區記錄
+ */
+
+const DB_NAME = 'json-graph-studio';
+const DB_VERSION = 1;
+const STORE_NAME = 'workspace';
+
+let dbPromise = null;
+
+/**
+ * 打開（或建立）數據庫，連接會被緩存
+ * @returns {Promise<IDBDatabase>}
+ */
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('當前環境不支持 IndexedDB'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // 打開失敗時允許下次重試
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+
+  return dbPromise;
+};
+
+/**
+ * 在事務中執行單個請求
+ * @param {String} mode - 'readonly' | 'readwrite'
+ * @param {Function} operation - (objectStore) => IDBRequest
+ * @returns {Promise<*>} 請求結果
+ */
+const runRequest = async (mode, operation) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * 讀取記錄
+ * @param {String} key - 記錄鍵
+ * @returns {Promise<*>} 記錄內容，不存在時為 undefined
+ */
+export const readRecord = (key) => {
+  return runRequest('readonly', (store) => store.get(key));
+};
+
+/**
+ * 寫入記錄
+ * @param {String} key - 記錄鍵
+ * @param {*} value - 可結構化複製的值
+ * @returns {Promise<void>}
+ */
+export const writeRecord = (key, value) => {
+  return runRequest('readwrite', (store) => store.put(value, key));
+};
+
+/**
+ * 刪除記錄
+ * @param {String} key - 記錄鍵
+ * @returns {Promise<void>}
+ */
+export const deleteRecord = (key) => {
+  return runRequest('readwrite', (store) => store.delete(key));
+};